@@ -0,0 +1,119 @@
+import PropTypes from "prop-types";
+import { ACCOUNT_TYPE_LABELS, createAccountEntry, ISA_ALLOWANCE, isInvested, SAVINGS_ACCOUNT_TYPES, WITHDRAWAL_ORDER_LABELS } from "./engine/accounts";
+
+// Numeric inputs for each account type, shown in this order
+const ACCOUNT_FIELDS = {
+  dcPension: [
+    { field: "balance", label: "Current Balance (£)" },
+    { field: "contribution", label: "Annual Contribution, including tax relief (£, rises with inflation)" },
+  ],
+  definedBenefit: [
+    { field: "annualPension", label: "Annual Pension (£, today's value)" },
+    { field: "startAge", label: "Start Age" },
+    { field: "revaluationRate", label: "Revaluation Before It Starts (% per year)" },
+    { field: "increaseRate", label: "Increase in Payment (% per year)" },
+  ],
+  isa: [
+    { field: "balance", label: "Current Balance (£)" },
+    { field: "contribution", label: `Annual Contribution (£, rises with inflation, up to £${ISA_ALLOWANCE.toLocaleString("en-US")})` },
+  ],
+  cash: [
+    { field: "balance", label: "Current Balance (£)" },
+    { field: "interestRate", label: "Interest Rate (% per year)" },
+    { field: "contribution", label: "Annual Contribution (£, rises with inflation)" },
+  ],
+  gia: [
+    { field: "balance", label: "Current Balance (£, taken as what was paid in)" },
+    { field: "contribution", label: "Annual Contribution (£, rises with inflation)" },
+  ],
+};
+
+// Your other pensions and savings besides the workplace pension above, each with its own fund and
+// contributions, and the order drawdown takes money from the pension and savings in retirement.
+// onAccountsChange receives the new list of accounts.
+export default function AccountsPanel({ formData, errors, onAccountsChange, onChange }) {
+  const { accounts } = formData;
+
+  const handleAccountChange = (index, field, value) => {
+    onAccountsChange(accounts.map((account, i) => (i === index ? { ...account, [field]: value } : account)));
+  };
+
+  const handleAddAccount = () => {
+    onAccountsChange([...accounts, createAccountEntry(formData.fundSelection)]);
+  };
+
+  const handleRemoveAccount = (index) => {
+    onAccountsChange(accounts.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 mt-4">Other Pensions and Savings</h3>
+      {accounts.map((account, i) => (
+        <div key={i} className="border rounded p-2 mb-2">
+          <label className="block">
+            Account {i + 1}:
+            <select value={account.type} onChange={(e) => handleAccountChange(i, "type", e.target.value)} className="w-full p-2 border rounded">
+              {Object.entries(ACCOUNT_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {ACCOUNT_FIELDS[account.type].map(({ field, label }) => (
+            <label key={field} className="block">
+              {label}:
+              <input type="number" value={account[field]} onChange={(e) => handleAccountChange(i, field, e.target.value)} className="w-full p-2 border rounded" />
+            </label>
+          ))}
+          {isInvested(account) && (
+            <label className="block">
+              Fund:
+              <select value={account.fund} onChange={(e) => handleAccountChange(i, "fund", e.target.value)} className="w-full p-2 border rounded">
+                {formData.fundCatalogue.map((fund) => (
+                  <option key={fund.name} value={fund.name}>{fund.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button onClick={() => handleRemoveAccount(i)} className="p-1 mt-1 bg-red-500 text-white rounded">
+            Remove Account
+          </button>
+        </div>
+      ))}
+      {errors.accounts && <p className="text-red-500 text-sm mt-1">{errors.accounts}</p>}
+      <button onClick={handleAddAccount} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+        Add Account
+      </button>
+      {accounts.length > 0 && (
+        <p className="text-sm mt-1">
+          Other defined contribution pensions join the workplace pension at retirement, and platform and adviser fees are charged on the
+          pension only. A defined benefit pension is paid like other income, with the survivor&apos;s share paid on after your death.
+        </p>
+      )}
+      {accounts.some((account) => account.type === "cash" || account.type === "gia") && (
+        <p className="text-sm mt-1">
+          Simplification: interest on cash accounts and the income in a general investment account build up untaxed. Income tax is really due on
+          them above the personal savings and dividend allowances, so these accounts may grow more slowly than shown. Capital gains tax is charged
+          on the gains realised when a general investment account is drawn on.
+        </p>
+      )}
+      {accounts.some((account) => SAVINGS_ACCOUNT_TYPES.includes(account.type)) && (
+        <label className="block">
+          Withdrawal Order:
+          <select name="withdrawalOrder" value={formData.withdrawalOrder} onChange={onChange} className="w-full p-2 border rounded">
+            {Object.entries(WITHDRAWAL_ORDER_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+AccountsPanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  errors: PropTypes.object.isRequired,
+  onAccountsChange: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,168 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATION, DEFAULT_FUND_CORRELATIONS, getFundCorrelation, parseFundCatalogueFile } from "./engine/funds";
+import { RETURN_MODEL_LABELS } from "./engine/returnModels";
+
+// Editable fund catalogue, correlations and return model that feed every fund selection and the simulations.
+// onChange receives the new catalogue, { from, to } when a fund was renamed so selections can follow it,
+// and the new correlations when they were replaced rather than carried over.
+export default function FundCatalogueEditor({ catalogue, correlations, returnModel, degreesOfFreedom, onChange, onCorrelationChange, onModelChange, errors }) {
+  const [fileError, setFileError] = useState("");
+
+  const handleFundChange = (index, field, value) => {
+    const newCatalogue = catalogue.map((fund, i) => (i === index ? { ...fund, [field]: value } : fund));
+    onChange(newCatalogue, field === "name" ? { from: catalogue[index].name, to: value } : null);
+  };
+
+  const handleAddFund = () => {
+    onChange([...catalogue, { name: `New Fund ${catalogue.length + 1}`, return: "", volatility: "", annualCharge: "", equity: "", bonds: "" }]);
+  };
+
+  const handleRemoveFund = (index) => {
+    onChange(catalogue.filter((_, i) => i !== index));
+  };
+
+  // Replaces the catalogue with a provider's fund range from a JSON file
+  const handleLoadFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const loaded = parseFundCatalogueFile(await file.text());
+      onChange(loaded.catalogue, null, loaded.correlations);
+      setFileError("");
+    } catch (loadError) {
+      setFileError(loadError.message);
+    }
+    e.target.value = "";
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <h3 className="text-xl font-semibold mb-2">Fund Return Assumptions</h3>
+      <div className="grid grid-cols-2 gap-8">
+        <label className="block">
+          Return Model:
+          <select name="returnModel" value={returnModel} onChange={onModelChange} className="w-full p-2 border rounded">
+            {Object.entries(RETURN_MODEL_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {returnModel === "studentT" && (
+          <label className="block">
+            Degrees of Freedom (lower means fatter tails):
+            <input type="number" name="returnDegreesOfFreedom" value={degreesOfFreedom} onChange={onModelChange} className="w-full p-2 border rounded" />
+            {errors.returnDegreesOfFreedom && <p className="text-red-500 text-sm mt-1">{errors.returnDegreesOfFreedom}</p>}
+          </label>
+        )}
+      </div>
+      <p className="text-sm mt-1 mb-2">
+        Simulated with {RETURN_MODEL_LABELS[returnModel]} returns{returnModel === "studentT" ? ` (${degreesOfFreedom} degrees of freedom)` : ""}
+        {returnModel === "uniform" ? ", drawn independently for each fund." : ", correlated across funds as below."}
+      </p>
+      <table className="w-full border">
+        <thead>
+          <tr>
+            <th className="border p-2">Fund</th>
+            <th className="border p-2">Annual Return (%)</th>
+            <th className="border p-2">Volatility (%)</th>
+            <th className="border p-2">Annual Charge (%)</th>
+            <th className="border p-2">Equity (%)</th>
+            <th className="border p-2">Bonds (%)</th>
+            <th className="border p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {catalogue.map((fund, i) => (
+            <tr key={i}>
+              <td className="border p-2">
+                <input type="text" value={fund.name} onChange={(e) => handleFundChange(i, "name", e.target.value)} className="w-full p-1 border rounded" />
+              </td>
+              <td className="border p-2">
+                <input type="number" value={fund.return} onChange={(e) => handleFundChange(i, "return", e.target.value)} className="w-full p-1 border rounded" />
+              </td>
+              <td className="border p-2">
+                <input type="number" value={fund.volatility} onChange={(e) => handleFundChange(i, "volatility", e.target.value)} className="w-full p-1 border rounded" />
+              </td>
+              <td className="border p-2">
+                <input type="number" value={fund.annualCharge} placeholder="Optional" onChange={(e) => handleFundChange(i, "annualCharge", e.target.value)} className="w-full p-1 border rounded" />
+              </td>
+              <td className="border p-2">
+                <input type="number" value={fund.equity} placeholder="Optional" onChange={(e) => handleFundChange(i, "equity", e.target.value)} className="w-full p-1 border rounded" />
+              </td>
+              <td className="border p-2">
+                <input type="number" value={fund.bonds} placeholder="Optional" onChange={(e) => handleFundChange(i, "bonds", e.target.value)} className="w-full p-1 border rounded" />
+              </td>
+              <td className="border p-2">
+                <button onClick={() => handleRemoveFund(i)} disabled={catalogue.length === 1} className="p-1 bg-red-500 text-white rounded">
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-sm mt-1">Equity and Bonds set each fund&apos;s asset mix for historical sequences; the rest is held in cash.</p>
+      {errors.fundCatalogue && <p className="text-red-500 text-sm mt-1">{errors.fundCatalogue}</p>}
+      <h4 className="font-semibold mt-4 mb-2">Correlations Between Funds</h4>
+      <table className="w-full border">
+        <thead>
+          <tr>
+            <th className="border p-2"></th>
+            {catalogue.map((fund, j) => (
+              <th key={j} className="border p-2">{fund.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {catalogue.map((fund, i) => (
+            <tr key={i}>
+              <th className="border p-2">{fund.name}</th>
+              {catalogue.map((other, j) => (
+                <td key={j} className="border p-2">
+                  {j > i ? (
+                    <input
+                      type="number"
+                      step="0.05"
+                      value={correlations[i]?.[j] ?? ""}
+                      placeholder={String(DEFAULT_FUND_CORRELATION)}
+                      onChange={(e) => onCorrelationChange(i, j, e.target.value)}
+                      className="w-full p-1 border rounded"
+                    />
+                  ) : (
+                    getFundCorrelation(correlations, i, j)
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {errors.fundCorrelations && <p className="text-red-500 text-sm mt-1">{errors.fundCorrelations}</p>}
+      <div className="grid grid-cols-2 gap-8 mt-2">
+        <button onClick={handleAddFund} className="w-full p-2 bg-blue-500 text-white rounded">
+          Add Fund
+        </button>
+        <button onClick={() => onChange(DEFAULT_FUND_CATALOGUE, null, DEFAULT_FUND_CORRELATIONS)} className="w-full p-2 bg-blue-500 text-white rounded">
+          Reset to Default Funds
+        </button>
+      </div>
+      <label className="block mt-2">
+        Load Fund Catalogue (JSON with a &quot;funds&quot; list of name, return, volatility and optional annualCharge, equity and bonds, in %, and an optional &quot;correlations&quot; matrix):
+        <input type="file" accept="application/json,.json" onChange={handleLoadFile} className="w-full p-2 border rounded" />
+        {fileError && <p className="text-red-500 text-sm mt-1">{fileError}</p>}
+      </label>
+    </div>
+  );
+}
+
+FundCatalogueEditor.propTypes = {
+  catalogue: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string.isRequired })).isRequired,
+  correlations: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  returnModel: PropTypes.string.isRequired,
+  degreesOfFreedom: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onCorrelationChange: PropTypes.func.isRequired,
+  onModelChange: PropTypes.func.isRequired,
+  errors: PropTypes.object.isRequired,
+};
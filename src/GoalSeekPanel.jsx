@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { GOAL_UNKNOWN_LABELS, SUSTAINABLE_DRAWDOWN_INPUTS, SUSTAINABLE_DRAWDOWN_TYPES } from "./engine/solver";
+
+const formatPounds = (value) => `£${value.toLocaleString("en-US", { maximumFractionDigits: 0 })}`;
+const formatPercent = (value, digits) => `${(value * 100).toFixed(digits)}%`;
+
+// How the sustainable drawdown found for each drawdown type is shown
+const drawdownValueFormats = {
+  fixed: (value) => `${formatPounds(value)} per month`,
+  initialPot: (value) => `${formatPercent(value, 2)} of the starting pot per year`,
+  guardrails: (value) => `${formatPercent(value, 2)} initial withdrawal rate`,
+  targetIncome: (value) => `${formatPounds(value)} total income per year in today's money`,
+};
+
+const formatGoalValue = ({ unknown, value, drawdownType }) => {
+  if (unknown === "contributionRate") return formatPercent(value, 1);
+  if (unknown === "retirementAge") return String(value);
+  return drawdownValueFormats[drawdownType](value);
+};
+
+// Goal seek: finds the contribution rate, retirement age or sustainable drawdown that makes the pot
+// last to a target age with a chosen confidence. The search runs in a Web Worker so the page stays responsive.
+export default function GoalSeekPanel({ formData, onChange, validate }) {
+  const [result, setResult] = useState(null);
+  const [solving, setSolving] = useState(false);
+  const [error, setError] = useState("");
+  const workerRef = useRef(null);
+
+  // Stop any search still running when the panel goes away
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setSolving(false);
+  };
+
+  // Checks the goal inputs; returns an error message or ""
+  const validateGoal = () => {
+    const targetAge = Number(formData.goalTargetAge);
+    const confidence = parseFloat(formData.goalConfidence);
+    const earliestTargetAge = formData.goalUnknown === "retirementAge" ? parseInt(formData.age) + 2 : parseInt(formData.retirementAge) + 1;
+    if (!Number.isInteger(targetAge) || targetAge < earliestTargetAge || targetAge > 100)
+      return `Target Age must be a whole number between ${earliestTargetAge} and 100.`;
+    if (isNaN(confidence) || confidence < 1 || confidence > 99)
+      return "Confidence must be between 1% and 99%.";
+    if (formData.goalUnknown === "sustainableDrawdown" && !SUSTAINABLE_DRAWDOWN_INPUTS[formData.drawdownType])
+      return `Sustainable drawdown needs one of these drawdown types: ${SUSTAINABLE_DRAWDOWN_TYPES.join(", ")}.`;
+    return "";
+  };
+
+  const handleSolve = () => {
+    const goalError = validateGoal();
+    if (goalError) {
+      setError(goalError);
+      return;
+    }
+    if (!validate()) {
+      setError("Correct the plan inputs above before solving.");
+      return;
+    }
+    stopWorker();
+    setError("");
+    setResult(null);
+    setSolving(true);
+
+    const goal = {
+      unknown: formData.goalUnknown,
+      targetAge: Number(formData.goalTargetAge),
+      confidence: parseFloat(formData.goalConfidence) / 100,
+    };
+    const drawdownType = formData.drawdownType;
+    const worker = new Worker(new URL("./solverWorker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.error) setError(data.error);
+      else setResult({ ...data, drawdownType, targetAge: goal.targetAge, targetConfidence: goal.confidence });
+      stopWorker();
+    };
+    worker.onerror = () => {
+      setError("The solver stopped unexpectedly. Check the inputs and try again.");
+      stopWorker();
+    };
+    worker.postMessage({ formData, goal });
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <h3 className="text-xl font-semibold mb-2">Goal Seek</h3>
+      <p className="text-sm">Finds the value of one input that makes the pot last to the target age in at least the chosen share of simulations, keeping every other input as entered.</p>
+      <label className="block">
+        Solve For:
+        <select name="goalUnknown" value={formData.goalUnknown} onChange={onChange} className="w-full p-2 border rounded">
+          {Object.entries(GOAL_UNKNOWN_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        Pot to Last to Age:
+        <input type="number" name="goalTargetAge" value={formData.goalTargetAge} onChange={onChange} className="w-full p-2 border rounded" />
+      </label>
+      <label className="block">
+        Confidence (% of simulations):
+        <input type="number" name="goalConfidence" value={formData.goalConfidence} onChange={onChange} className="w-full p-2 border rounded" />
+      </label>
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      {solving ? (
+        <>
+          <p className="text-sm mt-2">Solving…</p>
+          <button onClick={stopWorker} className="w-full p-2 mt-2 bg-red-500 text-white rounded">
+            Cancel
+          </button>
+        </>
+      ) : (
+        <button onClick={handleSolve} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+          Solve
+        </button>
+      )}
+      {result && (
+        result.value === null ? (
+          <p className="text-sm mt-2">
+            No {GOAL_UNKNOWN_LABELS[result.unknown]} makes the pot last to age {result.targetAge} in {formatPercent(result.targetConfidence, 0)} of simulations.
+          </p>
+        ) : (
+          <p className="text-sm mt-2">
+            {GOAL_UNKNOWN_LABELS[result.unknown]}: {formatGoalValue(result)}. The pot lasts to age {result.targetAge} in{" "}
+            {formatPercent(result.confidence, 1)} of simulations.
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+GoalSeekPanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  validate: PropTypes.func.isRequired,
+};
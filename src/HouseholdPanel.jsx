@@ -0,0 +1,79 @@
+import PropTypes from "prop-types";
+import { HOUSEHOLD_LABELS } from "./engine/household";
+import { HEALTH_LABELS, SEX_LABELS } from "./engine/mortality";
+
+// Numeric partner inputs, shown in this order
+const PARTNER_NUMBER_FIELDS = [
+  { name: "partnerAge", label: "Partner's Current Age" },
+  { name: "partnerSalary", label: "Partner's Current Salary" },
+  { name: "partnerCurrentPot", label: "Partner's Current Pot" },
+  { name: "partnerEmployeeContributionRate", label: "Partner's Employee Contribution Rate (%)" },
+  { name: "partnerEmployerContributionRate", label: "Partner's Employer Contribution Rate (%)" },
+  { name: "partnerRetirementAge", label: "Partner's Retirement Age" },
+];
+
+// Household inputs: a single person, or a couple with the partner's own pension, state pension and
+// life table, and what the survivor receives and spends after the first death.
+export default function HouseholdPanel({ formData, errors, onChange }) {
+  const numberInput = (name, label) => (
+    <label key={name} className="block">
+      {label}:
+      <input type="number" name={name} value={formData[name]} onChange={onChange} className="w-full p-2 border rounded" />
+      {errors[name] && <p className="text-red-500 text-sm mt-1">{errors[name]}</p>}
+    </label>
+  );
+  const labelledSelect = (name, label, labels) => (
+    <label className="block">
+      {label}:
+      <select name={name} value={formData[name]} onChange={onChange} className="w-full p-2 border rounded">
+        {Object.entries(labels).map(([value, optionLabel]) => (
+          <option key={value} value={value}>{optionLabel}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 mt-4">Household</h3>
+      {labelledSelect("household", "Plan For", HOUSEHOLD_LABELS)}
+      {formData.household === "couple" && (
+        <>
+          <p className="text-sm">
+            The inputs above are yours. Your partner&apos;s pot is invested alongside yours in the same funds, and drawdown starts when you retire,
+            with your partner contributing until their own retirement age. Contribution basis and tax relief method are shared.
+          </p>
+          {PARTNER_NUMBER_FIELDS.map(({ name, label }) => numberInput(name, label))}
+          {labelledSelect("partnerSex", "Partner's Sex", SEX_LABELS)}
+          {labelledSelect("partnerHealth", "Partner's Health", HEALTH_LABELS)}
+          <label className="block">
+            Partner&apos;s State Pension:
+            <select name="partnerIncludeStatePension" value={formData.partnerIncludeStatePension} onChange={onChange} className="w-full p-2 border rounded">
+              <option value="Yes - Standard">Yes - Standard</option>
+              <option value="Yes - Custom">Yes - Custom</option>
+              <option value="No">No</option>
+            </select>
+          </label>
+          {formData.partnerIncludeStatePension === "Yes - Standard" && numberInput("partnerNiQualifyingYears", "Partner's NI Qualifying Years")}
+          {formData.partnerIncludeStatePension === "Yes - Custom" && numberInput("partnerCustomStatePensionAnnual", "Partner's Custom State Pension Annual Amount")}
+          {formData.partnerIncludeStatePension !== "No" && (
+            <label className="block">
+              Partner&apos;s Date of Birth:
+              <input type="date" name="partnerDateOfBirth" value={formData.partnerDateOfBirth} onChange={onChange} className="w-full p-2 border rounded" />
+              {errors.partnerDateOfBirth && <p className="text-red-500 text-sm mt-1">{errors.partnerDateOfBirth}</p>}
+            </label>
+          )}
+          {numberInput("survivorPensionShare", "Survivor's Pension (% of the deceased's defined benefit and other pension income)")}
+          {numberInput("survivorStatePensionShare", "Survivor's State Pension (% of the deceased's state pension inherited)")}
+          {numberInput("survivorSpendingShare", "Survivor's Spending (% of the household's drawdown)")}
+        </>
+      )}
+    </div>
+  );
+}
+
+HouseholdPanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  errors: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
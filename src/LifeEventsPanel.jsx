@@ -0,0 +1,88 @@
+import PropTypes from "prop-types";
+import { createLifeEventEntry, LIFE_EVENT_TYPE_LABELS } from "./engine/lifeEvents";
+
+// Numeric inputs for each event type, shown in this order
+const LIFE_EVENT_FIELDS = {
+  careerBreak: [
+    { field: "age", label: "Age" },
+    { field: "years", label: "Years" },
+  ],
+  partTime: [
+    { field: "age", label: "Age" },
+    { field: "years", label: "Years" },
+    { field: "percentage", label: "Share of Full-Time Salary (%)" },
+  ],
+  payChange: [
+    { field: "age", label: "Age" },
+    { field: "percentage", label: "Change in Salary (%, negative for a fall)" },
+  ],
+  lumpSum: [
+    { field: "age", label: "Age" },
+    { field: "amount", label: "Amount Paid into the Pot (£, today's money)" },
+  ],
+  withdrawal: [
+    { field: "age", label: "Age" },
+    { field: "amount", label: "Amount Withdrawn (£, today's money)" },
+  ],
+};
+
+// Timeline of irregular events: breaks and changes in pay while working, lump sums paid in and
+// one-off withdrawals in retirement. onEventsChange receives the new list of events.
+export default function LifeEventsPanel({ formData, errors, onEventsChange }) {
+  const { lifeEvents } = formData;
+
+  const handleEventChange = (index, field, value) => {
+    onEventsChange(lifeEvents.map((event, i) => (i === index ? { ...event, [field]: value } : event)));
+  };
+
+  const handleAddEvent = () => {
+    onEventsChange([...lifeEvents, createLifeEventEntry()]);
+  };
+
+  const handleRemoveEvent = (index) => {
+    onEventsChange(lifeEvents.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 mt-4">Life Events</h3>
+      {lifeEvents.map((event, i) => (
+        <div key={i} className="border rounded p-2 mb-2">
+          <label className="block">
+            Event {i + 1}:
+            <select value={event.type} onChange={(e) => handleEventChange(i, "type", e.target.value)} className="w-full p-2 border rounded">
+              {Object.entries(LIFE_EVENT_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {LIFE_EVENT_FIELDS[event.type].map(({ field, label }) => (
+            <label key={field} className="block">
+              {label}:
+              <input type="number" value={event[field]} onChange={(e) => handleEventChange(i, field, e.target.value)} className="w-full p-2 border rounded" />
+            </label>
+          ))}
+          <button onClick={() => handleRemoveEvent(i)} className="p-1 mt-1 bg-red-500 text-white rounded">
+            Remove Event
+          </button>
+        </div>
+      ))}
+      {errors.lifeEvents && <p className="text-red-500 text-sm mt-1">{errors.lifeEvents}</p>}
+      <button onClick={handleAddEvent} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+        Add Life Event
+      </button>
+      {lifeEvents.length > 0 && (
+        <p className="text-sm mt-1">
+          Career breaks, part-time working and pay changes apply to your salary before retirement. Lump sums go into the pension, and
+          one-off withdrawals are taken on top of the drawdown, from the pension and savings in the withdrawal order.
+        </p>
+      )}
+    </div>
+  );
+}
+
+LifeEventsPanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  errors: PropTypes.object.isRequired,
+  onEventsChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,69 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { exportPlanFile, parsePlanFile } from "./planSharing";
+
+// Shareable link plus JSON export and import of the plan inputs
+export default function PlanSharePanel({ formData, onImport }) {
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  // The URL hash is kept in step with the inputs, so the current address is the shareable link
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage("Link copied to clipboard.");
+    } catch {
+      setMessage("Copy the link from the address bar to share this plan.");
+    }
+    setError("");
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportPlanFile(formData)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "retirement-plan.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      onImport(parsePlanFile(await file.text()));
+      setMessage(`Imported ${file.name}.`);
+      setError("");
+    } catch (importError) {
+      setError(importError.message);
+      setMessage("");
+    }
+    e.target.value = "";
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <h3 className="text-xl font-semibold mb-2">Share Plan</h3>
+      <div className="grid grid-cols-2 gap-8">
+        <button onClick={handleCopyLink} className="w-full p-2 bg-blue-500 text-white rounded">
+          Copy Shareable Link
+        </button>
+        <button onClick={handleExport} className="w-full p-2 bg-blue-500 text-white rounded">
+          Export Plan (JSON)
+        </button>
+      </div>
+      <label className="block mt-2">
+        Import Plan (JSON):
+        <input type="file" accept="application/json,.json" onChange={handleImport} className="w-full p-2 border rounded" />
+        {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      </label>
+      {message && <p className="text-sm mt-1">{message}</p>}
+    </div>
+  );
+}
+
+PlanSharePanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  onImport: PropTypes.func.isRequired,
+};
@@ -1,28 +1,86 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { Line } from "react-chartjs-2";
 import "chart.js/auto";
+import { DEFAULT_FORM_DATA } from "./defaultFormData";
+import ScenarioPanel from "./ScenarioPanel";
+import PlanSharePanel from "./PlanSharePanel";
+import GoalSeekPanel from "./GoalSeekPanel";
+import FundCatalogueEditor from "./FundCatalogueEditor";
+import AccountsPanel from "./AccountsPanel";
+import HouseholdPanel from "./HouseholdPanel";
+import LifeEventsPanel from "./LifeEventsPanel";
+import SpendingProfilePanel from "./SpendingProfilePanel";
+import StressTestPanel from "./StressTestPanel";
+import { getSavingsAccountNames, validateAccounts, WITHDRAWAL_ORDER_LABELS } from "./engine/accounts";
+import { alignFundCorrelations, getFundCorrelation, validateFundAssetMix, validateFundCatalogue, validateFundCorrelations } from "./engine/funds";
+import { HISTORICAL_SOURCE, HISTORICAL_YEARS } from "./engine/historical";
+import { decodePlanHash, encodePlanHash } from "./planSharing";
+import { createPlan } from "./engine/plan";
+import { getLifestylingSchedule } from "./engine/lifestyling";
+import { describeLifeEvent, getLifeEventMonth, validateLifeEvents } from "./engine/lifeEvents";
+import { describeSpendingProfile, validateSpendingProfile } from "./engine/spendingProfile";
+import { validateReturnSequence } from "./engine/stressTests";
+import { DRAWDOWN_ADJUSTMENT_LABELS, DRAWDOWN_TYPE_LABELS } from "./engine/drawdown";
+import { calculateHouseholdIncomeTax } from "./engine/tax";
+import { ANNUITY_LIFE_LABELS, ANNUITY_PRICING_LABELS, ANNUITY_TYPE_LABELS } from "./engine/annuity";
+import { getPartnerContributionPlan } from "./engine/household";
+import { getDeflator, MONEY_BASIS_LABELS, toTodaysMoney } from "./engine/inflation";
+import { getLifeExpectancyPercentiles, HEALTH_LABELS, LIFE_TABLE_SOURCE, LIFE_TABLES_ILLUSTRATIVE, PLANNING_HORIZON_LABELS, SEX_LABELS } from "./engine/mortality";
+import { calculateContributions, getAnnualAllowanceBreaches, TAX_RELIEF_METHOD_LABELS } from "./engine/contributions";
+import { formatStatePensionAge, getAgeOnDate, getStatePensionAge, getStatePensionAnnual, getStatePensionUpratingRate, getUpratedStatePension, STATE_PENSION_UPRATING_LABELS } from "./engine/statePension";
+
+// Marks life events on a chart with a star wherever hasEvent(index) holds, at the height of the given series.
+// The markers sit in their own stack so they are not added on top of stacked series.
+const lifeEventMarkers = (values, hasEvent) => ({
+  label: "Life Events",
+  data: values.map((value, i) => (hasEvent(i) ? value : null)),
+  borderColor: "magenta",
+  backgroundColor: "magenta",
+  pointStyle: "star",
+  pointRadius: 8,
+  showLine: false,
+  stack: "lifeEvents",
+});
+
+// Choices for the number of simulation runs
+const SIMULATION_COUNTS = [1000, 5000, 10000, 25000, 50000, 100000];
+
+// Marks the life expectancy percentile ages on a chart with a point for each age, at the height of the given series
+const lifeExpectancyMarkers = (percentiles, ages, values) => ({
+  label: "Life Expectancy Percentiles",
+  data: ages.map((age, i) => (percentiles.some((percentile) => Math.round(percentile.age) === age) ? values[i] : null)),
+  borderColor: "black",
+  backgroundColor: "black",
+  pointStyle: "crossRot",
+  pointRadius: 8,
+  showLine: false,
+});
+
+const formatLifeExpectancyPercentiles = (percentiles) =>
+  percentiles.map(({ percentile, age }) => `${(percentile * 100).toFixed(0)}% by ${age.toFixed(1)}`).join(", ");
+
+// Age the range of outcomes runs to
+const getHorizonAge = (outcomes) => outcomes.ages[outcomes.ages.length - 1];
+
+// The plan shared in the URL, or the defaults with the reason a shared plan could not be opened
+const readSharedPlan = () => {
+  try {
+    return { formData: decodePlanHash(window.location.hash) ?? DEFAULT_FORM_DATA, error: "" };
+  } catch (error) {
+    return { formData: DEFAULT_FORM_DATA, error: `The shared plan could not be opened, so the defaults are shown. ${error.message}` };
+  }
+};
 
 // Main component for the Retirement Planning Tool
 export default function RetirementForm() {
-  // Initial state with all inputs and defaults
-  const [formData, setFormData] = useState({
-    ageToLowRiskFund: "",
-    numFunds: "3",
-    funds: ["Future Advantage 1", "Future Advantage 3", "Future Advantage 5"],
-    age: "",
-    salary: "",
-    currentPot: "",
-    contributionRate: "",
-    retirementAge: "",
-    fundSelection: "Future Advantage 5",
-    drawdownType: "percentage",
-    drawdownPercentage: "",
-    drawdownFixed: "",
-    drawdownInitialPotPercentage: "",
-    inflationRate: "",
-    includeStatePension: "Yes - Standard", // Updated to three options
-    customStatePensionAnnual: "", // New field for custom annual amount
-  });
+  // Initial state with all inputs and defaults, or the plan shared in the URL
+  const [sharedPlan] = useState(readSharedPlan);
+  const [formData, setFormData] = useState(sharedPlan.formData);
+
+  // Keep the URL in step with the inputs so refreshing or sharing the link reopens the same plan
+  useEffect(() => {
+    window.history.replaceState(null, "", encodePlanHash(formData));
+  }, [formData]);
 
   // State to track validation errors
   const [errors, setErrors] = useState({});
@@ -30,7 +88,7 @@ export default function RetirementForm() {
   // Handles changes to all inputs, including dynamic fund selections
   const handleChange = (e) => {
     const { name, value } = e.target;
-    if (name.startsWith("fund")) {
+    if (/^fund\d+$/.test(name)) {
       // Update specific fund in the funds array
       const index = parseInt(name.replace("fund", ""));
       const newFunds = [...formData.funds];
@@ -39,7 +97,7 @@ export default function RetirementForm() {
     } else if (name === "numFunds") {
       // Adjust number of funds and resize funds array accordingly
       const num = parseInt(value);
-      const newFunds = formData.funds.slice(0, num).concat(Array(Math.max(0, num - formData.funds.length)).fill("Future Advantage 1"));
+      const newFunds = formData.funds.slice(0, num).concat(Array(Math.max(0, num - formData.funds.length)).fill(formData.fundCatalogue[0].name));
       setFormData({ ...formData, numFunds: value, funds: newFunds });
     } else {
       // Update other form fields directly
@@ -49,31 +107,85 @@ export default function RetirementForm() {
     setErrors({ ...errors, [name]: "" });
   };
 
-  // Fund data with annual returns and volatility
-  const fundData = {
-    "Future Advantage 1": { return: 0.025, volatility: 0.05 },
-    "Future Advantage 2": { return: 0.03, volatility: 0.0556 },
-    "Future Advantage 3": { return: 0.035, volatility: 0.0799 },
-    "Future Advantage 4": { return: 0.045, volatility: 0.1151 },
-    "Future Advantage 5": { return: 0.053, volatility: 0.1464 },
+  // Updates one platform fee tier's limit or rate
+  const handlePlatformFeeTierChange = (index, field, value) => {
+    const platformFeeTiers = formData.platformFeeTiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier));
+    setFormData({ ...formData, platformFeeTiers });
+    setErrors({ ...errors, platformFeeTiers: "" });
+  };
+
+  const handleAddPlatformFeeTier = () => {
+    setFormData({ ...formData, platformFeeTiers: [...formData.platformFeeTiers, { upTo: "", rate: "" }] });
   };
 
-  // Standard state pension values (used for "Yes - Standard")
-  const STANDARD_STATE_PENSION_ANNUAL = 11960;
-  const STANDARD_STATE_PENSION_MONTHLY = STANDARD_STATE_PENSION_ANNUAL / 12; // £996.67
+  const handleRemovePlatformFeeTier = (index) => {
+    setFormData({ ...formData, platformFeeTiers: formData.platformFeeTiers.filter((_, i) => i !== index) });
+  };
+
+  const handleAccountsChange = (accounts) => {
+    setFormData({ ...formData, accounts });
+    setErrors({ ...errors, accounts: "" });
+  };
+
+  const handleLifeEventsChange = (lifeEvents) => {
+    setFormData({ ...formData, lifeEvents });
+    setErrors({ ...errors, lifeEvents: "" });
+  };
+
+  const handleSpendingProfileChange = (spendingProfile) => {
+    setFormData({ ...formData, spendingProfile });
+    setErrors({ ...errors, spendingProfile: "" });
+  };
+
+  // Updates the fund catalogue, carrying fund selections through a rename and
+  // moving selections of a removed fund onto the first fund in the catalogue
+  const handleCatalogueChange = (fundCatalogue, rename = null, correlations = null) => {
+    const names = fundCatalogue.map((fund) => fund.name);
+    const resolveFund = (fund) =>
+      rename && fund === rename.from ? rename.to : names.includes(fund) ? fund : names[0];
+    const previousNames = formData.fundCatalogue.map((fund) => (rename && fund.name === rename.from ? rename.to : fund.name));
+    setFormData({
+      ...formData,
+      fundCatalogue,
+      fundCorrelations: correlations ?? alignFundCorrelations(formData.fundCorrelations, previousNames, names),
+      fundSelection: resolveFund(formData.fundSelection),
+      lifestylingTargetFund: resolveFund(formData.lifestylingTargetFund),
+      funds: formData.funds.map(resolveFund),
+      accounts: formData.accounts.map((account) => ({ ...account, fund: resolveFund(account.fund) })),
+    });
+    setErrors({ ...errors, fundCatalogue: "", fundCorrelations: "" });
+  };
+
+  // Sets the correlation between two funds, keeping the matrix symmetric
+  const handleCorrelationChange = (i, j, value) => {
+    const fundCorrelations = formData.fundCatalogue.map((_, row) =>
+      formData.fundCatalogue.map((_, column) => {
+        if ((row === i && column === j) || (row === j && column === i)) return value;
+        return String(getFundCorrelation(formData.fundCorrelations, row, column));
+      })
+    );
+    setFormData({ ...formData, fundCorrelations });
+    setErrors({ ...errors, fundCorrelations: "" });
+  };
 
   // Validates all inputs before running simulation
   const validateInputs = () => {
     const newErrors = {};
-    const { age, salary, currentPot, contributionRate, retirementAge, drawdownType, drawdownPercentage, drawdownFixed, drawdownInitialPotPercentage, ageToLowRiskFund, inflationRate, numFunds, funds, includeStatePension, customStatePensionAnnual } = formData;
+    const { age, salary, currentPot, employeeContributionRate, employerContributionRate, retirementAge, drawdownType, drawdownPercentage, drawdownFixed, drawdownInitialPotPercentage, ageToLowRiskFund, inflationRate, numFunds, funds, includeStatePension, customStatePensionAnnual, dateOfBirth, niQualifyingYears, earningsGrowthRate, statePensionUprating, customStatePensionUpratingRate, personalAllowance, higherRateThreshold, additionalRateThreshold } = formData;
     const fields = [
       { name: "age", label: "Current Age", value: age },
       { name: "salary", label: "Salary", value: salary },
       { name: "currentPot", label: "Current Pot", value: currentPot },
-      { name: "contributionRate", label: "Contribution Rate", value: contributionRate },
+      { name: "employeeContributionRate", label: "Employee Contribution Rate", value: employeeContributionRate },
+      { name: "employerContributionRate", label: "Employer Contribution Rate", value: employerContributionRate },
       { name: "retirementAge", label: "Retirement Age", value: retirementAge },
       { name: "ageToLowRiskFund", label: "Age to Low Risk Fund", value: ageToLowRiskFund },
       { name: "inflationRate", label: "Inflation Rate", value: inflationRate },
+      { name: "earningsGrowthRate", label: "Earnings Growth Rate", value: earningsGrowthRate },
+      { name: "personalAllowance", label: "Personal Allowance", value: personalAllowance },
+      { name: "higherRateThreshold", label: "Higher Rate Threshold", value: higherRateThreshold },
+      { name: "additionalRateThreshold", label: "Additional Rate Threshold", value: additionalRateThreshold },
+      { name: "adviserFee", label: "Adviser Fee", value: formData.adviserFee },
       { name: "numFunds", label: "Number of Funds", value: numFunds },
     ];
 
@@ -84,6 +196,53 @@ export default function RetirementForm() {
       fields.push({ name: "drawdownFixed", label: "Fixed Drawdown Amount", value: drawdownFixed });
     } else if (drawdownType === "initialPot") {
       fields.push({ name: "drawdownInitialPotPercentage", label: "Initial Pot Drawdown Percentage", value: drawdownInitialPotPercentage });
+    } else if (drawdownType === "guardrails") {
+      fields.push(
+        { name: "guardrailInitialRate", label: "Initial Withdrawal Rate", value: formData.guardrailInitialRate },
+        { name: "guardrailUpperLimit", label: "Upper Guardrail", value: formData.guardrailUpperLimit },
+        { name: "guardrailLowerLimit", label: "Lower Guardrail", value: formData.guardrailLowerLimit },
+        { name: "guardrailAdjustment", label: "Guardrail Adjustment", value: formData.guardrailAdjustment }
+      );
+    } else if (drawdownType === "floorCeiling") {
+      fields.push(
+        { name: "floorCeilingRate", label: "Withdrawal Rate", value: formData.floorCeilingRate },
+        { name: "floorCeilingFloor", label: "Floor", value: formData.floorCeilingFloor },
+        { name: "floorCeilingCeiling", label: "Ceiling", value: formData.floorCeilingCeiling }
+      );
+    } else if (drawdownType === "naturalYield") {
+      fields.push({ name: "naturalYieldRate", label: "Natural Yield", value: formData.naturalYieldRate });
+    } else if (drawdownType === "targetIncome") {
+      fields.push(
+        { name: "targetIncomeAnnual", label: "Target Annual Income", value: formData.targetIncomeAnnual },
+        { name: "solverTargetAge", label: "Income to Last to Age", value: formData.solverTargetAge }
+      );
+    }
+
+    // Annuity inputs apply only when buying one, and only those its type, life and pricing use
+    if (formData.annuityPurchase === "Yes") {
+      fields.push({ name: "annuityShare", label: "Share of Pot to Annuitise", value: formData.annuityShare });
+      if (formData.annuityType === "escalating")
+        fields.push({ name: "annuityEscalationRate", label: "Escalation Rate", value: formData.annuityEscalationRate });
+      // A couple's joint life annuity is for the partner unless another spouse's age is given
+      if (formData.annuityLife === "joint" && (formData.household !== "couple" || formData.annuitySpouseAge))
+        fields.push({ name: "annuitySpouseAge", label: "Spouse's Current Age", value: formData.annuitySpouseAge });
+      if (formData.annuityLife === "joint")
+        fields.push({ name: "annuityJointProportion", label: "Income to Spouse", value: formData.annuityJointProportion });
+      if (formData.annuityPricing === "rates") {
+        fields.push({ name: "annuityRate", label: "Annuity Rate", value: formData.annuityRate });
+      } else {
+        fields.push({ name: "annuityDiscountRate", label: "Discount Rate", value: formData.annuityDiscountRate });
+      }
+      if (formData.annuityAge) fields.push({ name: "annuityAge", label: "Annuity Purchase Age", value: formData.annuityAge });
+      if (formData.annuityGuaranteeYears) fields.push({ name: "annuityGuaranteeYears", label: "Guarantee Period", value: formData.annuityGuaranteeYears });
+    }
+
+    // Other income is optional, so only check it once entered
+    if (formData.otherIncomeAnnual) {
+      fields.push({ name: "otherIncomeAnnual", label: "Other Income", value: formData.otherIncomeAnnual });
+    }
+    if (formData.otherIncomeStartAge) {
+      fields.push({ name: "otherIncomeStartAge", label: "Other Income Start Age", value: formData.otherIncomeStartAge });
     }
 
     // Add custom state pension field if "Yes - Custom" is selected
@@ -91,6 +250,45 @@ export default function RetirementForm() {
       fields.push({ name: "customStatePensionAnnual", label: "Custom State Pension Annual Amount", value: customStatePensionAnnual });
     }
 
+    // Custom uprating rate only applies when the state pension is included
+    if (includeStatePension !== "No" && statePensionUprating === "custom") {
+      fields.push({ name: "customStatePensionUpratingRate", label: "Custom State Pension Uprating Rate", value: customStatePensionUpratingRate });
+    }
+
+    // Glide path length only applies with lifestyling
+    if (formData.lifestyling === "glidePath") {
+      fields.push({ name: "lifestylingYears", label: "Glide Path Years", value: formData.lifestylingYears });
+    }
+
+    // NI qualifying years only apply to the standard state pension
+    if (includeStatePension === "Yes - Standard") {
+      fields.push({ name: "niQualifyingYears", label: "NI Qualifying Years", value: niQualifyingYears });
+    }
+
+    // A couple needs the partner's ages and the survivor's shares; a partner's salary and pot are
+    // optional, so only checked once entered
+    if (formData.household === "couple") {
+      fields.push(
+        { name: "partnerAge", label: "Partner's Current Age", value: formData.partnerAge },
+        { name: "partnerRetirementAge", label: "Partner's Retirement Age", value: formData.partnerRetirementAge },
+        { name: "survivorPensionShare", label: "Survivor's Pension", value: formData.survivorPensionShare },
+        { name: "survivorStatePensionShare", label: "Survivor's State Pension", value: formData.survivorStatePensionShare },
+        { name: "survivorSpendingShare", label: "Survivor's Spending", value: formData.survivorSpendingShare }
+      );
+      fields.push(
+        ...[
+          { name: "partnerSalary", label: "Partner's Current Salary" },
+          { name: "partnerCurrentPot", label: "Partner's Current Pot" },
+          { name: "partnerEmployeeContributionRate", label: "Partner's Employee Contribution Rate" },
+          { name: "partnerEmployerContributionRate", label: "Partner's Employer Contribution Rate" },
+        ].filter(({ name }) => formData[name]).map((field) => ({ ...field, value: formData[field.name] }))
+      );
+      if (formData.partnerIncludeStatePension === "Yes - Standard")
+        fields.push({ name: "partnerNiQualifyingYears", label: "Partner's NI Qualifying Years", value: formData.partnerNiQualifyingYears });
+      if (formData.partnerIncludeStatePension === "Yes - Custom")
+        fields.push({ name: "partnerCustomStatePensionAnnual", label: "Partner's Custom State Pension Annual Amount", value: formData.partnerCustomStatePensionAnnual });
+    }
+
     // Check for valid numbers
     for (const field of fields) {
       if (!field.value || isNaN(parseFloat(field.value))) {
@@ -98,6 +296,50 @@ export default function RetirementForm() {
       }
     }
 
+    const fundCatalogueError = validateFundCatalogue(formData.fundCatalogue)
+      || (formData.simulationMode === "historical" ? validateFundAssetMix(formData.fundCatalogue, funds.slice(0, parseInt(numFunds))) : "");
+    if (fundCatalogueError) newErrors.fundCatalogue = fundCatalogueError;
+    const fundCorrelationsError = validateFundCorrelations(formData.fundCatalogue, formData.fundCorrelations);
+    if (fundCorrelationsError) newErrors.fundCorrelations = fundCorrelationsError;
+    const parsedDegreesOfFreedom = Number(formData.returnDegreesOfFreedom);
+    if (formData.returnModel === "studentT" && (!Number.isInteger(parsedDegreesOfFreedom) || parsedDegreesOfFreedom < 3 || parsedDegreesOfFreedom > 30))
+      newErrors.returnDegreesOfFreedom = "Degrees of Freedom must be a whole number between 3 and 30.";
+    const parsedSimulations = Number(formData.simulations);
+    if (!Number.isInteger(parsedSimulations) || parsedSimulations < 1000 || parsedSimulations > 100000)
+      newErrors.simulations = "Number of Simulations must be a whole number between 1,000 and 100,000.";
+
+    // Platform fee tiers need rising limits, with a blank limit allowed only on the last tier
+    formData.platformFeeTiers.forEach((tier, i) => {
+      const isLast = i === formData.platformFeeTiers.length - 1;
+      const rate = parseFloat(tier.rate);
+      const upTo = parseFloat(tier.upTo);
+      const previousUpTo = i > 0 ? parseFloat(formData.platformFeeTiers[i - 1].upTo) : 0;
+      if (isNaN(rate) || rate < 0 || rate > 5) {
+        newErrors.platformFeeTiers = `Platform Fee Tier ${i + 1} rate must be between 0% and 5%.`;
+      } else if (tier.upTo === "" ? !isLast : isNaN(upTo) || upTo <= previousUpTo) {
+        newErrors.platformFeeTiers = `Platform Fee Tier ${i + 1} limit must be above the previous tier's, and only the last tier can be blank.`;
+      }
+    });
+
+    const accountsError = validateAccounts(formData.accounts, formData.fundCatalogue.map((fund) => fund.name));
+    if (accountsError) newErrors.accounts = accountsError;
+    const lifeEventsError = validateLifeEvents(formData.lifeEvents, parseInt(age), parseInt(retirementAge));
+    if (lifeEventsError) newErrors.lifeEvents = lifeEventsError;
+    const spendingProfileError = validateSpendingProfile(formData.spendingProfile, parseInt(retirementAge));
+    if (spendingProfileError) newErrors.spendingProfile = spendingProfileError;
+    const stressTestSequenceError = validateReturnSequence(formData.stressTestSequence);
+    if (stressTestSequenceError) newErrors.stressTestSequence = stressTestSequenceError;
+
+    // Date of birth sets State Pension Age whenever a state pension is included
+    if (includeStatePension !== "No" && (!dateOfBirth || isNaN(Date.parse(dateOfBirth)) || Date.parse(dateOfBirth) > Date.now())) {
+      newErrors.dateOfBirth = "Date of Birth must be a valid date in the past.";
+    }
+    const { partnerDateOfBirth } = formData;
+    if (formData.household === "couple" && formData.partnerIncludeStatePension !== "No"
+      && (!partnerDateOfBirth || isNaN(Date.parse(partnerDateOfBirth)) || Date.parse(partnerDateOfBirth) > Date.now())) {
+      newErrors.partnerDateOfBirth = "Partner's Date of Birth must be a valid date in the past.";
+    }
+
     if (Object.keys(newErrors).length > 0) {
       setErrors(newErrors);
       return false;
@@ -108,36 +350,139 @@ export default function RetirementForm() {
     const parsedRetirementAge = parseInt(retirementAge);
     const parsedSalary = parseFloat(salary);
     const parsedCurrentPot = parseFloat(currentPot);
-    const parsedContributionRate = parseFloat(contributionRate);
+    const parsedEmployeeContributionRate = parseFloat(employeeContributionRate);
+    const parsedEmployerContributionRate = parseFloat(employerContributionRate);
     const parsedDrawdownPercentage = parseFloat(drawdownPercentage);
     const parsedDrawdownFixed = parseFloat(drawdownFixed);
     const parsedDrawdownInitialPotPercentage = parseFloat(drawdownInitialPotPercentage);
     const parsedAgeToLowRiskFund = parseInt(ageToLowRiskFund);
     const parsedInflationRate = parseFloat(inflationRate);
+    const parsedEarningsGrowthRate = parseFloat(earningsGrowthRate);
+    const parsedCustomStatePensionUpratingRate = parseFloat(customStatePensionUpratingRate);
     const parsedNumFunds = parseInt(numFunds);
     const parsedCustomStatePensionAnnual = parseFloat(customStatePensionAnnual);
+    const parsedNiQualifyingYears = parseInt(niQualifyingYears);
+    const parsedPersonalAllowance = parseFloat(personalAllowance);
+    const parsedHigherRateThreshold = parseFloat(higherRateThreshold);
+    const parsedAdditionalRateThreshold = parseFloat(additionalRateThreshold);
 
     // Range and logic checks
     if (parsedAge <= 0) newErrors.age = "Current Age must be positive.";
+    // A date of birth given must agree with the age, as both set the year of birth for the life tables
+    const isPastDate = (date) => date && !isNaN(Date.parse(date)) && Date.parse(date) <= Date.now();
+    if (!newErrors.dateOfBirth && isPastDate(dateOfBirth) && getAgeOnDate(dateOfBirth) !== parsedAge) {
+      newErrors.dateOfBirth = `Date of Birth gives a Current Age of ${getAgeOnDate(dateOfBirth)}, not ${age}.`;
+    }
+    if (formData.household === "couple" && !newErrors.partnerDateOfBirth && isPastDate(partnerDateOfBirth)
+      && getAgeOnDate(partnerDateOfBirth) !== parseInt(formData.partnerAge)) {
+      newErrors.partnerDateOfBirth = `Partner's Date of Birth gives an age of ${getAgeOnDate(partnerDateOfBirth)}, not ${formData.partnerAge}.`;
+    }
     if (parsedRetirementAge <= parsedAge) newErrors.retirementAge = "Retirement Age must be greater than Current Age.";
     if (parsedSalary <= 0) newErrors.salary = "Salary must be positive.";
     if (parsedCurrentPot < 0) newErrors.currentPot = "Current Pot cannot be negative.";
-    if (parsedContributionRate <= 0 || parsedContributionRate > 100)
-      newErrors.contributionRate = "Contribution Rate must be between 0 and 100%.";
+    if (parsedEmployeeContributionRate < 0 || parsedEmployeeContributionRate > 100)
+      newErrors.employeeContributionRate = "Employee Contribution Rate must be between 0 and 100%.";
+    if (parsedEmployerContributionRate < 0 || parsedEmployerContributionRate > 100)
+      newErrors.employerContributionRate = "Employer Contribution Rate must be between 0 and 100%.";
+    if (parsedEmployeeContributionRate + parsedEmployerContributionRate <= 0)
+      newErrors.employeeContributionRate = "Total Contribution Rate must be greater than 0%.";
     if (drawdownType === "percentage" && (parsedDrawdownPercentage <= 0 || parsedDrawdownPercentage > 100))
       newErrors.drawdownPercentage = "Drawdown Percentage must be between 0 and 100%.";
     if (drawdownType === "fixed" && parsedDrawdownFixed <= 0)
       newErrors.drawdownFixed = "Fixed Drawdown Amount must be positive.";
     if (drawdownType === "initialPot" && (parsedDrawdownInitialPotPercentage <= 0 || parsedDrawdownInitialPotPercentage > 100))
       newErrors.drawdownInitialPotPercentage = "Initial Pot Drawdown Percentage must be between 0 and 100%.";
+    if (drawdownType === "guardrails") {
+      if (parseFloat(formData.guardrailInitialRate) <= 0 || parseFloat(formData.guardrailInitialRate) > 20)
+        newErrors.guardrailInitialRate = "Initial Withdrawal Rate must be between 0 and 20%.";
+      if (parseFloat(formData.guardrailUpperLimit) <= 0 || parseFloat(formData.guardrailUpperLimit) > 100)
+        newErrors.guardrailUpperLimit = "Upper Guardrail must be between 0 and 100%.";
+      if (parseFloat(formData.guardrailLowerLimit) <= 0 || parseFloat(formData.guardrailLowerLimit) >= 100)
+        newErrors.guardrailLowerLimit = "Lower Guardrail must be between 0 and 100%.";
+      if (parseFloat(formData.guardrailAdjustment) <= 0 || parseFloat(formData.guardrailAdjustment) > 50)
+        newErrors.guardrailAdjustment = "Guardrail Adjustment must be between 0 and 50%.";
+    }
+    if (drawdownType === "floorCeiling") {
+      if (parseFloat(formData.floorCeilingRate) <= 0 || parseFloat(formData.floorCeilingRate) > 20)
+        newErrors.floorCeilingRate = "Withdrawal Rate must be between 0 and 20%.";
+      if (parseFloat(formData.floorCeilingFloor) < 0 || parseFloat(formData.floorCeilingFloor) > 50)
+        newErrors.floorCeilingFloor = "Floor must be between 0 and 50%.";
+      if (parseFloat(formData.floorCeilingCeiling) < 0 || parseFloat(formData.floorCeilingCeiling) > 50)
+        newErrors.floorCeilingCeiling = "Ceiling must be between 0 and 50%.";
+    }
+    if (drawdownType === "naturalYield" && (parseFloat(formData.naturalYieldRate) <= 0 || parseFloat(formData.naturalYieldRate) > 15))
+      newErrors.naturalYieldRate = "Natural Yield must be between 0 and 15%.";
+    if (drawdownType === "targetIncome") {
+      if (parseFloat(formData.targetIncomeAnnual) <= 0)
+        newErrors.targetIncomeAnnual = "Target Annual Income must be positive.";
+      if (parseInt(formData.solverTargetAge) <= parsedRetirementAge || parseInt(formData.solverTargetAge) > 100)
+        newErrors.solverTargetAge = "Income to Last to Age must be after the Retirement Age and no more than 100.";
+    }
+    if (formData.annuityPurchase === "Yes") {
+      if (parseFloat(formData.annuityShare) <= 0 || parseFloat(formData.annuityShare) >= 100)
+        newErrors.annuityShare = "Share of Pot to Annuitise must be between 0 and 100%, leaving some pot for drawdown.";
+      if (parseFloat(formData.annuityAge) < parsedRetirementAge || parseFloat(formData.annuityAge) >= 100)
+        newErrors.annuityAge = "Annuity Purchase Age must be from the Retirement Age and before 100.";
+      if (formData.annuityType === "escalating" && (parseFloat(formData.annuityEscalationRate) <= 0 || parseFloat(formData.annuityEscalationRate) > 10))
+        newErrors.annuityEscalationRate = "Escalation Rate must be between 0 and 10%.";
+      if (formData.annuityLife === "joint" && (parseInt(formData.annuitySpouseAge) < 18 || parseInt(formData.annuitySpouseAge) >= 100))
+        newErrors.annuitySpouseAge = "Spouse's Current Age must be between 18 and 99.";
+      if (formData.annuityLife === "joint" && (parseFloat(formData.annuityJointProportion) < 0 || parseFloat(formData.annuityJointProportion) > 100))
+        newErrors.annuityJointProportion = "Income to Spouse must be between 0 and 100%.";
+      if (parseInt(formData.annuityGuaranteeYears) < 0 || parseInt(formData.annuityGuaranteeYears) > 30)
+        newErrors.annuityGuaranteeYears = "Guarantee Period must be between 0 and 30 years.";
+      if (formData.annuityPricing === "rates" && (parseFloat(formData.annuityRate) <= 0 || parseFloat(formData.annuityRate) > 30))
+        newErrors.annuityRate = "Annuity Rate must be between 0 and 30%.";
+      if (formData.annuityPricing === "mortality" && (parseFloat(formData.annuityDiscountRate) < 0 || parseFloat(formData.annuityDiscountRate) > 15))
+        newErrors.annuityDiscountRate = "Discount Rate must be between 0% and 15%.";
+    }
+    if (parseFloat(formData.otherIncomeAnnual) < 0) newErrors.otherIncomeAnnual = "Other Income cannot be negative.";
+    if (parseFloat(formData.otherIncomeStartAge) < parsedAge || parseFloat(formData.otherIncomeStartAge) > 100)
+      newErrors.otherIncomeStartAge = "Other Income Start Age must be between the Current Age and 100.";
     if (parsedAgeToLowRiskFund < parsedRetirementAge)
       newErrors.ageToLowRiskFund = "Age to Low Risk Fund must be at least the Retirement Age.";
+    if (formData.lifestyling === "glidePath" && (parseInt(formData.lifestylingYears) < 1 || parseInt(formData.lifestylingYears) > parsedRetirementAge - parsedAge))
+      newErrors.lifestylingYears = "Glide Path Years must be between 1 and the years to retirement.";
     if (parsedInflationRate < 0 || parsedInflationRate > 20)
       newErrors.inflationRate = "Inflation Rate must be between 0% and 20%.";
+    if (parsedEarningsGrowthRate < 0 || parsedEarningsGrowthRate > 20)
+      newErrors.earningsGrowthRate = "Earnings Growth Rate must be between 0% and 20%.";
+    if (includeStatePension !== "No" && statePensionUprating === "custom" && (parsedCustomStatePensionUpratingRate < 0 || parsedCustomStatePensionUpratingRate > 20))
+      newErrors.customStatePensionUpratingRate = "Custom State Pension Uprating Rate must be between 0% and 20%.";
     if (parsedNumFunds < 1 || parsedNumFunds > 5)
       newErrors.numFunds = "Number of Funds must be between 1 and 5.";
     if (includeStatePension === "Yes - Custom" && parsedCustomStatePensionAnnual <= 0)
       newErrors.customStatePensionAnnual = "Custom State Pension Annual Amount must be positive.";
+    if (includeStatePension === "Yes - Standard" && (parsedNiQualifyingYears < 0 || parsedNiQualifyingYears > 50))
+      newErrors.niQualifyingYears = "NI Qualifying Years must be between 0 and 50.";
+    if (parsedPersonalAllowance < 0) newErrors.personalAllowance = "Personal Allowance cannot be negative.";
+    if (parsedHigherRateThreshold <= parsedPersonalAllowance)
+      newErrors.higherRateThreshold = "Higher Rate Threshold must be greater than the Personal Allowance.";
+    if (parsedAdditionalRateThreshold <= parsedHigherRateThreshold)
+      newErrors.additionalRateThreshold = "Additional Rate Threshold must be greater than the Higher Rate Threshold.";
+    if (parseFloat(formData.adviserFee) < 0) newErrors.adviserFee = "Adviser Fee cannot be negative.";
+    if (formData.household === "couple") {
+      const parsedPartnerAge = parseInt(formData.partnerAge);
+      if (parsedPartnerAge < 18 || parsedPartnerAge >= 100) newErrors.partnerAge = "Partner's Current Age must be between 18 and 99.";
+      if (parseInt(formData.partnerRetirementAge) <= parsedPartnerAge)
+        newErrors.partnerRetirementAge = "Partner's Retirement Age must be greater than Partner's Current Age.";
+      if (parseFloat(formData.partnerSalary) < 0) newErrors.partnerSalary = "Partner's Current Salary cannot be negative.";
+      if (parseFloat(formData.partnerCurrentPot) < 0) newErrors.partnerCurrentPot = "Partner's Current Pot cannot be negative.";
+      if (parseFloat(formData.partnerEmployeeContributionRate) < 0 || parseFloat(formData.partnerEmployeeContributionRate) > 100)
+        newErrors.partnerEmployeeContributionRate = "Partner's Employee Contribution Rate must be between 0 and 100%.";
+      if (parseFloat(formData.partnerEmployerContributionRate) < 0 || parseFloat(formData.partnerEmployerContributionRate) > 100)
+        newErrors.partnerEmployerContributionRate = "Partner's Employer Contribution Rate must be between 0 and 100%.";
+      if (formData.partnerIncludeStatePension === "Yes - Custom" && parseFloat(formData.partnerCustomStatePensionAnnual) <= 0)
+        newErrors.partnerCustomStatePensionAnnual = "Partner's Custom State Pension Annual Amount must be positive.";
+      if (formData.partnerIncludeStatePension === "Yes - Standard" && (parseInt(formData.partnerNiQualifyingYears) < 0 || parseInt(formData.partnerNiQualifyingYears) > 50))
+        newErrors.partnerNiQualifyingYears = "Partner's NI Qualifying Years must be between 0 and 50.";
+      if (parseFloat(formData.survivorPensionShare) < 0 || parseFloat(formData.survivorPensionShare) > 100)
+        newErrors.survivorPensionShare = "Survivor's Pension must be between 0 and 100%.";
+      if (parseFloat(formData.survivorStatePensionShare) < 0 || parseFloat(formData.survivorStatePensionShare) > 100)
+        newErrors.survivorStatePensionShare = "Survivor's State Pension must be between 0 and 100%.";
+      if (parseFloat(formData.survivorSpendingShare) < 0 || parseFloat(formData.survivorSpendingShare) > 100)
+        newErrors.survivorSpendingShare = "Survivor's Spending must be between 0 and 100%.";
+    }
 
     if (Object.keys(newErrors).length > 0) {
       setErrors(newErrors);
@@ -148,165 +493,19 @@ export default function RetirementForm() {
     return true;
   };
 
-  // Simulates the accumulation phase until retirement
-  const simulateAccumulation = () => {
-    const { return: meanReturn, volatility } = fundData[formData.fundSelection];
-    const years = formData.retirementAge - formData.age;
-    const simulations = 1000;
-    const results = [];
-    const inflationRate = parseFloat(formData.inflationRate) / 100;
-
-    for (let i = 0; i < simulations; i++) {
-      let pot = parseFloat(formData.currentPot);
-      let salary = parseFloat(formData.salary);
-      let contributionRate = parseFloat(formData.contributionRate) / 100;
-      let yearlyBalances = [];
-
-      for (let year = 0; year < years; year++) {
-        let contribution = salary * contributionRate;
-        let annualReturn = meanReturn + volatility * (Math.random() * 2 - 1);
-        pot = (pot + contribution) * (1 + annualReturn);
-        yearlyBalances.push(pot);
-        salary *= (1 + inflationRate);
-      }
-      results.push(yearlyBalances);
-    }
-
-    const percentiles = Array.from({ length: years }, (_, i) =>
-      results.map((run) => run[i]).sort((a, b) => a - b)
-    );
-
-    const getPercentile = (data, percentile) => {
-      const index = Math.floor(percentile * data.length);
-      return data[index];
-    };
-
-    const p25 = percentiles.map((row) => getPercentile(row, 0.25));
-    const p50 = percentiles.map((row) => getPercentile(row, 0.5));
-    const p75 = percentiles.map((row) => getPercentile(row, 0.75));
-
-    return { p25, p50, p75 };
-  };
-
-  // Simulates the decumulation phase after retirement
-  const simulateDecumulation = (startingPot) => {
-    if (!startingPot || isNaN(startingPot) || startingPot <= 0) 
-      return { funds: [Array(12).fill(0)], withdrawals: [0], annualWithdrawals: [0], statePensionMonthlyValues: [0], statePensionAnnualValues: [0] };
-
-    const numFunds = parseInt(formData.numFunds);
-    const pots = Array(numFunds).fill(startingPot / numFunds);
-    const returns = formData.funds.map(fund => fundData[fund].return / 12);
-    const fundBalances = Array(numFunds).fill([]).map(() => []);
-
-    const drawdownRate = formData.drawdownType === "percentage" ? parseFloat(formData.drawdownPercentage) / 100 / 12 : 0;
-    let baseDrawdownFixed = formData.drawdownType === "fixed" ? parseFloat(formData.drawdownFixed) 
-      : formData.drawdownType === "initialPot" ? (startingPot * parseFloat(formData.drawdownInitialPotPercentage) / 100) / 12 : 0;
-    const inflationRate = parseFloat(formData.inflationRate) / 100;
-    const switchAge = parseInt(formData.ageToLowRiskFund);
-    const retirementAge = parseInt(formData.retirementAge);
-    const includeStatePension = formData.includeStatePension; // "No", "Yes - Standard", or "Yes - Custom"
-    const maxMonths = (100 - retirementAge) * 12;
-    let age = retirementAge;
-    let months = 0;
-    let withdrawals = [];
-    let annualWithdrawals = [];
-    let currentYearWithdrawals = 0;
-    let movedFunds = Array(numFunds - 1).fill(false);
-    let currentDrawdownFixed = baseDrawdownFixed;
-    // Set initial state pension based on selection
-    let currentStatePensionAnnual = includeStatePension === "Yes - Standard" ? STANDARD_STATE_PENSION_ANNUAL 
-      : includeStatePension === "Yes - Custom" ? parseFloat(formData.customStatePensionAnnual) 
-      : 0;
-    let currentStatePensionMonthly = currentStatePensionAnnual / 12;
-    let statePensionMonthlyValues = [];
-    let statePensionAnnualValues = [];
-
-    while (pots.reduce((sum, pot) => sum + pot, 0) > 0 && months < maxMonths) {
-      let withdrawal = formData.drawdownType === "percentage" 
-        ? pots.reduce((sum, pot) => sum + pot, 0) * drawdownRate 
-        : currentDrawdownFixed;
-      withdrawal = Math.min(withdrawal, pots[0]);
-      pots[0] -= withdrawal;
-      currentYearWithdrawals += withdrawal;
-
-      for (let i = 0; i < numFunds; i++) {
-        pots[i] = Math.max(0, pots[i] * (1 + returns[i]));
-      }
-
-      if (months % 12 === 11) {
-        const activeFunds = pots.filter(pot => pot > 0).length;
-        if (activeFunds > 1) {
-          const total = pots.reduce((sum, pot) => sum + pot, 0);
-          const activePots = pots.map(pot => pot > 0 ? total / activeFunds : 0);
-          for (let i = 0; i < numFunds; i++) {
-            pots[i] = activePots[i];
-          }
-        }
-      }
-
-      for (let i = 0; i < numFunds - 1; i++) {
-        if (pots[0] < withdrawal * 12 && !movedFunds[i] && pots[i + 1] > 0) {
-          pots[0] += pots[i + 1];
-          pots[i + 1] = 0;
-          movedFunds[i] = true;
-          break;
-        }
-      }
-
-      if (age >= switchAge && pots.slice(1).some(pot => pot > 0)) {
-        const totalRemaining = pots.slice(1).reduce((sum, pot) => sum + pot, 0);
-        pots[0] += totalRemaining;
-        for (let i = 1; i < numFunds; i++) pots[i] = 0;
-        movedFunds.fill(true);
-      }
-
-      if (months % 12 === 11) {
-        annualWithdrawals.push(currentYearWithdrawals);
-        statePensionAnnualValues.push(currentStatePensionAnnual);
-        currentYearWithdrawals = 0;
-        if (formData.drawdownType === "fixed" || formData.drawdownType === "initialPot") {
-          currentDrawdownFixed *= (1 + inflationRate);
-        }
-        // Apply inflation to state pension if included
-        if (includeStatePension !== "No") {
-          currentStatePensionMonthly *= (1 + inflationRate);
-          currentStatePensionAnnual *= (1 + inflationRate);
-        }
-      }
-
-      for (let i = 0; i < numFunds; i++) {
-        fundBalances[i].push(pots[i]);
-      }
-      withdrawals.push(withdrawal);
-      statePensionMonthlyValues.push(currentStatePensionMonthly);
-
-      if (pots.reduce((sum, pot) => sum + pot, 0) < 1) {
-        if (currentYearWithdrawals > 0) annualWithdrawals.push(currentYearWithdrawals);
-        break;
-      }
-
-      months++;
-      age = retirementAge + Math.floor(months / 12);
-    }
-
-    return { funds: fundBalances, withdrawals, annualWithdrawals, statePensionMonthlyValues, statePensionAnnualValues };
-  };
-
-  // Runs simulations and updates charts
-  const handleCalculate = () => {
-    if (!validateInputs()) return;
-
-    const { p25, p50, p75 } = simulateAccumulation();
-    const accumulationLabels = Array.from(
-      { length: p50.length },
-      (_, i) => parseInt(formData.age) + i
-    );
+  // Shows the accumulation percentiles, including partial ones while runs are still arriving
+  const showAccumulation = ({ p25, p50, p75, partnerShareP50, savingsP50 }) => {
+    // Life events before retirement are marked in the year they happen
+    const eventYears = formData.lifeEvents
+      .map((event) => Math.floor(parseFloat(event.age) - parseInt(formData.age)))
+      .filter((year) => year < p50.length);
     setAccumulationChartData({
-      labels: accumulationLabels,
+      labels: Array.from({ length: p50.length }, (_, i) => parseInt(formData.age) + i),
       datasets: [
         { label: "25th Percentile", data: p25, borderColor: "red", fill: false },
         { label: "50th Percentile", data: p50, borderColor: "blue", fill: false },
         { label: "75th Percentile", data: p75, borderColor: "green", fill: false },
+        ...(eventYears.length > 0 ? [lifeEventMarkers(p50, (year) => eventYears.includes(year))] : []),
       ],
     });
 
@@ -314,13 +513,49 @@ export default function RetirementForm() {
       p25: p25[p25.length - 1],
       p50: p50[p50.length - 1],
       p75: p75[p75.length - 1],
+      partnerShare: partnerShareP50,
+      savings: getSavingsAccountNames(formData.accounts).map((name, i) => ({ name, share: savingsP50[i].share })),
     });
+  };
 
-    const decumulationResults = simulateDecumulation(p50[p50.length - 1]);
+  // Shows everything that follows from the finished simulations: income in retirement from the
+  // median pot, tax, charges, stress tests and the range of outcomes
+  const showRetirement = (plan, { accumulation, outcomes: outcomeResults, deathAges, projection: decumulationResults, stressTests }) => {
+    const { p50, chargesP50, realChargesP50, partnerShareP50 } = accumulation;
+    const accumulationLabels = Array.from(
+      { length: p50.length },
+      (_, i) => parseInt(formData.age) + i
+    );
+    // A couple's projection assumes each of them dies at their median age from the life tables
+    setHouseholdDeathAges(deathAges);
+    setStressTestData(stressTests);
+    const savingsAccountNames = getSavingsAccountNames(plan.accounts);
+    const hasDefinedBenefit = plan.accounts.some((account) => account.type === "definedBenefit");
     const decumulationLabels = Array.from(
       { length: decumulationResults.funds[0].length },
       (_, i) => parseInt(formData.retirementAge) + Math.floor(i / 12)
     );
+    // Marks the points where a dynamic drawdown strategy adjusted income, at the height of each point's total.
+    // The markers sit in their own stack so they are not added on top of the stacked series.
+    const adjustmentMonths = new Set(decumulationResults.adjustments.map((adjustment) => adjustment.month));
+    const adjustmentMarkers = (totals, isAdjusted) => ({
+      label: "Income Adjusted",
+      data: totals.map((total, i) => (isAdjusted(i) ? total : null)),
+      borderColor: "black",
+      backgroundColor: "black",
+      pointStyle: "triangle",
+      pointRadius: 6,
+      showLine: false,
+      stack: "adjustments",
+    });
+    const isAdjustedMonth = (month) => adjustmentMonths.has(month);
+    const isAdjustedYear = (year) => adjustmentMonths.has(year * 12);
+    // Life events in retirement are marked in the month, or the year, they happen
+    const lifeEventMonths = plan.lifeEvents.map((event) => getLifeEventMonth(plan, event)).filter((month) => month !== null);
+    const isLifeEventMonth = (month) => lifeEventMonths.includes(month);
+    const isLifeEventYear = (year) => lifeEventMonths.some((month) => Math.floor(month / 12) === year);
+    setDrawdownAdjustments(decumulationResults.adjustments.map((adjustment) => ({ age: plan.retirementAge + adjustment.month / 12, type: adjustment.type })));
+
     const colors = [
       { background: "rgba(128, 0, 128, 0.5)", border: "purple" },
       { background: "rgba(255, 165, 0, 0.5)", border: "orange" },
@@ -328,15 +563,32 @@ export default function RetirementForm() {
       { background: "rgba(255, 0, 0, 0.5)", border: "red" },
       { background: "rgba(0, 255, 0, 0.5)", border: "green" },
     ];
+    const savingsColors = [
+      { background: "rgba(0, 191, 255, 0.5)", border: "deepskyblue" },
+      { background: "rgba(218, 165, 32, 0.5)", border: "goldenrod" },
+      { background: "rgba(112, 128, 144, 0.5)", border: "slategray" },
+    ];
+    const potTotals = decumulationResults.funds[0].map((_, month) => [...decumulationResults.funds, ...decumulationResults.savings].reduce((sum, balances) => sum + balances[month], 0));
     setDecumulationChartData({
       labels: decumulationLabels,
-      datasets: Array.from({ length: parseInt(formData.numFunds) }, (_, i) => ({
-        label: `Fund ${i + 1}`,
-        data: decumulationResults.funds[i],
-        backgroundColor: colors[i].background,
-        borderColor: colors[i].border,
-        fill: true,
-      })),
+      datasets: [
+        ...Array.from({ length: parseInt(formData.numFunds) }, (_, i) => ({
+          label: `Fund ${i + 1}`,
+          data: decumulationResults.funds[i],
+          backgroundColor: colors[i].background,
+          borderColor: colors[i].border,
+          fill: true,
+        })),
+        ...savingsAccountNames.map((name, i) => ({
+          label: name,
+          data: decumulationResults.savings[i],
+          backgroundColor: savingsColors[i % savingsColors.length].background,
+          borderColor: savingsColors[i % savingsColors.length].border,
+          fill: true,
+        })),
+        ...(adjustmentMonths.size > 0 ? [adjustmentMarkers(potTotals, isAdjustedMonth)] : []),
+        ...(lifeEventMonths.length > 0 ? [lifeEventMarkers(potTotals, isLifeEventMonth)] : []),
+      ],
       options: {
         scales: {
           x: {
@@ -356,28 +608,133 @@ export default function RetirementForm() {
       },
     });
 
+    const taxResults = calculateHouseholdIncomeTax(plan, decumulationResults, partnerShareP50);
+    setLumpSum(decumulationResults.lumpSum);
+    setAnnuityPurchase(decumulationResults.annuity);
+    setChargesData({
+      nominal: {
+        accumulation: chargesP50,
+        decumulation: decumulationResults.totalCharges,
+        lifetime: chargesP50 + decumulationResults.totalCharges,
+      },
+      real: {
+        accumulation: realChargesP50,
+        decumulation: decumulationResults.totalRealCharges,
+        lifetime: realChargesP50 + decumulationResults.totalRealCharges,
+      },
+    });
+
+    // Stacked income series for monthly or annual values, ending with net income and any adjustment
+    // markers. A couple's state pension and drawdown income are shown for each of them, and withdrawals
+    // from savings apart from the pension's.
+    const incomeDatasets = ({ statePension, partnerStatePension, otherIncome, annuity, definedBenefit, withdrawals, partnerWithdrawals, savingsWithdrawals, net, totals, isAdjusted, hasLifeEvent }) => [
+      {
+        label: plan.partner ? "State Pension (You)" : "State Pension",
+        data: statePension,
+        backgroundColor: "rgba(0, 255, 0, 0.5)",
+        borderColor: "green",
+        fill: true,
+        stack: "gross",
+      },
+      ...(plan.partner
+        ? [{
+          label: "State Pension (Partner)",
+          data: partnerStatePension,
+          backgroundColor: "rgba(0, 128, 0, 0.5)",
+          borderColor: "darkgreen",
+          fill: true,
+          stack: "gross",
+        }]
+        : []),
+      ...(plan.otherIncomeAnnual > 0
+        ? [{
+          label: "Other Income",
+          data: otherIncome,
+          backgroundColor: "rgba(0, 0, 255, 0.5)",
+          borderColor: "blue",
+          fill: true,
+          stack: "gross",
+        }]
+        : []),
+      ...(decumulationResults.annuity
+        ? [{
+          label: "Annuity Income",
+          data: annuity,
+          backgroundColor: "rgba(255, 165, 0, 0.5)",
+          borderColor: "orange",
+          fill: true,
+          stack: "gross",
+        }]
+        : []),
+      ...(hasDefinedBenefit
+        ? [{
+          label: "Defined Benefit Pensions",
+          data: definedBenefit,
+          backgroundColor: "rgba(75, 0, 130, 0.5)",
+          borderColor: "indigo",
+          fill: true,
+          stack: "gross",
+        }]
+        : []),
+      {
+        label: plan.partner ? "Drawdown Income (You)" : "Drawdown Income",
+        data: plan.partner ? withdrawals.map((withdrawal, i) => withdrawal - partnerWithdrawals[i]) : withdrawals,
+        backgroundColor: "rgba(255, 0, 0, 0.5)",
+        borderColor: "red",
+        fill: true,
+        stack: "gross",
+      },
+      ...(plan.partner
+        ? [{
+          label: "Drawdown Income (Partner)",
+          data: partnerWithdrawals,
+          backgroundColor: "rgba(128, 0, 0, 0.5)",
+          borderColor: "darkred",
+          fill: true,
+          stack: "gross",
+        }]
+        : []),
+      ...(savingsAccountNames.length > 0
+        ? [{
+          label: "Savings Withdrawals",
+          data: savingsWithdrawals,
+          backgroundColor: "rgba(0, 191, 255, 0.5)",
+          borderColor: "deepskyblue",
+          fill: true,
+          stack: "gross",
+        }]
+        : []),
+      {
+        label: "Net Income (after tax)",
+        data: net,
+        borderColor: "black",
+        fill: false,
+        stack: "net",
+      },
+      ...(adjustmentMonths.size > 0 ? [adjustmentMarkers(totals, isAdjusted)] : []),
+      ...(lifeEventMonths.length > 0 ? [lifeEventMarkers(totals, hasLifeEvent)] : []),
+    ];
+
     const monthlyIncomeLabels = Array.from(
       { length: decumulationResults.withdrawals.length },
       (_, i) => parseInt(formData.retirementAge) + Math.floor(i / 12)
     );
     setMonthlyIncomeChartData({
       labels: monthlyIncomeLabels,
-      datasets: [
-        {
-          label: "State Pension",
-          data: decumulationResults.statePensionMonthlyValues,
-          backgroundColor: "rgba(0, 255, 0, 0.5)",
-          borderColor: "green",
-          fill: true,
-        },
-        {
-          label: "Drawdown Income",
-          data: decumulationResults.withdrawals,
-          backgroundColor: "rgba(255, 0, 0, 0.5)",
-          borderColor: "red",
-          fill: true,
-        },
-      ],
+      datasets: incomeDatasets({
+        statePension: decumulationResults.statePensionMonthlyValues,
+        partnerStatePension: decumulationResults.partnerStatePensionMonthlyValues,
+        otherIncome: decumulationResults.otherIncomeMonthlyValues,
+        annuity: decumulationResults.annuityMonthlyValues,
+        definedBenefit: decumulationResults.definedBenefitMonthlyValues,
+        withdrawals: decumulationResults.withdrawals,
+        partnerWithdrawals: decumulationResults.partnerWithdrawals,
+        savingsWithdrawals: decumulationResults.savingsWithdrawals,
+        net: taxResults.monthlyNet,
+        totals: decumulationResults.withdrawals.map((withdrawal, month) => withdrawal + decumulationResults.statePensionMonthlyValues[month] + decumulationResults.partnerStatePensionMonthlyValues[month] + decumulationResults.otherIncomeMonthlyValues[month] + decumulationResults.annuityMonthlyValues[month] + decumulationResults.definedBenefitMonthlyValues[month] + decumulationResults.savingsWithdrawals[month]),
+        isAdjusted: isAdjustedMonth,
+        hasLifeEvent: isLifeEventMonth,
+      }),
       options: {
         scales: {
           x: {
@@ -403,23 +760,198 @@ export default function RetirementForm() {
     );
     setAnnualIncomeChartData({
       labels: annualIncomeLabels,
-      datasets: [
-        {
-          label: "State Pension",
-          data: decumulationResults.statePensionAnnualValues,
-          backgroundColor: "rgba(0, 255, 0, 0.5)",
-          borderColor: "green",
-          fill: true,
-        },
-        {
-          label: "Drawdown Income",
-          data: decumulationResults.annualWithdrawals,
-          backgroundColor: "rgba(255, 0, 0, 0.5)",
-          borderColor: "red",
-          fill: true,
-        },
-      ],
+      datasets: incomeDatasets({
+        statePension: decumulationResults.statePensionAnnualValues,
+        partnerStatePension: decumulationResults.partnerStatePensionAnnualValues,
+        otherIncome: decumulationResults.otherIncomeAnnualValues,
+        annuity: decumulationResults.annuityAnnualValues,
+        definedBenefit: decumulationResults.definedBenefitAnnualValues,
+        withdrawals: decumulationResults.annualWithdrawals,
+        partnerWithdrawals: decumulationResults.partnerAnnualWithdrawals,
+        savingsWithdrawals: decumulationResults.annualSavingsWithdrawals,
+        net: taxResults.annualNet,
+        totals: taxResults.annualGross,
+        isAdjusted: isAdjustedYear,
+        hasLifeEvent: isLifeEventYear,
+      }),
     });
+
+    // Compare how the state pension grows to age 100 under each uprating rule. Like the projection, each
+    // rule uprates today's amount from the current age.
+    if (plan.statePensionAnnual > 0) {
+      const rates = {
+        inflationRate: plan.inflationRate,
+        earningsGrowthRate: plan.earningsGrowthRate,
+        customRate: parseFloat(formData.customStatePensionUpratingRate) / 100,
+      };
+      const rules = formData.statePensionUprating === "custom" ? ["tripleLock", "cpi", "custom"] : ["tripleLock", "cpi"];
+      const startAge = Math.max(plan.retirementAge, Math.ceil(plan.statePensionAge));
+      const ages = [];
+      for (let rowAge = startAge; rowAge <= 100; rowAge += 10) ages.push(rowAge);
+      setStatePensionComparison({
+        rules,
+        rows: ages.map((rowAge) => ({
+          age: rowAge,
+          amounts: rules.map((rule) =>
+            getUpratedStatePension(plan.statePensionAnnual, getStatePensionUpratingRate(rule, rates), rowAge - plan.age)
+          ),
+        })),
+      });
+    } else {
+      setStatePensionComparison(null);
+    }
+
+    // Range of outcomes from random simulation, or from every historical start year using the median pot
+    setDecumulationMonteCarloData(formData.simulationMode === "historical" ? null : outcomeResults);
+    setHistoricalData(formData.simulationMode === "historical" ? outcomeResults : null);
+    const probabilityOfRuin = formData.simulationMode === "historical"
+      ? outcomeResults.probabilityOfRuin
+      : outcomeResults.probabilityOfRuin[outcomeResults.probabilityOfRuin.length - 1];
+
+    // Key outcomes and series kept with a saved scenario for comparison, with the inputs of this run so a
+    // scenario saved after the form has changed still pairs them; lifetime income includes any lump sum.
+    // Totals are also kept in today's money, as they cannot be deflated once summed.
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const yearsToRetirement = plan.retirementAge - plan.age;
+    const realLumpSum = decumulationResults.lumpSum * getDeflator(plan.inflationRate, yearsToRetirement);
+    const scenarioResults = {
+      accumulationAges: accumulationLabels,
+      accumulationP50: p50,
+      incomeAges: taxResults.annualGross.map((_, i) => plan.retirementAge + i),
+      annualGrossIncome: taxResults.annualGross,
+      potAtRetirement: p50[p50.length - 1],
+      medianDepletionAge: isFinite(outcomeResults.medianDepletionAge) ? outcomeResults.medianDepletionAge : null,
+      probabilityOfRuin,
+      probabilityOfOutliving: outcomeResults.probabilityOfOutliving,
+      horizonAge: plan.horizonAge,
+      totalLifetimeIncome: sum(taxResults.annualGross) + decumulationResults.lumpSum,
+      totalLifetimeNetIncome: sum(taxResults.annualNet) + decumulationResults.lumpSum,
+      totalCharges: chargesP50 + decumulationResults.totalCharges,
+      realTotals: {
+        potAtRetirement: p50[p50.length - 1] * getDeflator(plan.inflationRate, yearsToRetirement),
+        totalLifetimeIncome: sum(toTodaysMoney(taxResults.annualGross, plan.inflationRate, (i) => yearsToRetirement + i)) + realLumpSum,
+        totalLifetimeNetIncome: sum(toTodaysMoney(taxResults.annualNet, plan.inflationRate, (i) => yearsToRetirement + i)) + realLumpSum,
+        totalCharges: realChargesP50 + decumulationResults.totalRealCharges,
+      },
+    };
+    setScenarioRun({ formData, results: scenarioResults });
+  };
+
+  const stopSimulation = () => {
+    simulationWorkerRef.current?.terminate();
+    simulationWorkerRef.current = null;
+    setSimulationProgress(null);
+  };
+
+  // Clears everything shown from the last run, so a new run never mixes its results with old ones
+  const clearResults = () => {
+    setAccumulationChartData(null);
+    setAccumulationTableData(null);
+    setDecumulationChartData(null);
+    setMonthlyIncomeChartData(null);
+    setAnnualIncomeChartData(null);
+    setDecumulationMonteCarloData(null);
+    setHistoricalData(null);
+    setStatePensionComparison(null);
+    setLumpSum(0);
+    setAnnuityPurchase(null);
+    setScenarioRun(null);
+    setChargesData(null);
+    setStressTestData(null);
+    setDrawdownAdjustments([]);
+    setHouseholdDeathAges(null);
+    setSimulationNote("");
+  };
+
+  // Runs the simulations in a worker so the page stays responsive. The progress bar moves as each batch
+  // of runs completes, and the charts of the accumulation and the range of outcomes fill in with the
+  // percentiles so far every few batches.
+  const handleCalculate = () => {
+    if (!validateInputs()) return;
+    stopSimulation();
+    clearResults();
+
+    const plan = createPlan(formData);
+    setValuation({ age: plan.age, retirementAge: plan.retirementAge, inflationRate: plan.inflationRate });
+    setPlannedLifeEvents(plan.lifeEvents);
+    setSpendingProfileDescription(plan.spendingProfile.length > 0 ? describeSpendingProfile(plan) : "");
+    setLifeExpectancyPercentiles(getLifeExpectancyPercentiles(plan));
+    setGlidePathData(plan.lifestyling === "glidePath" ? getLifestylingSchedule(plan).filter((year) => year.targetFundShare > 0) : null);
+    setContributionData({
+      firstYear: calculateContributions(plan, plan.salary),
+      partnerFirstYear: plan.partner && calculateContributions(getPartnerContributionPlan(plan), plan.partner.salary),
+      annualAllowanceBreaches: getAnnualAllowanceBreaches(plan),
+    });
+
+    const simulations = parseInt(formData.simulations);
+    const mode = formData.simulationMode;
+    const worker = new Worker(new URL("./simulationWorker.js", import.meta.url), { type: "module" });
+    simulationWorkerRef.current = worker;
+    setSimulationProgress({ completed: 0, total: mode === "historical" ? simulations : simulations * 2 });
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setSimulationProgress({ completed: data.completed, total: data.total });
+        if (!data.result) return;
+        if (data.stage === "accumulation") showAccumulation(data.result);
+        else {
+          setHistoricalData(null);
+          setDecumulationMonteCarloData(data.result);
+        }
+        return;
+      }
+      if (data.type === "accumulation") {
+        showAccumulation(data.accumulation);
+        return;
+      }
+      showRetirement(plan, data);
+      stopSimulation();
+    };
+    worker.onerror = () => {
+      setSimulationNote("The simulation stopped unexpectedly. Check the inputs and try again.");
+      stopSimulation();
+    };
+    worker.postMessage({ formData, simulations, mode });
+  };
+
+  // Stops the simulations, leaving the partial results on the charts
+  const handleCancelSimulation = () => {
+    setSimulationNote(`Cancelled after ${simulationProgress.completed.toLocaleString("en-US")} of ${simulationProgress.total.toLocaleString("en-US")} runs. The charts show the percentiles from the runs completed so far.`);
+    stopSimulation();
+  };
+
+  const stopTargetIncomeSolver = () => {
+    targetIncomeWorkerRef.current?.terminate();
+    targetIncomeWorkerRef.current = null;
+    setSolvingTargetIncome(false);
+  };
+
+  // Finds the smallest pot that pays the target income to the chosen age, and the employee contribution
+  // rate whose median pot reaches it. The search runs in a worker so the page stays responsive.
+  const handleSolveTargetIncome = () => {
+    if (!validateInputs()) return;
+    stopTargetIncomeSolver();
+    setTargetIncomeSolution(null);
+    setTargetIncomeError("");
+    setSolvingTargetIncome(true);
+    const plan = createPlan(formData);
+    const retirementDeflator = getDeflator(plan.inflationRate, plan.retirementAge - plan.age);
+    const worker = new Worker(new URL("./solverWorker.js", import.meta.url), { type: "module" });
+    targetIncomeWorkerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      setTargetIncomeSolution({ ...data, retirementDeflator });
+      stopTargetIncomeSolver();
+    };
+    worker.onerror = () => {
+      setTargetIncomeError("The solver stopped unexpectedly. Check the inputs and try again.");
+      stopTargetIncomeSolver();
+    };
+    worker.postMessage({ formData, targetAge: parseInt(formData.solverTargetAge) });
+  };
+
+  // Restores a saved scenario's or imported plan's inputs over the defaults
+  const handleLoadScenario = (scenarioFormData) => {
+    setFormData({ ...DEFAULT_FORM_DATA, ...scenarioFormData });
+    setErrors({});
   };
 
   // State for chart data
@@ -428,12 +960,82 @@ export default function RetirementForm() {
   const [decumulationChartData, setDecumulationChartData] = useState(null);
   const [monthlyIncomeChartData, setMonthlyIncomeChartData] = useState(null);
   const [annualIncomeChartData, setAnnualIncomeChartData] = useState(null);
+  const [decumulationMonteCarloData, setDecumulationMonteCarloData] = useState(null);
+  const [statePensionComparison, setStatePensionComparison] = useState(null);
+  const [lumpSum, setLumpSum] = useState(0);
+  const [annuityPurchase, setAnnuityPurchase] = useState(null);
+  const [contributionData, setContributionData] = useState(null);
+  const [scenarioRun, setScenarioRun] = useState(null);
+  const [chargesData, setChargesData] = useState(null);
+  const [glidePathData, setGlidePathData] = useState(null);
+  const [historicalData, setHistoricalData] = useState(null);
+  const [stressTestData, setStressTestData] = useState(null);
+  const [drawdownAdjustments, setDrawdownAdjustments] = useState([]);
+  const [targetIncomeSolution, setTargetIncomeSolution] = useState(null);
+  const [simulationProgress, setSimulationProgress] = useState(null);
+  const [simulationNote, setSimulationNote] = useState("");
+  const [lifeExpectancyPercentiles, setLifeExpectancyPercentiles] = useState([]);
+  const [householdDeathAges, setHouseholdDeathAges] = useState(null);
+  const [valuation, setValuation] = useState(null);
+  const [plannedLifeEvents, setPlannedLifeEvents] = useState([]);
+  const [spendingProfileDescription, setSpendingProfileDescription] = useState("");
+  const [solvingTargetIncome, setSolvingTargetIncome] = useState(false);
+  const [targetIncomeError, setTargetIncomeError] = useState("");
+  const simulationWorkerRef = useRef(null);
+  const targetIncomeWorkerRef = useRef(null);
+
+  // Stop any simulation or search still running when the form goes away
+  useEffect(() => () => {
+    simulationWorkerRef.current?.terminate();
+    targetIncomeWorkerRef.current?.terminate();
+  }, []);
+
+  // Ages by which people alive at retirement have died, shown with the range of outcomes
+  const lifeExpectancyNote = lifeExpectancyPercentiles.length > 0 && (
+    <p className="text-sm mb-2">
+      Life expectancy (marked with crosses): of people alive at retirement, {formatLifeExpectancyPercentiles(lifeExpectancyPercentiles)} have died.
+      {LIFE_TABLES_ILLUSTRATIVE && " These ages come from illustrative life tables, not ONS data."}
+    </p>
+  );
+
+  // Results are shown in future pounds or in today's money, deflated at the inflation rate from the
+  // current age of the last calculation. yearsFromToday gives each value's years from today.
+  const inTodaysMoney = formData.moneyBasis === "real" && valuation !== null;
+  const yearsToRetirement = valuation ? valuation.retirementAge - valuation.age : 0;
+  const toMoneyBasis = (values, yearsFromToday) => (inTodaysMoney ? toTodaysMoney(values, valuation.inflationRate, yearsFromToday) : values);
+  const toMoneyBasisValue = (value, yearsFromToday) => toMoneyBasis([value], () => yearsFromToday)[0];
+  const chartInMoneyBasis = (chartData, yearsFromToday) => ({
+    ...chartData,
+    datasets: chartData.datasets.map((dataset) => ({ ...dataset, data: toMoneyBasis(dataset.data, yearsFromToday) })),
+  });
+  const pounds = inTodaysMoney ? "£, today's money" : "£";
+  // Historical cohorts and stress tests are already in money of the retirement year, so only today's money changes them
+  const historicalPounds = inTodaysMoney ? pounds : "£, money at retirement";
+  const withMoneyAxis = (options, title) => ({
+    ...options,
+    scales: { ...options.scales, y: { ...options.scales.y, title: { display: true, text: `${title} (${pounds})` } } },
+  });
+  const formatPounds = (value) => `£${value.toLocaleString("en-US", { maximumFractionDigits: 0 })}`;
+
+  // State pension amount and start age shown in the income chart notes
+  const statePensionNoteAnnual = formData.includeStatePension === "Yes - Standard"
+    ? getStatePensionAnnual(parseInt(formData.niQualifyingYears))
+    : parseFloat(formData.customStatePensionAnnual);
+  const statePensionNoteAge = formData.dateOfBirth
+    ? formatStatePensionAge(getStatePensionAge(formData.dateOfBirth))
+    : `${formData.retirementAge} (retirement)`;
+  const statePensionNoteUprating = `${STATE_PENSION_UPRATING_LABELS[formData.statePensionUprating]} uprating`;
+  // Years between retirement and State Pension Age that drawdown alone has to cover
+  const statePensionGapYears = formData.dateOfBirth
+    ? Math.max(0, getStatePensionAge(formData.dateOfBirth) - parseInt(formData.retirementAge))
+    : 0;
 
   // JSX rendering of the tool UI
   return (
     <div className="max-w-4xl mx-auto p-6 bg-white rounded-xl shadow-md">
       <h2 className="text-2xl font-semibold mb-4 text-center">Retirement Planning Tool</h2>
       <h3 className="text-xl font-semibold mb-2">Tool for demonstration purposes only - should not be considered financial advice or used for financial planning</h3>
+      {sharedPlan.error && <p className="text-red-500 text-sm mt-1">{sharedPlan.error}</p>}
       <div className="grid grid-cols-2 gap-8">
         <div>
           <h3 className="text-xl font-semibold mb-2">Accumulation</h3>
@@ -471,15 +1073,51 @@ export default function RetirementForm() {
             {errors.currentPot && <p className="text-red-500 text-sm mt-1">{errors.currentPot}</p>}
           </label>
           <label className="block">
-            Contribution Rate (%):
+            Employee Contribution Rate (%):
             <input
               type="number"
-              name="contributionRate"
-              value={formData.contributionRate}
+              name="employeeContributionRate"
+              value={formData.employeeContributionRate}
               onChange={handleChange}
               className="w-full p-2 border rounded"
             />
-            {errors.contributionRate && <p className="text-red-500 text-sm mt-1">{errors.contributionRate}</p>}
+            {errors.employeeContributionRate && <p className="text-red-500 text-sm mt-1">{errors.employeeContributionRate}</p>}
+          </label>
+          <label className="block">
+            Employer Contribution Rate (%):
+            <input
+              type="number"
+              name="employerContributionRate"
+              value={formData.employerContributionRate}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.employerContributionRate && <p className="text-red-500 text-sm mt-1">{errors.employerContributionRate}</p>}
+          </label>
+          <label className="block">
+            Contribution Basis:
+            <select
+              name="contributionBasis"
+              value={formData.contributionBasis}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="qualifyingEarnings">Qualifying Earnings</option>
+              <option value="fullSalary">Full Salary</option>
+            </select>
+          </label>
+          <label className="block">
+            Tax Relief Method:
+            <select
+              name="taxReliefMethod"
+              value={formData.taxReliefMethod}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="reliefAtSource">Relief at Source</option>
+              <option value="netPay">Net Pay</option>
+              <option value="salarySacrifice">Salary Sacrifice</option>
+            </select>
           </label>
           <label className="block">
             Retirement Age:
@@ -500,13 +1138,51 @@ export default function RetirementForm() {
               onChange={handleChange}
               className="w-full p-2 border rounded"
             >
-              <option>Future Advantage 1</option>
-              <option>Future Advantage 2</option>
-              <option>Future Advantage 3</option>
-              <option>Future Advantage 4</option>
-              <option>Future Advantage 5</option>
+              {formData.fundCatalogue.map((fund, i) => (
+                <option key={i}>{fund.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            Lifestyling:
+            <select
+              name="lifestyling"
+              value={formData.lifestyling}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="none">None - stay in the selected fund</option>
+              <option value="glidePath">Glide path to a target fund</option>
             </select>
           </label>
+          {formData.lifestyling === "glidePath" && (
+            <>
+              <label className="block">
+                Target Fund at Retirement:
+                <select
+                  name="lifestylingTargetFund"
+                  value={formData.lifestylingTargetFund}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                >
+                  {formData.fundCatalogue.map((fund, i) => (
+                    <option key={i}>{fund.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                Glide Path Years (switch over the last N years):
+                <input
+                  type="number"
+                  name="lifestylingYears"
+                  value={formData.lifestylingYears}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.lifestylingYears && <p className="text-red-500 text-sm mt-1">{errors.lifestylingYears}</p>}
+              </label>
+            </>
+          )}
           <label className="block">
             Inflation Rate (%):
             <input
@@ -518,9 +1194,79 @@ export default function RetirementForm() {
             />
             {errors.inflationRate && <p className="text-red-500 text-sm mt-1">{errors.inflationRate}</p>}
           </label>
+          <label className="block">
+            Earnings Growth Rate (%):
+            <input
+              type="number"
+              name="earningsGrowthRate"
+              value={formData.earningsGrowthRate}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.earningsGrowthRate && <p className="text-red-500 text-sm mt-1">{errors.earningsGrowthRate}</p>}
+          </label>
+          <h3 className="text-xl font-semibold mb-2 mt-4">Charges</h3>
+          <p className="text-sm mb-2">Fund charges are set in the fund catalogue. Platform fee tiers apply to each slice of the pot, like tax bands.</p>
+          {formData.platformFeeTiers.map((tier, i) => (
+            <div key={i} className="grid grid-cols-2 gap-8">
+              <label className="block">
+                Platform Fee Tier {i + 1} Up To (£, blank for no limit):
+                <input
+                  type="number"
+                  value={tier.upTo}
+                  onChange={(e) => handlePlatformFeeTierChange(i, "upTo", e.target.value)}
+                  className="w-full p-2 border rounded"
+                />
+              </label>
+              <label className="block">
+                Rate (% per year):
+                <input
+                  type="number"
+                  value={tier.rate}
+                  onChange={(e) => handlePlatformFeeTierChange(i, "rate", e.target.value)}
+                  className="w-full p-2 border rounded"
+                />
+                {formData.platformFeeTiers.length > 1 && (
+                  <button onClick={() => handleRemovePlatformFeeTier(i)} className="p-1 mt-1 bg-red-500 text-white rounded">
+                    Remove Tier
+                  </button>
+                )}
+              </label>
+            </div>
+          ))}
+          {errors.platformFeeTiers && <p className="text-red-500 text-sm mt-1">{errors.platformFeeTiers}</p>}
+          <button onClick={handleAddPlatformFeeTier} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+            Add Platform Fee Tier
+          </button>
+          <label className="block">
+            Adviser Fee (£ per year, rises with inflation):
+            <input
+              type="number"
+              name="adviserFee"
+              value={formData.adviserFee}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.adviserFee && <p className="text-red-500 text-sm mt-1">{errors.adviserFee}</p>}
+          </label>
+          <AccountsPanel formData={formData} errors={errors} onAccountsChange={handleAccountsChange} onChange={handleChange} />
+          <HouseholdPanel formData={formData} errors={errors} onChange={handleChange} />
+          <LifeEventsPanel formData={formData} errors={errors} onEventsChange={handleLifeEventsChange} />
         </div>
         <div>
           <h3 className="text-xl font-semibold mb-2">Decumulation</h3>
+          <label className="block">
+            Range of Outcomes:
+            <select
+              name="simulationMode"
+              value={formData.simulationMode}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="monteCarlo">Random simulation (Monte Carlo)</option>
+              <option value="historical">Historical sequences ({HISTORICAL_YEARS[0].year}-{HISTORICAL_YEARS[HISTORICAL_YEARS.length - 1].year})</option>
+            </select>
+          </label>
           <label className="block">
             Number of Funds:
             <select
@@ -546,11 +1292,9 @@ export default function RetirementForm() {
                 onChange={handleChange}
                 className="w-full p-2 border rounded"
               >
-                <option>Future Advantage 1</option>
-                <option>Future Advantage 2</option>
-                <option>Future Advantage 3</option>
-                <option>Future Advantage 4</option>
-                <option>Future Advantage 5</option>
+                {formData.fundCatalogue.map((fund, j) => (
+                  <option key={j}>{fund.name}</option>
+                ))}
               </select>
             </label>
           ))}
@@ -573,12 +1317,12 @@ export default function RetirementForm() {
               onChange={handleChange}
               className="w-full p-2 border rounded"
             >
-              <option value="percentage">Percentage</option>
-              <option value="fixed">Fixed Amount</option>
-              <option value="initialPot">Fixed Amount Based On Initial Pot</option>
+              {Object.entries(DRAWDOWN_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
             </select>
           </label>
-          {formData.drawdownType === "percentage" ? (
+          {formData.drawdownType === "percentage" && (
             <label className="block">
               Drawdown Percentage:
               <input
@@ -590,7 +1334,8 @@ export default function RetirementForm() {
               />
               {errors.drawdownPercentage && <p className="text-red-500 text-sm mt-1">{errors.drawdownPercentage}</p>}
             </label>
-          ) : formData.drawdownType === "fixed" ? (
+          )}
+          {formData.drawdownType === "fixed" && (
             <label className="block">
               Fixed Drawdown Amount (£ per month):
               <input
@@ -602,7 +1347,8 @@ export default function RetirementForm() {
               />
               {errors.drawdownFixed && <p className="text-red-500 text-sm mt-1">{errors.drawdownFixed}</p>}
             </label>
-          ) : (
+          )}
+          {formData.drawdownType === "initialPot" && (
             <label className="block">
               Initial Pot Drawdown Percentage (% per year):
               <input
@@ -615,6 +1361,163 @@ export default function RetirementForm() {
               {errors.drawdownInitialPotPercentage && <p className="text-red-500 text-sm mt-1">{errors.drawdownInitialPotPercentage}</p>}
             </label>
           )}
+          {formData.drawdownType === "guardrails" && (
+            <>
+              <p className="text-sm">Income rises with inflation each year. If the withdrawal rate climbs past the upper guardrail income is cut, and if it falls below the lower guardrail income is raised.</p>
+              <label className="block">
+                Initial Withdrawal Rate (% of pot per year):
+                <input
+                  type="number"
+                  name="guardrailInitialRate"
+                  value={formData.guardrailInitialRate}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.guardrailInitialRate && <p className="text-red-500 text-sm mt-1">{errors.guardrailInitialRate}</p>}
+              </label>
+              <label className="block">
+                Upper Guardrail (% above the initial rate):
+                <input
+                  type="number"
+                  name="guardrailUpperLimit"
+                  value={formData.guardrailUpperLimit}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.guardrailUpperLimit && <p className="text-red-500 text-sm mt-1">{errors.guardrailUpperLimit}</p>}
+              </label>
+              <label className="block">
+                Lower Guardrail (% below the initial rate):
+                <input
+                  type="number"
+                  name="guardrailLowerLimit"
+                  value={formData.guardrailLowerLimit}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.guardrailLowerLimit && <p className="text-red-500 text-sm mt-1">{errors.guardrailLowerLimit}</p>}
+              </label>
+              <label className="block">
+                Cut or Raise Size (%):
+                <input
+                  type="number"
+                  name="guardrailAdjustment"
+                  value={formData.guardrailAdjustment}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.guardrailAdjustment && <p className="text-red-500 text-sm mt-1">{errors.guardrailAdjustment}</p>}
+              </label>
+            </>
+          )}
+          {formData.drawdownType === "floorCeiling" && (
+            <>
+              <p className="text-sm">Takes a percentage of the pot each year, limiting how far income can fall or rise from last year&apos;s after inflation.</p>
+              <label className="block">
+                Withdrawal Rate (% of pot per year):
+                <input
+                  type="number"
+                  name="floorCeilingRate"
+                  value={formData.floorCeilingRate}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.floorCeilingRate && <p className="text-red-500 text-sm mt-1">{errors.floorCeilingRate}</p>}
+              </label>
+              <label className="block">
+                Floor (largest yearly cut, %):
+                <input
+                  type="number"
+                  name="floorCeilingFloor"
+                  value={formData.floorCeilingFloor}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.floorCeilingFloor && <p className="text-red-500 text-sm mt-1">{errors.floorCeilingFloor}</p>}
+              </label>
+              <label className="block">
+                Ceiling (largest yearly rise, %):
+                <input
+                  type="number"
+                  name="floorCeilingCeiling"
+                  value={formData.floorCeilingCeiling}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.floorCeilingCeiling && <p className="text-red-500 text-sm mt-1">{errors.floorCeilingCeiling}</p>}
+              </label>
+            </>
+          )}
+          {formData.drawdownType === "naturalYield" && (
+            <>
+              <p className="text-sm">Takes only the income the investments produce, set once a year from the pot, leaving capital untouched.</p>
+              <label className="block">
+                Natural Yield (% of pot per year):
+                <input
+                  type="number"
+                  name="naturalYieldRate"
+                  value={formData.naturalYieldRate}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.naturalYieldRate && <p className="text-red-500 text-sm mt-1">{errors.naturalYieldRate}</p>}
+              </label>
+            </>
+          )}
+          {formData.drawdownType === "targetIncome" && (
+            <>
+              <p className="text-sm">Sets a total income in today&apos;s money and draws from the pot only what the state pension and other income leave short each month.</p>
+              <label className="block">
+                Target Annual Income (£ in today&apos;s money, before tax):
+                <input
+                  type="number"
+                  name="targetIncomeAnnual"
+                  value={formData.targetIncomeAnnual}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.targetIncomeAnnual && <p className="text-red-500 text-sm mt-1">{errors.targetIncomeAnnual}</p>}
+              </label>
+              <label className="block">
+                Income to Last to Age:
+                <input
+                  type="number"
+                  name="solverTargetAge"
+                  value={formData.solverTargetAge}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.solverTargetAge && <p className="text-red-500 text-sm mt-1">{errors.solverTargetAge}</p>}
+              </label>
+              {targetIncomeError && <p className="text-red-500 text-sm mt-1">{targetIncomeError}</p>}
+              {solvingTargetIncome ? (
+                <>
+                  <p className="text-sm mt-2">Solving…</p>
+                  <button onClick={stopTargetIncomeSolver} className="w-full p-2 mt-2 bg-red-500 text-white rounded">
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button onClick={handleSolveTargetIncome} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+                  Find Minimum Pot and Contribution Rate
+                </button>
+              )}
+              {targetIncomeSolution && (
+                targetIncomeSolution.requiredPot === null ? (
+                  <p className="text-sm mt-1">No pot up to £20 million pays this income to age {targetIncomeSolution.targetAge}.</p>
+                ) : (
+                  <p className="text-sm mt-1">
+                    Minimum pot at retirement to last to age {targetIncomeSolution.targetAge} at mean returns:{" "}
+                    {formatPounds(targetIncomeSolution.requiredPot * (formData.moneyBasis === "real" ? targetIncomeSolution.retirementDeflator : 1))}
+                    {formData.moneyBasis === "real" && " in today's money"}.{" "}
+                    {targetIncomeSolution.contributionRate === null
+                      ? "Even contributing your whole salary does not reach this in the median outcome."
+                      : `Employee contribution rate needed to reach it in the median outcome: ${(targetIncomeSolution.contributionRate * 100).toFixed(1)}%.`}
+                  </p>
+                )
+              )}
+            </>
+          )}
           <label className="block">
             Include State Pension?:
             <select
@@ -641,105 +1544,740 @@ export default function RetirementForm() {
               {errors.customStatePensionAnnual && <p className="text-red-500 text-sm mt-1">{errors.customStatePensionAnnual}</p>}
             </label>
           )}
+          {formData.includeStatePension === "Yes - Standard" && (
+            <label className="block">
+              NI Qualifying Years (35 for the full amount, 10 minimum):
+              <input
+                type="number"
+                name="niQualifyingYears"
+                value={formData.niQualifyingYears}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              />
+              {errors.niQualifyingYears && <p className="text-red-500 text-sm mt-1">{errors.niQualifyingYears}</p>}
+            </label>
+          )}
+          {formData.includeStatePension !== "No" && (
+            <label className="block">
+              Date of Birth:
+              <input
+                type="date"
+                name="dateOfBirth"
+                value={formData.dateOfBirth}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              />
+              {formData.dateOfBirth && !isNaN(Date.parse(formData.dateOfBirth)) && (
+                <p className="text-sm mt-1">State Pension Age: {formatStatePensionAge(getStatePensionAge(formData.dateOfBirth))}</p>
+              )}
+              {errors.dateOfBirth && <p className="text-red-500 text-sm mt-1">{errors.dateOfBirth}</p>}
+            </label>
+          )}
+          {formData.includeStatePension !== "No" && (
+            <label className="block">
+              State Pension Uprating:
+              <select
+                name="statePensionUprating"
+                value={formData.statePensionUprating}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              >
+                <option value="tripleLock">Triple Lock (highest of CPI, earnings and 2.5%)</option>
+                <option value="cpi">CPI Only</option>
+                <option value="custom">Custom Rate</option>
+              </select>
+            </label>
+          )}
+          {formData.includeStatePension !== "No" && formData.statePensionUprating === "custom" && (
+            <label className="block">
+              Custom State Pension Uprating Rate (%):
+              <input
+                type="number"
+                name="customStatePensionUpratingRate"
+                value={formData.customStatePensionUpratingRate}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              />
+              {errors.customStatePensionUpratingRate && <p className="text-red-500 text-sm mt-1">{errors.customStatePensionUpratingRate}</p>}
+            </label>
+          )}
+          <label className="block">
+            Other Income (£ per year in today&apos;s money, such as a defined benefit pension):
+            <input
+              type="number"
+              name="otherIncomeAnnual"
+              value={formData.otherIncomeAnnual}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.otherIncomeAnnual && <p className="text-red-500 text-sm mt-1">{errors.otherIncomeAnnual}</p>}
+          </label>
+          {formData.otherIncomeAnnual && (
+            <label className="block">
+              Other Income Start Age (blank for retirement):
+              <input
+                type="number"
+                name="otherIncomeStartAge"
+                value={formData.otherIncomeStartAge}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              />
+              {errors.otherIncomeStartAge && <p className="text-red-500 text-sm mt-1">{errors.otherIncomeStartAge}</p>}
+            </label>
+          )}
+          <SpendingProfilePanel formData={formData} errors={errors} onProfileChange={handleSpendingProfileChange} />
+          <label className="block mt-2">
+            Stress Test Returns (% per year from retirement, comma separated, blank for none):
+            <input
+              type="text"
+              name="stressTestSequence"
+              value={formData.stressTestSequence}
+              onChange={handleChange}
+              placeholder="-20, -10, 5"
+              className="w-full p-2 border rounded"
+            />
+            {errors.stressTestSequence && <p className="text-red-500 text-sm mt-1">{errors.stressTestSequence}</p>}
+          </label>
+          <h3 className="text-xl font-semibold mb-2 mt-4">Longevity</h3>
+          <label className="block">
+            Plan to Last:
+            <select
+              name="planningHorizon"
+              value={formData.planningHorizon}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              {Object.entries(PLANNING_HORIZON_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            Sex:
+            <select
+              name="sex"
+              value={formData.sex}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              {Object.entries(SEX_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            Health:
+            <select
+              name="health"
+              value={formData.health}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              {Object.entries(HEALTH_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <p className="text-sm">
+            Life tables are cohort tables by sex and year of birth (from the date of birth if given, or else the current age), scaled for health. With
+            life tables the plan runs to the age that only 1 in 100 people alive at retirement reach. Source: {LIFE_TABLE_SOURCE}
+          </p>
+          {LIFE_TABLES_ILLUSTRATIVE && (
+            <p className="text-sm font-semibold mt-1">
+              Warning: The bundled life tables are illustrative stand-in rates, not ONS data. Life expectancy, the planning horizon, annuity
+              prices and the chances of outliving the money that come from them are illustrative only.
+            </p>
+          )}
+          <h3 className="text-xl font-semibold mb-2 mt-4">Annuity</h3>
+          <label className="block">
+            Buy an Annuity?:
+            <select
+              name="annuityPurchase"
+              value={formData.annuityPurchase}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="No">No</option>
+              <option value="Yes">Yes - with part of the pot</option>
+            </select>
+          </label>
+          {formData.annuityPurchase === "Yes" && (
+            <>
+              <p className="text-sm">Buys a guaranteed income for life with part of the pot. The rest stays in drawdown.</p>
+              <label className="block">
+                Share of Pot to Annuitise (%):
+                <input
+                  type="number"
+                  name="annuityShare"
+                  value={formData.annuityShare}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.annuityShare && <p className="text-red-500 text-sm mt-1">{errors.annuityShare}</p>}
+              </label>
+              <label className="block">
+                Annuity Purchase Age (blank for retirement):
+                <input
+                  type="number"
+                  name="annuityAge"
+                  value={formData.annuityAge}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.annuityAge && <p className="text-red-500 text-sm mt-1">{errors.annuityAge}</p>}
+              </label>
+              <label className="block">
+                Annuity Type:
+                <select
+                  name="annuityType"
+                  value={formData.annuityType}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                >
+                  {Object.entries(ANNUITY_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {formData.annuityType === "escalating" && (
+                <label className="block">
+                  Escalation Rate (% per year):
+                  <input
+                    type="number"
+                    name="annuityEscalationRate"
+                    value={formData.annuityEscalationRate}
+                    onChange={handleChange}
+                    className="w-full p-2 border rounded"
+                  />
+                  {errors.annuityEscalationRate && <p className="text-red-500 text-sm mt-1">{errors.annuityEscalationRate}</p>}
+                </label>
+              )}
+              {formData.annuityType === "rpi" && (
+                <p className="text-sm">RPI-linked income rises with the Inflation Rate each year.</p>
+              )}
+              <label className="block">
+                Single or Joint Life:
+                <select
+                  name="annuityLife"
+                  value={formData.annuityLife}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                >
+                  {Object.entries(ANNUITY_LIFE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {formData.annuityLife === "joint" && (
+                <>
+                  <label className="block">
+                    Spouse&apos;s Current Age{formData.household === "couple" && " (blank for your partner)"}:
+                    <input
+                      type="number"
+                      name="annuitySpouseAge"
+                      value={formData.annuitySpouseAge}
+                      onChange={handleChange}
+                      className="w-full p-2 border rounded"
+                    />
+                    {errors.annuitySpouseAge && <p className="text-red-500 text-sm mt-1">{errors.annuitySpouseAge}</p>}
+                  </label>
+                  {!(formData.household === "couple" && !formData.annuitySpouseAge) && (
+                    <label className="block">
+                      Spouse&apos;s Sex:
+                      <select
+                        name="annuitySpouseSex"
+                        value={formData.annuitySpouseSex}
+                        onChange={handleChange}
+                        className="w-full p-2 border rounded"
+                      >
+                        {Object.entries(SEX_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  <label className="block">
+                    Income to Spouse After Death (%):
+                    <input
+                      type="number"
+                      name="annuityJointProportion"
+                      value={formData.annuityJointProportion}
+                      onChange={handleChange}
+                      className="w-full p-2 border rounded"
+                    />
+                    {errors.annuityJointProportion && <p className="text-red-500 text-sm mt-1">{errors.annuityJointProportion}</p>}
+                  </label>
+                </>
+              )}
+              <label className="block">
+                Guarantee Period (years, blank for none):
+                <input
+                  type="number"
+                  name="annuityGuaranteeYears"
+                  value={formData.annuityGuaranteeYears}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                />
+                {errors.annuityGuaranteeYears && <p className="text-red-500 text-sm mt-1">{errors.annuityGuaranteeYears}</p>}
+              </label>
+              <label className="block">
+                Pricing:
+                <select
+                  name="annuityPricing"
+                  value={formData.annuityPricing}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded"
+                >
+                  {Object.entries(ANNUITY_PRICING_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {formData.annuityPricing === "rates" ? (
+                <label className="block">
+                  Annuity Rate (starting income as % of the purchase price):
+                  <input
+                    type="number"
+                    name="annuityRate"
+                    value={formData.annuityRate}
+                    onChange={handleChange}
+                    className="w-full p-2 border rounded"
+                  />
+                  {errors.annuityRate && <p className="text-red-500 text-sm mt-1">{errors.annuityRate}</p>}
+                </label>
+              ) : (
+                <>
+                  <label className="block">
+                    Discount Rate (% per year):
+                    <input
+                      type="number"
+                      name="annuityDiscountRate"
+                      value={formData.annuityDiscountRate}
+                      onChange={handleChange}
+                      className="w-full p-2 border rounded"
+                    />
+                    {errors.annuityDiscountRate && <p className="text-red-500 text-sm mt-1">{errors.annuityDiscountRate}</p>}
+                  </label>
+                  <p className="text-sm">Priced from the life tables for the sex and health under Longevity, with no insurer margin, so real quotes will be lower.</p>
+                </>
+              )}
+            </>
+          )}
+          <h3 className="text-xl font-semibold mb-2 mt-4">Income Tax</h3>
+          <label className="block">
+            Tax-Free Cash:
+            <select
+              name="taxFreeCash"
+              value={formData.taxFreeCash}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="ufpls">25% of each withdrawal (UFPLS)</option>
+              <option value="pcls">Lump sum at retirement (PCLS)</option>
+            </select>
+          </label>
+          <label className="block">
+            Personal Allowance (£):
+            <input
+              type="number"
+              name="personalAllowance"
+              value={formData.personalAllowance}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.personalAllowance && <p className="text-red-500 text-sm mt-1">{errors.personalAllowance}</p>}
+          </label>
+          <label className="block">
+            Higher Rate Threshold (£):
+            <input
+              type="number"
+              name="higherRateThreshold"
+              value={formData.higherRateThreshold}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.higherRateThreshold && <p className="text-red-500 text-sm mt-1">{errors.higherRateThreshold}</p>}
+          </label>
+          <label className="block">
+            Additional Rate Threshold (£):
+            <input
+              type="number"
+              name="additionalRateThreshold"
+              value={formData.additionalRateThreshold}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            />
+            {errors.additionalRateThreshold && <p className="text-red-500 text-sm mt-1">{errors.additionalRateThreshold}</p>}
+          </label>
+          <label className="block">
+            Tax Thresholds:
+            <select
+              name="taxThresholdIndexing"
+              value={formData.taxThresholdIndexing}
+              onChange={handleChange}
+              className="w-full p-2 border rounded"
+            >
+              <option value="frozen">Frozen</option>
+              <option value="indexed">Rise with inflation</option>
+            </select>
+          </label>
         </div>
       </div>
-      <div className="mt-6 border-t pt-4">
-        <h3 className="text-xl font-semibold mb-2">Fund Return Assumptions</h3>
-        <table className="w-full border">
-          <thead>
-            <tr>
-              <th className="border p-2">Fund</th>
-              <th className="border p-2">Annual Return (%)</th>
-              <th className="border p-2">Volatility (%)</th>
-            </tr>
-          </thead>
-          <tbody>
-            <tr>
-              <td className="border p-2">Future Advantage 1</td>
-              <td className="border p-2">2.5%</td>
-              <td className="border p-2">5.0%</td>
-            </tr>
-            <tr>
-              <td className="border p-2">Future Advantage 2</td>
-              <td className="border p-2">3.0%</td>
-              <td className="border p-2">5.6%</td>
-            </tr>
-            <tr>
-              <td className="border p-2">Future Advantage 3</td>
-              <td className="border p-2">3.5%</td>
-              <td className="border p-2">8.0%</td>
-            </tr>
-            <tr>
-              <td className="border p-2">Future Advantage 4</td>
-              <td className="border p-2">4.5%</td>
-              <td className="border p-2">11.5%</td>
-            </tr>
-            <tr>
-              <td className="border p-2">Future Advantage 5</td>
-              <td className="border p-2">5.3%</td>
-              <td className="border p-2">14.6%</td>
-            </tr>
-          </tbody>
-        </table>
-      </div>
+      <FundCatalogueEditor
+        catalogue={formData.fundCatalogue}
+        correlations={formData.fundCorrelations}
+        returnModel={formData.returnModel}
+        degreesOfFreedom={formData.returnDegreesOfFreedom}
+        onChange={handleCatalogueChange}
+        onCorrelationChange={handleCorrelationChange}
+        onModelChange={handleChange}
+        errors={errors}
+      />
+      <label className="block mt-4">
+        Number of Simulations:
+        <select
+          name="simulations"
+          value={formData.simulations}
+          onChange={handleChange}
+          className="w-full p-2 border rounded"
+        >
+          {SIMULATION_COUNTS.map((count) => (
+            <option key={count} value={String(count)}>{count.toLocaleString("en-US")}</option>
+          ))}
+        </select>
+        {errors.simulations && <p className="text-red-500 text-sm mt-1">{errors.simulations}</p>}
+      </label>
+      <label className="block">
+        Show Values In:
+        <select
+          name="moneyBasis"
+          value={formData.moneyBasis}
+          onChange={handleChange}
+          className="w-full p-2 border rounded"
+        >
+          {Object.entries(MONEY_BASIS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
       <button onClick={handleCalculate} className="w-full p-2 mt-4 bg-blue-500 text-white rounded">
         Run Simulation
       </button>
+      {simulationProgress && (
+        <div className="mt-2">
+          <progress value={simulationProgress.completed} max={simulationProgress.total} className="w-full" />
+          <p className="text-sm">
+            {simulationProgress.completed.toLocaleString("en-US")} of {simulationProgress.total.toLocaleString("en-US")} runs complete
+          </p>
+          <button onClick={handleCancelSimulation} className="w-full p-2 mt-2 bg-red-500 text-white rounded">
+            Cancel Simulation
+          </button>
+        </div>
+      )}
+      {simulationNote && <p className="text-sm mt-2">{simulationNote}</p>}
+
+      <GoalSeekPanel formData={formData} onChange={handleChange} validate={validateInputs} />
+      <ScenarioPanel formData={formData} run={scenarioRun} onLoad={handleLoadScenario} />
+      <PlanSharePanel formData={formData} onImport={handleLoadScenario} />
 
       {accumulationChartData && accumulationTableData && (
         <div className="mt-8">
           <h3 className="text-xl font-semibold mb-4">Accumulation Phase</h3>
           <div className="mb-6">
-            <Line data={accumulationChartData} options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: "Pot Value (£)" } } } }} />
+            <Line data={chartInMoneyBasis(accumulationChartData, (i) => i + 1)} options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: `Pot Value (${pounds})` } } } }} />
           </div>
           <table className="w-full border-collapse">
             <thead>
               <tr className="bg-gray-200">
                 <th className="border p-2">Percentile</th>
-                <th className="border p-2">Final Pot at Retirement (£)</th>
+                <th className="border p-2">Final Pot at Retirement ({pounds})</th>
               </tr>
             </thead>
             <tbody>
               <tr>
                 <td className="border p-2">25th</td>
-                <td className="border p-2">{accumulationTableData.p25.toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
+                <td className="border p-2">{toMoneyBasisValue(accumulationTableData.p25, yearsToRetirement).toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
               </tr>
               <tr>
                 <td className="border p-2">50th</td>
-                <td className="border p-2">{accumulationTableData.p50.toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
+                <td className="border p-2">{toMoneyBasisValue(accumulationTableData.p50, yearsToRetirement).toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
               </tr>
               <tr>
                 <td className="border p-2">75th</td>
-                <td className="border p-2">{accumulationTableData.p75.toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
+                <td className="border p-2">{toMoneyBasisValue(accumulationTableData.p75, yearsToRetirement).toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
               </tr>
             </tbody>
           </table>
+          {formData.household === "couple" && accumulationTableData.partnerShare !== undefined && (
+            <p className="text-sm mt-2">
+              The pots are your household&apos;s combined pensions{formData.accounts.length > 0 ? " and your savings" : ""}. Your partner&apos;s share of
+              the pensions in the median pot is {(accumulationTableData.partnerShare * 100).toFixed(0)}%.
+            </p>
+          )}
+          {accumulationTableData.savings && accumulationTableData.savings.length > 0 && (
+            <p className="text-sm mt-2">
+              The pots include your other pensions and savings. Of the median pot,{" "}
+              {accumulationTableData.savings.map((saving) => `${(saving.share * 100).toFixed(0)}% is in the ${saving.name}`).join(", ")}
+              , and the rest is pension, drawn down in the order &quot;{WITHDRAWAL_ORDER_LABELS[formData.withdrawalOrder]}&quot;.
+            </p>
+          )}
+          {plannedLifeEvents.length > 0 && (
+            <p className="text-sm mt-2">
+              Life events (marked with stars): {plannedLifeEvents.map(describeLifeEvent).join("; ")}. Amounts are in today&apos;s money.
+            </p>
+          )}
+          {glidePathData && (
+            <>
+              <h3 className="text-xl font-semibold mt-6 mb-4">Lifestyling Glide Path</h3>
+              <table className="w-full border-collapse">
+                <thead>
+                  <tr className="bg-gray-200">
+                    <th className="border p-2">Age</th>
+                    <th className="border p-2">{formData.fundSelection} (%)</th>
+                    <th className="border p-2">{formData.lifestylingTargetFund} (%)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {glidePathData.map((year) => (
+                    <tr key={year.age}>
+                      <td className="border p-2">{year.age}</td>
+                      <td className="border p-2">{((1 - year.targetFundShare) * 100).toFixed(0)}</td>
+                      <td className="border p-2">{(year.targetFundShare * 100).toFixed(0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+          {contributionData && (
+            <>
+              <h3 className="text-xl font-semibold mt-6 mb-4">Contributions in the First Year ({TAX_RELIEF_METHOD_LABELS[formData.taxReliefMethod]})</h3>
+              <table className="w-full border-collapse">
+                {contributionData.partnerFirstYear && (
+                  <thead>
+                    <tr className="bg-gray-200">
+                      <th className="border p-2"></th>
+                      <th className="border p-2">You</th>
+                      <th className="border p-2">Partner</th>
+                    </tr>
+                  </thead>
+                )}
+                <tbody>
+                  {[
+                    ["Employee Contribution (gross)", "employeeGross"],
+                    ["Employer Contribution", "employer"],
+                    ["Total Paid into Pot", "total"],
+                    ["Tax Relief", "taxRelief"],
+                    ["National Insurance Saving", "niSaving"],
+                    [contributionData.partnerFirstYear ? "Cost After Relief" : "Cost to You", "netCost"],
+                  ].map(([label, key]) => (
+                    <tr key={label}>
+                      <td className="border p-2">{label}</td>
+                      {[contributionData.firstYear, contributionData.partnerFirstYear].filter(Boolean).map((contributions, i) => (
+                        <td key={i} className="border p-2">£{contributions[key].toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {contributionData.annualAllowanceBreaches.length > 0 && (
+                <p className="text-sm mt-2">
+                  Warning: Contributions, with any lump sums paid into the pension, exceed the annual allowance at {contributionData.annualAllowanceBreaches.length === 1 ? "age" : "ages"}{" "}
+                  {contributionData.annualAllowanceBreaches.map((breach) => breach.age).join(", ")} (e.g. £
+                  {contributionData.annualAllowanceBreaches[0].total.toLocaleString("en-US", { maximumFractionDigits: 0 })} against an allowance of £
+                  {contributionData.annualAllowanceBreaches[0].annualAllowance.toLocaleString("en-US", { maximumFractionDigits: 0 })}). An annual allowance tax charge may apply.
+                </p>
+              )}
+            </>
+          )}
         </div>
       )}
 
       {decumulationChartData && (
         <div className="mt-8">
           <h3 className="text-xl font-semibold mb-4">Decumulation Phase</h3>
+          <p className="text-sm mb-2">Note: Single path from the median pot at retirement using expected fund returns.</p>
+          {householdDeathAges && (
+            <p className="text-sm mb-2">
+              The projection assumes you die at {householdDeathAges.primary.toFixed(1)} and your partner at {householdDeathAges.partner.toFixed(1)}, the
+              median ages from the life tables. After the first death the survivor keeps {formData.survivorPensionShare}% of the other&apos;s defined
+              benefit and other pension income and {formData.survivorStatePensionShare}% of their state pension, and spends {formData.survivorSpendingShare}% of
+              the household&apos;s drawdown.
+            </p>
+          )}
+          {spendingProfileDescription && (
+            <p className="text-sm mb-2">Spending profile, as a share of the drawdown in today&apos;s money: {spendingProfileDescription}.</p>
+          )}
+          {drawdownAdjustments.length > 0 && (
+            <p className="text-sm mb-2">
+              Income adjusted (marked with triangles):{" "}
+              {Object.keys(DRAWDOWN_ADJUSTMENT_LABELS)
+                .map((type) => [type, drawdownAdjustments.filter((adjustment) => adjustment.type === type).map((adjustment) => adjustment.age)])
+                .filter(([, ages]) => ages.length > 0)
+                .map(([type, ages]) => `${DRAWDOWN_ADJUSTMENT_LABELS[type]} at age ${ages.join(", ")}`)
+                .join("; ")}
+              .
+            </p>
+          )}
+          <Line
+            data={chartInMoneyBasis(decumulationChartData, (month) => yearsToRetirement + (month + 1) / 12)}
+            options={withMoneyAxis(decumulationChartData.options, "Pot Value")}
+          />
+        </div>
+      )}
+
+      {chargesData && (
+        <div className="mt-8">
+          <h3 className="text-xl font-semibold mb-4">Charges Paid{inTodaysMoney && " (today's money)"}</h3>
+          <table className="w-full border-collapse">
+            <tbody>
+              <tr>
+                <td className="border p-2">Before Retirement (median)</td>
+                <td className="border p-2">{formatPounds(chargesData[inTodaysMoney ? "real" : "nominal"].accumulation)}</td>
+              </tr>
+              <tr>
+                <td className="border p-2">In Retirement (median pot)</td>
+                <td className="border p-2">{formatPounds(chargesData[inTodaysMoney ? "real" : "nominal"].decumulation)}</td>
+              </tr>
+              <tr>
+                <td className="border p-2">Lifetime Total</td>
+                <td className="border p-2">{formatPounds(chargesData[inTodaysMoney ? "real" : "nominal"].lifetime)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {decumulationMonteCarloData && (
+        <div className="mt-8">
+          <h3 className="text-xl font-semibold mb-4">Decumulation Range of Outcomes</h3>
+          <p className="text-sm mb-2">
+            {decumulationMonteCarloData.medianDepletionAge === Infinity
+              ? `Median depletion age: the pot lasts beyond age ${getHorizonAge(decumulationMonteCarloData)} in most simulations.`
+              : `Median depletion age: ${decumulationMonteCarloData.medianDepletionAge.toFixed(1)}.`}
+            {` Probability of running out before age ${getHorizonAge(decumulationMonteCarloData)}: ${(decumulationMonteCarloData.probabilityOfRuin[decumulationMonteCarloData.probabilityOfRuin.length - 1] * 100).toFixed(1)}%.`}
+            {` Chance of outliving the money (still alive when it runs out): ${(decumulationMonteCarloData.probabilityOfOutliving * 100).toFixed(1)}%.`}
+          </p>
+          {lifeExpectancyNote}
+          <div className="mb-6">
+            <Line
+              data={chartInMoneyBasis({
+                labels: decumulationMonteCarloData.ages,
+                datasets: [
+                  { label: "10th Percentile", data: decumulationMonteCarloData.bands.p10, borderColor: "darkred", fill: false },
+                  { label: "25th Percentile", data: decumulationMonteCarloData.bands.p25, borderColor: "red", fill: false },
+                  { label: "50th Percentile", data: decumulationMonteCarloData.bands.p50, borderColor: "blue", fill: false },
+                  { label: "75th Percentile", data: decumulationMonteCarloData.bands.p75, borderColor: "green", fill: false },
+                  { label: "90th Percentile", data: decumulationMonteCarloData.bands.p90, borderColor: "darkgreen", fill: false },
+                  lifeExpectancyMarkers(lifeExpectancyPercentiles, decumulationMonteCarloData.ages, decumulationMonteCarloData.bands.p50),
+                ],
+              }, (i) => decumulationMonteCarloData.ages[i] - valuation.age)}
+              options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: `Pot Value (${pounds})` } } } }}
+            />
+          </div>
           <Line
-            data={decumulationChartData}
-            options={decumulationChartData.options}
+            data={{
+              labels: decumulationMonteCarloData.ages,
+              datasets: [
+                {
+                  label: "Probability Pot Has Run Out (%)",
+                  data: decumulationMonteCarloData.probabilityOfRuin.map((p) => p * 100),
+                  backgroundColor: "rgba(255, 0, 0, 0.2)",
+                  borderColor: "red",
+                  fill: true,
+                },
+                {
+                  label: "Probability of Being Alive (%)",
+                  data: decumulationMonteCarloData.probabilityAlive.map((p) => p * 100),
+                  borderColor: "green",
+                  fill: false,
+                },
+              ],
+            }}
+            options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: "Probability (%)" }, min: 0, max: 100 } } }}
           />
         </div>
       )}
 
+      {historicalData && (
+        <div className="mt-8">
+          <h3 className="text-xl font-semibold mb-4">Historical Sequences</h3>
+          <p className="text-sm mb-2">
+            {`The median pot at retirement was run through every start year from ${historicalData.cohorts[0].startYear} to ${historicalData.cohorts[historicalData.cohorts.length - 1].startYear}. `}
+            {historicalData.failedStartYears.length === 0
+              ? `It lasted to age ${getHorizonAge(historicalData)} in every cohort.`
+              : `It ran out before age ${getHorizonAge(historicalData)} in ${historicalData.failedStartYears.length} of ${historicalData.cohorts.length} cohorts (${(historicalData.probabilityOfRuin * 100).toFixed(1)}%)${historicalData.failedStartYears.length <= 12 ? `, retiring in ${historicalData.failedStartYears.join(", ")}` : ""}.`}
+            {` Chance of outliving the money (still alive when it runs out): ${(historicalData.probabilityOfOutliving * 100).toFixed(1)}%.`}
+          </p>
+          {lifeExpectancyNote}
+          <div className="mb-6">
+            <Line
+              data={chartInMoneyBasis({
+                labels: historicalData.ages,
+                datasets: [
+                  { label: `Worst (retired ${historicalData.worst.startYear})`, data: historicalData.worst.realPots, borderColor: "red", fill: false },
+                  { label: `Median (retired ${historicalData.median.startYear})`, data: historicalData.median.realPots, borderColor: "blue", fill: false },
+                  { label: `Best (retired ${historicalData.best.startYear})`, data: historicalData.best.realPots, borderColor: "green", fill: false },
+                  lifeExpectancyMarkers(lifeExpectancyPercentiles, historicalData.ages, historicalData.median.realPots),
+                ],
+              }, () => yearsToRetirement)}
+              options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: `Pot Value (${historicalPounds})` } } } }}
+            />
+          </div>
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border p-2">Cohort</th>
+                <th className="border p-2">Retired In</th>
+                <th className="border p-2">Pot Runs Out</th>
+                <th className="border p-2">Pot at {getHorizonAge(historicalData)} ({historicalPounds})</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[["Worst", historicalData.worst], ["Median", historicalData.median], ["Best", historicalData.best]].map(([label, cohort]) => (
+                <tr key={label}>
+                  <td className="border p-2">{label}</td>
+                  <td className="border p-2">{cohort.startYear}{cohort.wrapped ? "*" : ""}</td>
+                  <td className="border p-2">{cohort.depletionAge === Infinity ? `Lasts beyond ${getHorizonAge(historicalData)}` : `Age ${cohort.depletionAge.toFixed(1)}`}</td>
+                  <td className="border p-2">{toMoneyBasisValue(cohort.finalRealPot, yearsToRetirement).toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-sm mt-2">
+            * Cohorts that run past {HISTORICAL_YEARS[HISTORICAL_YEARS.length - 1].year} carry on from {HISTORICAL_YEARS[0].year}. Fund returns come from each fund&apos;s equity and bond mix, with the rest in cash.
+            Source: {HISTORICAL_SOURCE}
+          </p>
+        </div>
+      )}
+
+      {stressTestData && (
+        <StressTestPanel results={stressTestData} toMoneyBasis={(values) => toMoneyBasis(values, () => yearsToRetirement)} pounds={historicalPounds} />
+      )}
+
       {monthlyIncomeChartData && (
         <div className="mt-8">
           <h3 className="text-xl font-semibold mb-4">Monthly Income in Retirement</h3>
+          {lumpSum > 0 && (
+            <p className="text-sm mb-2">
+              Tax-free lump sum taken at retirement: {formatPounds(toMoneyBasisValue(lumpSum, yearsToRetirement))}. Drawdown income is then fully taxable.
+            </p>
+          )}
+          {annuityPurchase && (
+            <p className="text-sm mb-2">
+              {ANNUITY_LIFE_LABELS[formData.annuityLife]} {ANNUITY_TYPE_LABELS[formData.annuityType].toLowerCase()} annuity bought at age {annuityPurchase.age.toFixed(0)} for{" "}
+              {formatPounds(toMoneyBasisValue(annuityPurchase.price, annuityPurchase.age - valuation.age))}, paying{" "}
+              {formatPounds(toMoneyBasisValue(annuityPurchase.annualIncome, annuityPurchase.age - valuation.age))} a year at first. Annuity income is fully taxable.
+            </p>
+          )}
           <p className="text-sm mb-2">
             {formData.includeStatePension === "No" 
               ? "Note: State Pension is excluded."
-              : formData.includeStatePension === "Yes - Standard"
-              ? `Note: State Pension starts at £${STANDARD_STATE_PENSION_ANNUAL.toLocaleString("en-US")} per year (£${STANDARD_STATE_PENSION_MONTHLY.toFixed(2)} per month) and increases with inflation.`
-              : `Note: State Pension starts at £${parseFloat(formData.customStatePensionAnnual).toLocaleString("en-US")} per year (£${(parseFloat(formData.customStatePensionAnnual) / 12).toFixed(2)} per month) and increases with inflation.`}
+              : `Note: State Pension of £${statePensionNoteAnnual.toLocaleString("en-US", { maximumFractionDigits: 0 })} per year (£${(statePensionNoteAnnual / 12).toFixed(2)} per month) in today's money starts at age ${statePensionNoteAge} and increases each year under ${statePensionNoteUprating}, from today.${statePensionGapYears > 0 ? ` Drawdown alone covers the ${formatStatePensionAge(statePensionGapYears)} before it starts.` : ""}`}
           </p>
           <Line
-            data={monthlyIncomeChartData}
-            options={monthlyIncomeChartData.options}
+            data={chartInMoneyBasis(monthlyIncomeChartData, (month) => yearsToRetirement + Math.floor(month / 12))}
+            options={withMoneyAxis(monthlyIncomeChartData.options, "Monthly Income")}
           />
         </div>
       )}
@@ -750,16 +2288,14 @@ export default function RetirementForm() {
           <p className="text-sm mb-2">
             {formData.includeStatePension === "No" 
               ? "Note: State Pension is excluded."
-              : formData.includeStatePension === "Yes - Standard"
-              ? `Note: State Pension starts at £${STANDARD_STATE_PENSION_ANNUAL.toLocaleString("en-US")} per year and increases with inflation.`
-              : `Note: State Pension starts at £${parseFloat(formData.customStatePensionAnnual).toLocaleString("en-US")} per year and increases with inflation.`}
+              : `Note: State Pension of £${statePensionNoteAnnual.toLocaleString("en-US", { maximumFractionDigits: 0 })} per year in today's money starts at age ${statePensionNoteAge} and increases each year under ${statePensionNoteUprating}, from today.`}
           </p>
           <Line
-            data={annualIncomeChartData}
+            data={chartInMoneyBasis(annualIncomeChartData, (year) => yearsToRetirement + year)}
             options={{
               scales: {
                 x: { title: { display: true, text: "Age" } },
-                y: { title: { display: true, text: "Annual Income (£)" }, stacked: true },
+                y: { title: { display: true, text: `Annual Income (${pounds})` }, stacked: true },
               },
               plugins: {
                 legend: { display: true },
@@ -769,6 +2305,32 @@ export default function RetirementForm() {
           />
         </div>
       )}
+
+      {statePensionComparison && (
+        <div className="mt-8">
+          <h3 className="text-xl font-semibold mb-4">State Pension Uprating Comparison</h3>
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border p-2">Age</th>
+                {statePensionComparison.rules.map((rule) => (
+                  <th key={rule} className="border p-2">{STATE_PENSION_UPRATING_LABELS[rule]} ({pounds} per year)</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {statePensionComparison.rows.map((row) => (
+                <tr key={row.age}>
+                  <td className="border p-2">{row.age}</td>
+                  {row.amounts.map((amount, i) => (
+                    <td key={statePensionComparison.rules[i]} className="border p-2">{toMoneyBasisValue(amount, row.age - valuation.age).toLocaleString("en-US", { maximumFractionDigits: 0 })}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
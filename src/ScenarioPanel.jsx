@@ -0,0 +1,260 @@
+import { useState } from "react";
+import { Line } from "react-chartjs-2";
+import PropTypes from "prop-types";
+import { alignSeriesByAge, deleteScenario, getScenarioFormData, loadScenarios, saveScenario, MAX_COMPARED_SCENARIOS } from "./scenarios";
+import { toTodaysMoney } from "./engine/inflation";
+
+// Line colours for compared scenarios
+const scenarioColors = ["blue", "red", "green", "purple"];
+
+const formatPounds = (value) => `£${value.toLocaleString("en-US", { maximumFractionDigits: 0 })}`;
+
+// Saves, reloads and compares named scenarios
+export default function ScenarioPanel({ formData, run, onLoad }) {
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [scenarioName, setScenarioName] = useState("");
+  const [compared, setCompared] = useState([]);
+  const [error, setError] = useState("");
+
+  // Saves the last run under the entered name, with the inputs it was run on rather than the form as it is now
+  const handleSave = () => {
+    if (!scenarioName.trim()) {
+      setError("Scenario Name is required.");
+      return;
+    }
+    if (!run) {
+      setError("Run the simulation before saving a scenario.");
+      return;
+    }
+    setScenarios(saveScenario(scenarioName.trim(), run.formData, run.results));
+    setScenarioName("");
+    setError("");
+  };
+
+  // Loads a saved scenario's inputs into the form, unless they can no longer be read
+  const handleLoad = (scenario) => {
+    try {
+      onLoad(getScenarioFormData(scenario));
+      setError("");
+    } catch (loadError) {
+      setError(`${scenario.name} could not be loaded. ${loadError.message}`);
+    }
+  };
+
+  const handleDelete = (name) => {
+    setScenarios(deleteScenario(name));
+    setCompared(compared.filter((comparedName) => comparedName !== name));
+  };
+
+  // Toggles a scenario in the comparison, up to the maximum
+  const handleCompareToggle = (name) => {
+    if (compared.includes(name)) {
+      setCompared(compared.filter((comparedName) => comparedName !== name));
+    } else if (compared.length < MAX_COMPARED_SCENARIOS) {
+      setCompared([...compared, name]);
+    }
+  };
+
+  const comparedScenarios = compared
+    .map((name) => scenarios.find((scenario) => scenario.name === name))
+    .filter(Boolean);
+
+  // In today's money each scenario is deflated at its own inflation rate from its own current age.
+  // Totals were saved in today's money too; scenarios saved before then have none.
+  const inTodaysMoney = formData.moneyBasis === "real";
+  const pounds = inTodaysMoney ? "£, today's money" : "£";
+  const toMoneyBasis = (scenario, ages, values, yearEnd) => {
+    if (!inTodaysMoney) return values;
+    const startAge = scenario.results.accumulationAges[0];
+    return toTodaysMoney(values, parseFloat(scenario.formData.inflationRate) / 100, (i) => ages[i] - startAge + yearEnd);
+  };
+  const moneyValue = (r, key) => {
+    const value = inTodaysMoney ? r.realTotals?.[key] : r[key];
+    return value === undefined ? "Not recorded" : formatPounds(value);
+  };
+
+  // Builds an overlay chart of one series across the compared scenarios. yearEnd is 1 when each value
+  // is at the end of the year of its age.
+  const overlayChartData = (agesKey, valuesKey, yearEnd) => {
+    const { labels, data } = alignSeriesByAge(
+      comparedScenarios.map((scenario) => ({
+        ages: scenario.results[agesKey],
+        values: toMoneyBasis(scenario, scenario.results[agesKey], scenario.results[valuesKey], yearEnd),
+      }))
+    );
+    return {
+      labels,
+      datasets: comparedScenarios.map((scenario, i) => ({
+        label: scenario.name,
+        data: data[i],
+        borderColor: scenarioColors[i],
+        fill: false,
+        spanGaps: false,
+      })),
+    };
+  };
+
+  const outcomeRows = [
+    { label: "Pot at Retirement (median)", value: (r) => moneyValue(r, "potAtRetirement") },
+    // Scenarios saved before the planning horizon was added ran to age 100
+    { label: "Median Depletion Age", value: (r) => (r.medianDepletionAge === null ? `Beyond ${r.horizonAge ?? 100}` : r.medianDepletionAge.toFixed(1)) },
+    { label: "Success Rate", value: (r) => `${((1 - r.probabilityOfRuin) * 100).toFixed(1)}% to ${r.horizonAge ?? 100}` },
+    { label: "Probability of Running Out", value: (r) => `${(r.probabilityOfRuin * 100).toFixed(1)}% by ${r.horizonAge ?? 100}` },
+    { label: "Chance of Outliving the Money", value: (r) => (r.probabilityOfOutliving === undefined ? "Not recorded" : `${(r.probabilityOfOutliving * 100).toFixed(1)}%`) },
+    { label: "Total Lifetime Income (gross)", value: (r) => moneyValue(r, "totalLifetimeIncome") },
+    { label: "Total Lifetime Income (net)", value: (r) => moneyValue(r, "totalLifetimeNetIncome") },
+    { label: "Lifetime Charges", value: (r) => moneyValue(r, "totalCharges") },
+  ];
+
+  // Key outcomes of a scenario as numbers, for the differences from the first compared scenario
+  const keyOutcomes = (scenario) => {
+    const r = scenario.results;
+    return {
+      potAtRetirement: inTodaysMoney ? r.realTotals?.potAtRetirement : r.potAtRetirement,
+      successRate: 1 - r.probabilityOfRuin,
+      firstYearIncome: toMoneyBasis(scenario, r.incomeAges, r.annualGrossIncome, 0)[0],
+      totalLifetimeNetIncome: inTodaysMoney ? r.realTotals?.totalLifetimeNetIncome : r.totalLifetimeNetIncome,
+    };
+  };
+  const sign = (value) => (value < 0 ? "-" : "+");
+  const signedPounds = (value) => `${sign(value)}${formatPounds(Math.abs(value))}`;
+  const differenceRows = [
+    { label: "Pot at Retirement (median)", key: "potAtRetirement", format: signedPounds },
+    { label: "Success Rate", key: "successRate", format: (value) => `${sign(value)}${(Math.abs(value) * 100).toFixed(1)} points` },
+    { label: "Income in the First Year of Retirement (gross)", key: "firstYearIncome", format: signedPounds },
+    { label: "Total Lifetime Income (net)", key: "totalLifetimeNetIncome", format: signedPounds },
+  ];
+  const difference = (row, scenario) => {
+    const value = keyOutcomes(scenario)[row.key];
+    const baseValue = keyOutcomes(comparedScenarios[0])[row.key];
+    return value === undefined || baseValue === undefined ? "Not recorded" : row.format(value - baseValue);
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <h3 className="text-xl font-semibold mb-2">Scenarios</h3>
+      <label className="block">
+        Scenario Name:
+        <input
+          type="text"
+          value={scenarioName}
+          onChange={(e) => setScenarioName(e.target.value)}
+          className="w-full p-2 border rounded"
+        />
+        {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      </label>
+      <button onClick={handleSave} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+        Save Scenario
+      </button>
+
+      {scenarios.length > 0 && (
+        <table className="w-full border mt-4">
+          <thead>
+            <tr>
+              <th className="border p-2">Compare</th>
+              <th className="border p-2">Scenario</th>
+              <th className="border p-2">Saved</th>
+              <th className="border p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map((scenario) => (
+              <tr key={scenario.name}>
+                <td className="border p-2">
+                  <input
+                    type="checkbox"
+                    checked={compared.includes(scenario.name)}
+                    disabled={!compared.includes(scenario.name) && compared.length >= MAX_COMPARED_SCENARIOS}
+                    onChange={() => handleCompareToggle(scenario.name)}
+                  />
+                </td>
+                <td className="border p-2">{scenario.name}</td>
+                <td className="border p-2">{new Date(scenario.savedAt).toLocaleString("en-GB")}</td>
+                <td className="border p-2">
+                  <button onClick={() => handleLoad(scenario)} className="p-1 mr-2 bg-blue-500 text-white rounded">
+                    Load
+                  </button>
+                  <button onClick={() => handleDelete(scenario.name)} className="p-1 bg-red-500 text-white rounded">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {comparedScenarios.length === 1 && (
+        <p className="text-sm mt-2">Select between 2 and {MAX_COMPARED_SCENARIOS} scenarios to compare them.</p>
+      )}
+
+      {comparedScenarios.length >= 2 && (
+        <div className="mt-8">
+          <h3 className="text-xl font-semibold mb-4">Scenario Comparison{inTodaysMoney && " (today's money)"}</h3>
+          <table className="w-full border-collapse mb-6">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border p-2">Outcome</th>
+                {comparedScenarios.map((scenario) => (
+                  <th key={scenario.name} className="border p-2">{scenario.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {outcomeRows.map((row) => (
+                <tr key={row.label}>
+                  <td className="border p-2">{row.label}</td>
+                  {comparedScenarios.map((scenario) => (
+                    <td key={scenario.name} className="border p-2">{row.value(scenario.results)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <h4 className="font-semibold mb-2">Difference from {comparedScenarios[0].name}</h4>
+          <table className="w-full border-collapse mb-6">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border p-2">Outcome</th>
+                {comparedScenarios.slice(1).map((scenario) => (
+                  <th key={scenario.name} className="border p-2">{scenario.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {differenceRows.map((row) => (
+                <tr key={row.label}>
+                  <td className="border p-2">{row.label}</td>
+                  {comparedScenarios.slice(1).map((scenario) => (
+                    <td key={scenario.name} className="border p-2">{difference(row, scenario)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mb-6">
+            <h4 className="font-semibold mb-2">Pot Value Before Retirement (median)</h4>
+            <Line
+              data={overlayChartData("accumulationAges", "accumulationP50", 1)}
+              options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: `Pot Value (${pounds})` } } } }}
+            />
+          </div>
+          <div>
+            <h4 className="font-semibold mb-2">Annual Income in Retirement (gross)</h4>
+            <Line
+              data={overlayChartData("incomeAges", "annualGrossIncome", 0)}
+              options={{ scales: { x: { title: { display: true, text: "Age" } }, y: { title: { display: true, text: `Annual Income (${pounds})` } } } }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ScenarioPanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  // The inputs and results of the last finished run, or null before one has finished
+  run: PropTypes.shape({ formData: PropTypes.object.isRequired, results: PropTypes.object.isRequired }),
+  onLoad: PropTypes.func.isRequired,
+};
@@ -0,0 +1,59 @@
+import PropTypes from "prop-types";
+import { createSpendingPhaseEntry, SPENDING_SMILE } from "./engine/spendingProfile";
+
+// Phases of spending in retirement, each setting the share of the drawdown spent from an age.
+// onProfileChange receives the new list of phases.
+export default function SpendingProfilePanel({ formData, errors, onProfileChange }) {
+  const { spendingProfile } = formData;
+
+  const handlePhaseChange = (index, field, value) => {
+    onProfileChange(spendingProfile.map((phase, i) => (i === index ? { ...phase, [field]: value } : phase)));
+  };
+
+  const handleAddPhase = () => {
+    onProfileChange([...spendingProfile, createSpendingPhaseEntry()]);
+  };
+
+  const handleRemovePhase = (index) => {
+    onProfileChange(spendingProfile.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold mb-2 mt-4">Spending Profile</h3>
+      {spendingProfile.map((phase, i) => (
+        <div key={i} className="border rounded p-2 mb-2">
+          <label className="block">
+            Phase {i + 1} From Age:
+            <input type="number" value={phase.age} onChange={(e) => handlePhaseChange(i, "age", e.target.value)} className="w-full p-2 border rounded" />
+          </label>
+          <label className="block">
+            Spending (% of the drawdown, in today&apos;s money):
+            <input type="number" value={phase.percentage} onChange={(e) => handlePhaseChange(i, "percentage", e.target.value)} className="w-full p-2 border rounded" />
+          </label>
+          <button onClick={() => handleRemovePhase(i)} className="p-1 mt-1 bg-red-500 text-white rounded">
+            Remove Phase
+          </button>
+        </div>
+      ))}
+      {errors.spendingProfile && <p className="text-red-500 text-sm mt-1">{errors.spendingProfile}</p>}
+      <button onClick={handleAddPhase} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+        Add Spending Phase
+      </button>
+      <button onClick={() => onProfileChange(SPENDING_SMILE)} className="w-full p-2 mt-2 bg-blue-500 text-white rounded">
+        Use the Retirement Spending Smile
+      </button>
+      <p className="text-sm mt-1">
+        {spendingProfile.length > 0
+          ? "Spending is 100% of the drawdown until the first phase. Each phase scales whichever drawdown strategy you choose, including a survivor's share and any target income."
+          : "Spending stays at 100% of the drawdown throughout retirement. Add phases to spend more in the active early years and less later, with a rise for care costs."}
+      </p>
+    </div>
+  );
+}
+
+SpendingProfilePanel.propTypes = {
+  formData: PropTypes.object.isRequired,
+  errors: PropTypes.object.isRequired,
+  onProfileChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,100 @@
+import { DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATIONS } from "./engine/funds";
+import { DEFAULT_TAX_THRESHOLDS } from "./engine/tax";
+
+// Initial form inputs and defaults. Saved scenarios and imported plans are merged over these,
+// so fields added later still get a value.
+export const DEFAULT_FORM_DATA = {
+  ageToLowRiskFund: "",
+  numFunds: "3",
+  funds: ["Future Advantage 1", "Future Advantage 3", "Future Advantage 5"],
+  age: "",
+  salary: "",
+  currentPot: "",
+  employeeContributionRate: "",
+  employerContributionRate: "",
+  contributionBasis: "qualifyingEarnings", // "qualifyingEarnings" or "fullSalary"
+  taxReliefMethod: "reliefAtSource", // "reliefAtSource", "netPay" or "salarySacrifice"
+  retirementAge: "",
+  fundSelection: "Future Advantage 5",
+  lifestyling: "none", // "none" or "glidePath" from fundSelection into lifestylingTargetFund
+  lifestylingTargetFund: "Future Advantage 2",
+  lifestylingYears: "10", // Years before retirement the switch starts
+  fundCatalogue: DEFAULT_FUND_CATALOGUE, // Funds offered in every fund selection
+  fundCorrelations: DEFAULT_FUND_CORRELATIONS, // Matrix in catalogue order
+  returnModel: "lognormal", // "lognormal", "normal", "studentT" or the legacy "uniform"
+  returnDegreesOfFreedom: "5", // Student-t only; lower means fatter tails
+  simulationMode: "monteCarlo", // "monteCarlo" or "historical" sequences for the range of outcomes
+  simulations: "1000", // Simulation runs, from 1,000 to 100,000
+  moneyBasis: "nominal", // Results shown in "nominal" future pounds or "real" today's money
+  drawdownType: "percentage",
+  drawdownPercentage: "",
+  drawdownFixed: "",
+  drawdownInitialPotPercentage: "",
+  guardrailInitialRate: "5", // Guyton-Klinger: starting withdrawal rate (% of pot per year)
+  guardrailUpperLimit: "20", // Cut income when the withdrawal rate is this far (%) above the initial rate
+  guardrailLowerLimit: "20", // Raise income when the withdrawal rate is this far (%) below the initial rate
+  guardrailAdjustment: "10", // Size (%) of each cut or raise
+  floorCeilingRate: "4", // % of the pot each year
+  floorCeilingFloor: "2.5", // Largest cut (%) from last year's real income
+  floorCeilingCeiling: "5", // Largest rise (%) over last year's real income
+  naturalYieldRate: "3.5", // Income yield (% of the pot per year)
+  targetIncomeAnnual: "", // Target total income (£ per year in today's money) before tax
+  solverTargetAge: "95", // Age the target income should last to when solving for the pot needed
+  otherIncomeAnnual: "", // £ per year in today's money, such as a defined benefit pension
+  otherIncomeStartAge: "", // Blank to start at retirement
+  planningHorizon: "lifeTable", // "lifeTable" or "fixed" at age 100
+  sex: "male", // Sets the life table for the planning horizon and annuity pricing
+  health: "average", // Scales mortality in the life table
+  annuityPurchase: "No", // Buy an annuity with part of the pot?
+  annuityShare: "50", // % of the pot used to buy the annuity
+  annuityAge: "", // Blank to buy at retirement
+  annuityType: "level", // "level", "escalating" or "rpi"
+  annuityEscalationRate: "3", // % a year for escalating annuities
+  annuityLife: "single", // "single" or "joint"
+  annuityJointProportion: "50", // % of the income that carries on to the spouse
+  annuitySpouseAge: "", // Spouse's current age, for joint life annuities
+  annuitySpouseSex: "female",
+  annuityGuaranteeYears: "0", // Years paid in full whoever is alive
+  annuityPricing: "rates", // "rates" or "mortality"
+  annuityRate: "7", // Starting income as % of the purchase price per year
+  annuityDiscountRate: "4.5", // % a year, such as a long gilt yield, for mortality pricing
+  goalUnknown: "contributionRate", // Input the goal-seek solver finds: "contributionRate", "retirementAge" or "sustainableDrawdown"
+  goalTargetAge: "95", // Age the pot should last to
+  goalConfidence: "80", // % of simulations in which it should last
+  inflationRate: "",
+  earningsGrowthRate: "",
+  includeStatePension: "Yes - Standard", // Updated to three options
+  customStatePensionAnnual: "", // New field for custom annual amount
+  dateOfBirth: "", // Used to work out State Pension Age
+  niQualifyingYears: "35", // Pro-rates the standard state pension
+  statePensionUprating: "tripleLock", // "tripleLock", "cpi" or "custom"
+  customStatePensionUpratingRate: "",
+  taxFreeCash: "ufpls", // "ufpls" (25% of each withdrawal) or "pcls" (lump sum at retirement)
+  personalAllowance: String(DEFAULT_TAX_THRESHOLDS.personalAllowance),
+  higherRateThreshold: String(DEFAULT_TAX_THRESHOLDS.higherRateThreshold),
+  additionalRateThreshold: String(DEFAULT_TAX_THRESHOLDS.additionalRateThreshold),
+  taxThresholdIndexing: "frozen", // "frozen" or "indexed" with inflation
+  platformFeeTiers: [{ upTo: "", rate: "0" }], // Tiered % of the pot; a blank limit covers the rest
+  adviserFee: "0", // Flat £ per year, rising with inflation
+  accounts: [], // Other pensions and savings (see engine/accounts.js)
+  withdrawalOrder: "pensionFirst", // Order drawdown is taken from the pension and savings
+  lifeEvents: [], // Career breaks, pay changes, lump sums and one-off withdrawals (see engine/lifeEvents.js)
+  spendingProfile: [], // Share of the drawdown spent from each age in retirement (see engine/spendingProfile.js)
+  stressTestSequence: "", // Your own stress test: annual returns in %, comma separated (see engine/stressTests.js)
+  household: "single", // "single" or "couple"
+  partnerAge: "",
+  partnerSalary: "",
+  partnerCurrentPot: "",
+  partnerEmployeeContributionRate: "",
+  partnerEmployerContributionRate: "",
+  partnerRetirementAge: "", // Partner contributes until this age; drawdown starts at retirementAge
+  partnerSex: "female",
+  partnerHealth: "average",
+  partnerIncludeStatePension: "Yes - Standard",
+  partnerCustomStatePensionAnnual: "",
+  partnerDateOfBirth: "",
+  partnerNiQualifyingYears: "35",
+  survivorPensionShare: "50", // % of the deceased's defined benefit and other pension income the survivor keeps
+  survivorStatePensionShare: "0", // % of the deceased's state pension the survivor inherits, which most don't under the new State Pension
+  survivorSpendingShare: "70", // % of the household's drawdown the survivor needs
+};
@@ -0,0 +1,149 @@
+// Accounts held besides the workplace pension: other defined contribution pensions, defined benefit
+// pensions, and savings in ISAs, cash and general investment accounts. Every account is the first
+// member's. Defined contribution pensions join the workplace pension at retirement; savings are drawn
+// on alongside it in the plan's withdrawal order.
+
+export const ACCOUNT_TYPE_LABELS = {
+  dcPension: "Defined Contribution Pension",
+  definedBenefit: "Defined Benefit Pension",
+  isa: "Stocks & Shares ISA",
+  cash: "Cash Savings",
+  gia: "General Investment Account",
+};
+
+export const WITHDRAWAL_ORDER_LABELS = {
+  pensionFirst: "Pension First, then Savings",
+  isaFirst: "ISA First, then Other Savings, then Pension",
+  personalAllowance: "Pension up to the Personal Allowance, then Savings",
+  proportional: "In Proportion to Balances",
+};
+
+// Most that can be paid into ISAs in a tax year. It has been frozen, so it is not indexed.
+export const ISA_ALLOWANCE = 20000;
+
+// Savings accounts, drawn on in retirement
+export const SAVINGS_ACCOUNT_TYPES = ["isa", "cash", "gia"];
+
+// Order savings are drawn on after (or before) the pension. Cash earns least and a general investment
+// account's growth is taxed, so both go before the ISA unless the ISA comes first.
+const SAVINGS_ORDER = {
+  pensionFirst: ["cash", "gia", "isa"],
+  isaFirst: ["isa", "cash", "gia"],
+  personalAllowance: ["cash", "gia", "isa"],
+};
+
+// New account row for the form, invested in the given fund
+export const createAccountEntry = (fund) => ({
+  type: "isa",
+  balance: "",
+  fund,
+  contribution: "",
+  interestRate: "",
+  annualPension: "",
+  startAge: "",
+  revaluationRate: "",
+  increaseRate: "",
+});
+
+// Converts an account row from the form into the plan's numbers. Rates become fractions.
+export const toAccountData = (account) => ({
+  type: account.type,
+  balance: parseFloat(account.balance) || 0,
+  fund: account.fund,
+  contribution: parseFloat(account.contribution) || 0,
+  interestRate: (parseFloat(account.interestRate) || 0) / 100,
+  annualPension: parseFloat(account.annualPension) || 0,
+  startAge: parseFloat(account.startAge),
+  revaluationRate: (parseFloat(account.revaluationRate) || 0) / 100,
+  increaseRate: (parseFloat(account.increaseRate) || 0) / 100,
+});
+
+// Checks account rows for missing or out of range values, given the fund names in the catalogue;
+// returns an error message or ""
+export const validateAccounts = (accounts, fundNames) => {
+  for (const [i, account] of accounts.entries()) {
+    const name = `Account ${i + 1} (${ACCOUNT_TYPE_LABELS[account.type]})`;
+    const isBlankOrBetween = (value, low, high) => value === "" || (parseFloat(value) >= low && parseFloat(value) <= high);
+    if (account.type === "definedBenefit") {
+      const annualPension = parseFloat(account.annualPension);
+      const startAge = parseFloat(account.startAge);
+      if (isNaN(annualPension) || annualPension <= 0) return `${name}: Annual Pension must be more than 0.`;
+      if (isNaN(startAge) || startAge < 50 || startAge > 100) return `${name}: Start Age must be between 50 and 100.`;
+      if (!isBlankOrBetween(account.revaluationRate, 0, 10) || !isBlankOrBetween(account.increaseRate, 0, 10))
+        return `${name}: Revaluation and Increase Rates must be between 0% and 10%.`;
+      continue;
+    }
+    const balance = parseFloat(account.balance);
+    if (account.balance !== "" && (isNaN(balance) || balance < 0)) return `${name}: Balance cannot be negative.`;
+    if (!isBlankOrBetween(account.contribution, 0, Infinity)) return `${name}: Annual Contribution cannot be negative.`;
+    if (account.type === "isa" && parseFloat(account.contribution) > ISA_ALLOWANCE)
+      return `${name}: Annual Contribution cannot be more than the ISA allowance of £${ISA_ALLOWANCE.toLocaleString()}.`;
+    if (account.type === "cash" && !isBlankOrBetween(account.interestRate, -5, 20)) return `${name}: Interest Rate must be between -5% and 20%.`;
+    if (isInvested(account) && !fundNames.includes(account.fund)) return `${name}: Choose a fund from the catalogue.`;
+  }
+  return "";
+};
+
+// The plan's savings accounts, in the order they were entered
+export const getSavingsAccounts = (plan) => plan.accounts.filter((account) => SAVINGS_ACCOUNT_TYPES.includes(account.type));
+
+// Names of the savings accounts, numbered as in the full list of accounts
+export const getSavingsAccountNames = (accounts) =>
+  accounts.flatMap((account, i) => (SAVINGS_ACCOUNT_TYPES.includes(account.type) ? [`${ACCOUNT_TYPE_LABELS[account.type]} (Account ${i + 1})`] : []));
+
+// Accounts that are invested in a fund (cash earns its own interest rate instead)
+export const isInvested = (account) => account.type !== "cash" && account.type !== "definedBenefit";
+
+// A year's contribution to an account, set in today's money and rising with inflation. ISA
+// contributions are capped at the allowance.
+export const getAccountContribution = (account, plan, year) => {
+  const contribution = account.contribution * Math.pow(1 + plan.inflationRate, year);
+  return account.type === "isa" ? Math.min(contribution, ISA_ALLOWANCE) : contribution;
+};
+
+// Annual income from a defined benefit pension at an age of the first member. The pension is given in
+// today's pounds and is revalued each year until it starts, then increased each year in payment.
+export const getDefinedBenefitIncome = (account, plan, age) => {
+  if (age < account.startAge) return 0;
+  const paymentStartAge = Math.max(account.startAge, plan.age);
+  return account.annualPension
+    * Math.pow(1 + account.revaluationRate, paymentStartAge - plan.age)
+    * Math.pow(1 + account.increaseRate, Math.floor(age - paymentStartAge));
+};
+
+// Splits a month's withdrawal between the pension and the savings accounts ([{ type, balance }]) in
+// the withdrawal order. Within a type, accounts are drawn in proportion to their balances. With the
+// personal allowance order, pensionAllowance is the most taken from the pension before savings.
+// Returns { pension, savings } with one amount per savings account; an amount the pension and
+// savings cannot cover together is left untaken.
+export const splitWithdrawal = (amount, pension, savings, order, pensionAllowance = Infinity) => {
+  if (order === "proportional") {
+    const total = savings.reduce((sum, account) => sum + account.balance, pension);
+    const share = total > 0 ? Math.min(amount, total) / total : 0;
+    return { pension: pension * share, savings: savings.map((account) => account.balance * share) };
+  }
+
+  const fromSavings = savings.map(() => 0);
+  let fromPension = 0;
+  let remaining = amount;
+  const takePension = (limit) => {
+    const take = Math.max(0, Math.min(remaining, limit - fromPension, pension - fromPension));
+    fromPension += take;
+    remaining -= take;
+  };
+  const takeSavings = (type) => {
+    const balance = savings.reduce((sum, account) => sum + (account.type === type ? account.balance : 0), 0);
+    const take = Math.min(remaining, balance);
+    if (take <= 0) return;
+    savings.forEach((account, i) => {
+      if (account.type === type) fromSavings[i] += take * account.balance / balance;
+    });
+    remaining -= take;
+  };
+
+  if (order === "pensionFirst") takePension(Infinity);
+  if (order === "personalAllowance") takePension(pensionAllowance);
+  SAVINGS_ORDER[order].forEach(takeSavings);
+  takePension(Infinity);
+  return { pension: fromPension, savings: fromSavings };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { createAccountEntry, getAccountContribution, getDefinedBenefitIncome, splitWithdrawal, toAccountData, validateAccounts } from "./accounts";
+
+const isa = (balance) => ({ type: "isa", balance });
+const cash = (balance) => ({ type: "cash", balance });
+const gia = (balance) => ({ type: "gia", balance });
+
+describe("toAccountData", () => {
+  it("converts an account row into numbers with rates as fractions", () => {
+    const account = toAccountData({ ...createAccountEntry("Future Advantage 3"), type: "cash", balance: "5000", interestRate: "4" });
+    expect(account).toMatchObject({ type: "cash", balance: 5000, fund: "Future Advantage 3", contribution: 0 });
+    expect(account.interestRate).toBeCloseTo(0.04);
+  });
+});
+
+describe("validateAccounts", () => {
+  const funds = ["Future Advantage 3"];
+
+  it("accepts valid accounts", () => {
+    expect(validateAccounts([{ ...createAccountEntry("Future Advantage 3"), balance: "1000", contribution: "20000" }], funds)).toBe("");
+  });
+
+  it("rejects ISA contributions over the allowance, unknown funds and incomplete defined benefit pensions", () => {
+    expect(validateAccounts([{ ...createAccountEntry("Future Advantage 3"), contribution: "20001" }], funds)).toMatch("ISA allowance");
+    expect(validateAccounts([createAccountEntry("Gone")], funds)).toMatch("Choose a fund");
+    expect(validateAccounts([{ ...createAccountEntry(""), type: "definedBenefit", annualPension: "5000" }], funds)).toMatch("Start Age");
+  });
+});
+
+describe("getAccountContribution", () => {
+  it("raises contributions with inflation, capping ISA contributions at the allowance", () => {
+    const plan = { inflationRate: 0.1 };
+    expect(getAccountContribution({ type: "gia", contribution: 19000 }, plan, 1)).toBeCloseTo(20900);
+    expect(getAccountContribution({ type: "isa", contribution: 19000 }, plan, 1)).toBe(20000);
+  });
+});
+
+describe("getDefinedBenefitIncome", () => {
+  const plan = { age: 55 };
+  const account = { annualPension: 10000, startAge: 60, revaluationRate: 0.02, increaseRate: 0.03 };
+
+  it("revalues the pension until it starts, then increases it each year in payment", () => {
+    expect(getDefinedBenefitIncome(account, plan, 59.9)).toBe(0);
+    expect(getDefinedBenefitIncome(account, plan, 60)).toBeCloseTo(10000 * Math.pow(1.02, 5));
+    expect(getDefinedBenefitIncome(account, plan, 62.5)).toBeCloseTo(10000 * Math.pow(1.02, 5) * Math.pow(1.03, 2));
+  });
+
+  it("takes a pension already in payment as its current amount", () => {
+    expect(getDefinedBenefitIncome({ ...account, startAge: 50 }, plan, 56)).toBeCloseTo(10300);
+  });
+});
+
+describe("splitWithdrawal", () => {
+  it("takes the pension first, then cash, then the investment account, then the ISA", () => {
+    expect(splitWithdrawal(100, 150, [isa(100), cash(50)], "pensionFirst")).toEqual({ pension: 100, savings: [0, 0] });
+    expect(splitWithdrawal(300, 150, [isa(100), cash(50), gia(50)], "pensionFirst")).toEqual({ pension: 150, savings: [50, 50, 50] });
+  });
+
+  it("takes the ISA first and the pension last", () => {
+    expect(splitWithdrawal(120, 500, [cash(50), isa(100)], "isaFirst")).toEqual({ pension: 0, savings: [20, 100] });
+    expect(splitWithdrawal(200, 500, [cash(50), isa(100)], "isaFirst")).toEqual({ pension: 50, savings: [50, 100] });
+  });
+
+  it("takes the pension up to the personal allowance room, then savings, then more pension", () => {
+    expect(splitWithdrawal(100, 500, [isa(200)], "personalAllowance", 30)).toEqual({ pension: 30, savings: [70] });
+    expect(splitWithdrawal(300, 500, [isa(200)], "personalAllowance", 30)).toEqual({ pension: 100, savings: [200] });
+  });
+
+  it("shares withdrawals in proportion to balances, and within a type", () => {
+    expect(splitWithdrawal(60, 200, [isa(50), isa(50)], "proportional")).toEqual({ pension: 40, savings: [10, 10] });
+    expect(splitWithdrawal(30, 0, [isa(100), isa(200)], "pensionFirst")).toEqual({ pension: 0, savings: [10, 20] });
+  });
+
+  it("leaves what the pension and savings cannot cover", () => {
+    expect(splitWithdrawal(500, 100, [cash(50)], "pensionFirst")).toEqual({ pension: 100, savings: [50] });
+    expect(splitWithdrawal(500, 100, [cash(50)], "proportional")).toEqual({ pension: 100, savings: [50] });
+  });
+});
@@ -0,0 +1,53 @@
+import { createLifeTable, MAX_TABLE_AGE } from "./mortality";
+
+// Annuities bought with part of the pot, at retirement or later. Income is priced either from an
+// annuity rate (income per year as a share of the purchase price) or from the life tables and a
+// discount rate, where poorer health gives an enhanced annuity. Income from a joint life annuity carries
+// on at a share to the spouse, and a guarantee period pays in full for its first years whoever is alive.
+
+export const ANNUITY_TYPE_LABELS = {
+  level: "Level",
+  escalating: "Escalating",
+  rpi: "RPI-Linked",
+};
+
+export const ANNUITY_LIFE_LABELS = {
+  single: "Single Life",
+  joint: "Joint Life",
+};
+
+export const ANNUITY_PRICING_LABELS = {
+  rates: "Annuity Rate",
+  mortality: "Life Tables and Discount Rate",
+};
+
+// Yearly rise in annuity income: none when level, the fixed rate when escalating, and the
+// year's inflation when RPI-linked
+export const getAnnuityEscalationRate = (plan, inflation) =>
+  plan.annuityType === "escalating" ? plan.annuityEscalationRate
+  : plan.annuityType === "rpi" ? inflation
+  : 0;
+
+// Cost at the purchase age of £1 a year of starting income, allowing for escalation, survival and the
+// guarantee period. Income is paid through each year, so it is discounted from the middle of the year.
+export const getAnnuityFactor = (plan, purchaseAge) => {
+  const escalation = getAnnuityEscalationRate(plan, plan.inflationRate);
+  const spouseAge = plan.annuitySpouseAge + purchaseAge - plan.age;
+  const annuitant = createLifeTable(plan);
+  // The spouse's table has average health and the birth year that goes with their current age
+  const spouse = createLifeTable({ sex: plan.annuitySpouseSex, birthYear: plan.birthYear + plan.age - plan.annuitySpouseAge });
+  const years = MAX_TABLE_AGE - Math.min(purchaseAge, plan.annuityLife === "joint" ? spouseAge : purchaseAge);
+  let factor = 0;
+  for (let year = 0; year < years; year++) {
+    const annuitantAlive = annuitant.survival(purchaseAge, year + 0.5);
+    const spouseAlive = plan.annuityLife === "joint" ? spouse.survival(spouseAge, year + 0.5) : 0;
+    const expectedPayment = year < plan.annuityGuaranteeYears ? 1
+      : annuitantAlive + plan.annuityJointProportion * (1 - annuitantAlive) * spouseAlive;
+    factor += expectedPayment * Math.pow(1 + escalation, year) / Math.pow(1 + plan.annuityDiscountRate, year + 0.5);
+  }
+  return factor;
+};
+
+// Starting income per year from each £1 of purchase price
+export const getAnnuityRate = (plan, purchaseAge) =>
+  plan.annuityPricing === "rates" ? plan.annuityRate : 1 / getAnnuityFactor(plan, purchaseAge);
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { getAnnuityEscalationRate, getAnnuityFactor, getAnnuityRate } from "./annuity";
+
+const plan = (overrides = {}) => ({
+  age: 60,
+  sex: "male",
+  birthYear: 1965,
+  health: "average",
+  inflationRate: 0.025,
+  annuityType: "level",
+  annuityEscalationRate: 0.03,
+  annuityLife: "single",
+  annuityJointProportion: 0.5,
+  annuitySpouseAge: 58,
+  annuitySpouseSex: "female",
+  annuityGuaranteeYears: 0,
+  annuityPricing: "mortality",
+  annuityRate: 0.07,
+  annuityDiscountRate: 0.045,
+  ...overrides,
+});
+
+describe("getAnnuityEscalationRate", () => {
+  it("depends on the annuity type", () => {
+    expect(getAnnuityEscalationRate(plan(), 0.1)).toBe(0);
+    expect(getAnnuityEscalationRate(plan({ annuityType: "escalating" }), 0.1)).toBe(0.03);
+    expect(getAnnuityEscalationRate(plan({ annuityType: "rpi" }), 0.1)).toBe(0.1);
+  });
+});
+
+describe("getAnnuityFactor", () => {
+  it("prices a guarantee to the end of the table as income certain", () => {
+    const factor = getAnnuityFactor(plan({ annuityGuaranteeYears: 55 }), 65);
+    let certain = 0;
+    for (let year = 0; year < 55; year++) certain += 1 / Math.pow(1.045, year + 0.5);
+    expect(factor).toBeCloseTo(certain);
+  });
+
+  it("costs more for joint life, a guarantee or rising income", () => {
+    const single = getAnnuityFactor(plan(), 65);
+    expect(single).toBeGreaterThan(10);
+    expect(single).toBeLessThan(16);
+    expect(getAnnuityFactor(plan({ annuityLife: "joint" }), 65)).toBeGreaterThan(single);
+    expect(getAnnuityFactor(plan({ annuityGuaranteeYears: 10 }), 65)).toBeGreaterThan(single);
+    expect(getAnnuityFactor(plan({ annuityType: "rpi" }), 65)).toBeGreaterThan(single);
+  });
+
+  it("pays more to an annuitant in poor health", () => {
+    expect(getAnnuityFactor(plan({ health: "poor" }), 65)).toBeLessThan(getAnnuityFactor(plan(), 65));
+  });
+
+  it("costs less when bought later", () => {
+    expect(getAnnuityFactor(plan(), 75)).toBeLessThan(getAnnuityFactor(plan(), 65));
+  });
+});
+
+describe("getAnnuityRate", () => {
+  it("uses the entered rate or the mortality price", () => {
+    expect(getAnnuityRate(plan({ annuityPricing: "rates" }), 65)).toBe(0.07);
+    expect(getAnnuityRate(plan(), 65)).toBeCloseTo(1 / getAnnuityFactor(plan(), 65));
+  });
+});
@@ -0,0 +1,26 @@
+// Charges deducted from the pot: fund ongoing charges (from the fund catalogue),
+// a tiered platform fee on the pot value and an optional flat adviser fee.
+
+// Annual platform fee on a pot. Each tier's rate applies to the slice of the pot up to its limit,
+// like tax bands; a tier with no limit (upTo of Infinity) covers everything above the previous one.
+export const calculatePlatformFee = (pot, tiers) => {
+  let fee = 0;
+  let lowerLimit = 0;
+  for (const { upTo, rate } of tiers) {
+    if (pot <= lowerLimit) break;
+    fee += (Math.min(pot, upTo) - lowerLimit) * rate;
+    lowerLimit = upTo;
+  }
+  return fee;
+};
+
+// Annual charges on a pot held in a single fund
+export const calculateAnnualCharges = (pot, fundChargeRate, plan, adviserFee) => ({
+  fundCharge: pot * fundChargeRate,
+  platformFee: calculatePlatformFee(pot, plan.platformFeeTiers),
+  adviserFee: pot > 0 ? adviserFee : 0,
+});
+
+// Total of a charges breakdown, never more than the pot it comes out of
+export const sumCharges = (charges, pot) =>
+  Math.min(pot, charges.fundCharge + charges.platformFee + charges.adviserFee);
@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { calculateAnnualCharges, calculatePlatformFee, sumCharges } from "./charges";
+
+const tiers = [
+  { upTo: 250000, rate: 0.0025 },
+  { upTo: 1000000, rate: 0.001 },
+  { upTo: Infinity, rate: 0 },
+];
+
+describe("calculatePlatformFee", () => {
+  it("charges each tier's rate on the slice of the pot within it", () => {
+    expect(calculatePlatformFee(100000, tiers)).toBeCloseTo(250);
+    expect(calculatePlatformFee(500000, tiers)).toBeCloseTo(625 + 250);
+    expect(calculatePlatformFee(2000000, tiers)).toBeCloseTo(625 + 750);
+  });
+
+  it("charges nothing on an empty pot", () => {
+    expect(calculatePlatformFee(0, tiers)).toBe(0);
+  });
+});
+
+describe("calculateAnnualCharges", () => {
+  it("adds up fund, platform and adviser charges", () => {
+    const charges = calculateAnnualCharges(100000, 0.005, { platformFeeTiers: tiers }, 600);
+    expect(charges).toEqual({ fundCharge: 500, platformFee: 250, adviserFee: 600 });
+    expect(sumCharges(charges, 100000)).toBe(1350);
+  });
+
+  it("never takes more than the pot", () => {
+    expect(sumCharges(calculateAnnualCharges(300, 0, { platformFeeTiers: tiers }, 600), 300)).toBe(300);
+  });
+});
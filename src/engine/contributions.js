@@ -0,0 +1,96 @@
+import { getSalaryFactor, sumLifeEventAmounts } from "./lifeEvents";
+import { calculateIncomeTax, BASIC_RATE, DEFAULT_TAX_THRESHOLDS } from "./tax";
+
+// Qualifying earnings band used by auto-enrolment schemes
+export const QUALIFYING_EARNINGS_LOWER = 6240;
+export const QUALIFYING_EARNINGS_UPPER = 50270;
+
+// Employee Class 1 National Insurance
+export const NI_PRIMARY_THRESHOLD = 12570;
+export const NI_UPPER_EARNINGS_LIMIT = 50270;
+export const NI_MAIN_RATE = 0.08;
+export const NI_UPPER_RATE = 0.02;
+
+// Annual allowance and the taper for high earners
+export const ANNUAL_ALLOWANCE = 60000;
+export const MINIMUM_TAPERED_ANNUAL_ALLOWANCE = 10000;
+export const TAPER_THRESHOLD_INCOME = 200000;
+export const TAPER_ADJUSTED_INCOME = 260000;
+
+// Display names for the tax relief methods
+export const TAX_RELIEF_METHOD_LABELS = {
+  reliefAtSource: "Relief at Source",
+  netPay: "Net Pay",
+  salarySacrifice: "Salary Sacrifice",
+};
+
+// Employee National Insurance due on a year's salary
+export const calculateEmployeeNI = (salary) =>
+  Math.max(0, Math.min(salary, NI_UPPER_EARNINGS_LIMIT) - NI_PRIMARY_THRESHOLD) * NI_MAIN_RATE
+  + Math.max(0, salary - NI_UPPER_EARNINGS_LIMIT) * NI_UPPER_RATE;
+
+// Salary that contribution rates apply to, either the qualifying earnings band or the full salary
+export const getPensionableSalary = (salary, basis) =>
+  basis === "qualifyingEarnings"
+    ? Math.max(0, Math.min(salary, QUALIFYING_EARNINGS_UPPER) - QUALIFYING_EARNINGS_LOWER)
+    : salary;
+
+// Annual allowance after the taper: £1 lost for every £2 of adjusted income over the limit
+export const getAnnualAllowance = (thresholdIncome, adjustedIncome) => {
+  if (thresholdIncome <= TAPER_THRESHOLD_INCOME || adjustedIncome <= TAPER_ADJUSTED_INCOME) return ANNUAL_ALLOWANCE;
+  return Math.max(MINIMUM_TAPERED_ANNUAL_ALLOWANCE, ANNUAL_ALLOWANCE - (adjustedIncome - TAPER_ADJUSTED_INCOME) / 2);
+};
+
+// Breaks down a year's contributions for a salary: what goes into the pot, the tax relief and
+// NI saving the employee gets under the relief method, and what it actually costs them.
+// Relief at source always gives basic rate relief (even to non-taxpayers), with higher rate
+// relief claimed back on top; net pay and salary sacrifice relieve tax at the marginal rate,
+// and salary sacrifice also saves employee NI.
+export const calculateContributions = (plan, salary) => {
+  const pensionableSalary = getPensionableSalary(salary, plan.contributionBasis);
+  const employeeGross = pensionableSalary * plan.employeeContributionRate;
+  const employer = pensionableSalary * plan.employerContributionRate;
+  const total = employeeGross + employer;
+
+  const marginalTaxSaving = calculateIncomeTax(salary, DEFAULT_TAX_THRESHOLDS) - calculateIncomeTax(salary - employeeGross, DEFAULT_TAX_THRESHOLDS);
+  const taxRelief = plan.taxReliefMethod === "reliefAtSource"
+    ? Math.max(employeeGross * BASIC_RATE, marginalTaxSaving)
+    : marginalTaxSaving;
+  const niSaving = plan.taxReliefMethod === "salarySacrifice"
+    ? calculateEmployeeNI(salary) - calculateEmployeeNI(salary - employeeGross)
+    : 0;
+
+  const thresholdIncome = salary - employeeGross;
+  const adjustedIncome = salary + employer;
+  const annualAllowance = getAnnualAllowance(thresholdIncome, adjustedIncome);
+
+  return {
+    employeeGross,
+    employer,
+    total,
+    taxRelief,
+    niSaving,
+    netCost: employeeGross - taxRelief - niSaving,
+    annualAllowance,
+    exceedsAnnualAllowance: total > annualAllowance,
+  };
+};
+
+// Ages at which the year's pension input exceeds the (tapered) annual allowance: contributions on the
+// same salary path as the accumulation, with career breaks, part-time work and pay changes, plus any
+// lump sums life events pay into the pension, before or after retirement
+export const getAnnualAllowanceBreaches = (plan) => {
+  const breaches = [];
+  const lumpSumAges = plan.lifeEvents.filter((event) => event.type === "lumpSum").map((event) => Math.floor(event.age));
+  const lastAge = Math.max(plan.retirementAge - 1, ...lumpSumAges);
+  let salary = plan.salary;
+  for (let age = plan.age; age <= lastAge; age++) {
+    const contributions = calculateContributions(plan, age < plan.retirementAge ? salary * getSalaryFactor(plan, age) : 0);
+    const total = contributions.total + sumLifeEventAmounts(plan, "lumpSum", (event) => Math.floor(event.age) === age);
+    if (total > contributions.annualAllowance) {
+      breaches.push({ age, total, annualAllowance: contributions.annualAllowance });
+    }
+    salary *= (1 + plan.earningsGrowthRate);
+  }
+  return breaches;
+};
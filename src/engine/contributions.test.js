@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import {
+  calculateContributions,
+  calculateEmployeeNI,
+  getAnnualAllowance,
+  getAnnualAllowanceBreaches,
+  getPensionableSalary,
+  ANNUAL_ALLOWANCE,
+  MINIMUM_TAPERED_ANNUAL_ALLOWANCE,
+} from "./contributions";
+
+const plan = (overrides = {}) => ({
+  age: 40,
+  retirementAge: 45,
+  salary: 30000,
+  earningsGrowthRate: 0,
+  employeeContributionRate: 0.05,
+  employerContributionRate: 0.03,
+  contributionBasis: "fullSalary",
+  taxReliefMethod: "reliefAtSource",
+  lifeEvents: [],
+  ...overrides,
+});
+
+describe("getPensionableSalary", () => {
+  it("uses earnings between the qualifying earnings limits", () => {
+    expect(getPensionableSalary(30000, "qualifyingEarnings")).toBe(23760);
+    expect(getPensionableSalary(80000, "qualifyingEarnings")).toBe(44030);
+    expect(getPensionableSalary(5000, "qualifyingEarnings")).toBe(0);
+  });
+
+  it("uses the whole salary on a full salary basis", () => {
+    expect(getPensionableSalary(30000, "fullSalary")).toBe(30000);
+  });
+});
+
+describe("calculateEmployeeNI", () => {
+  it("charges 8% between the primary threshold and upper earnings limit and 2% above", () => {
+    expect(calculateEmployeeNI(12570)).toBe(0);
+    expect(calculateEmployeeNI(22570)).toBeCloseTo(800);
+    expect(calculateEmployeeNI(60270)).toBeCloseTo(37700 * 0.08 + 200);
+  });
+});
+
+describe("calculateContributions", () => {
+  it("puts employee and employer contributions into the pot", () => {
+    const result = calculateContributions(plan(), 30000);
+    expect(result.employeeGross).toBeCloseTo(1500);
+    expect(result.employer).toBeCloseTo(900);
+    expect(result.total).toBeCloseTo(2400);
+  });
+
+  it("gives basic rate relief at source", () => {
+    expect(calculateContributions(plan(), 30000).netCost).toBeCloseTo(1200);
+  });
+
+  it("gives basic rate relief at source even to non-taxpayers", () => {
+    expect(calculateContributions(plan(), 10000).taxRelief).toBeCloseTo(100);
+  });
+
+  it("gives no relief under net pay to non-taxpayers", () => {
+    expect(calculateContributions(plan({ taxReliefMethod: "netPay" }), 10000).taxRelief).toBe(0);
+  });
+
+  it("gives higher rate relief to higher rate taxpayers", () => {
+    expect(calculateContributions(plan({ taxReliefMethod: "netPay" }), 70000).taxRelief).toBeCloseTo(3500 * 0.4);
+  });
+
+  it("saves employee NI under salary sacrifice", () => {
+    const result = calculateContributions(plan({ taxReliefMethod: "salarySacrifice" }), 30000);
+    expect(result.niSaving).toBeCloseTo(120);
+    expect(result.netCost).toBeCloseTo(1500 - 300 - 120);
+  });
+});
+
+describe("getAnnualAllowance", () => {
+  it("is the full allowance below the taper limits", () => {
+    expect(getAnnualAllowance(150000, 300000)).toBe(ANNUAL_ALLOWANCE);
+    expect(getAnnualAllowance(250000, 250000)).toBe(ANNUAL_ALLOWANCE);
+  });
+
+  it("tapers for high earners down to the minimum", () => {
+    expect(getAnnualAllowance(250000, 300000)).toBe(40000);
+    expect(getAnnualAllowance(500000, 500000)).toBe(MINIMUM_TAPERED_ANNUAL_ALLOWANCE);
+  });
+});
+
+describe("getAnnualAllowanceBreaches", () => {
+  it("flags each year contributions go over the allowance", () => {
+    const breaches = getAnnualAllowanceBreaches(plan({ salary: 300000, employeeContributionRate: 0.1, employerContributionRate: 0.05 }));
+    expect(breaches).toHaveLength(5);
+    expect(breaches[0]).toEqual({ age: 40, total: 45000, annualAllowance: 32500 });
+  });
+
+  it("follows the salary through life events", () => {
+    const lifeEvents = [
+      { type: "careerBreak", age: 41, years: 2, percentage: 0, amount: 0 },
+      { type: "payChange", age: 44, years: 0, percentage: -0.5, amount: 0 },
+    ];
+    const breaches = getAnnualAllowanceBreaches(plan({ salary: 300000, employeeContributionRate: 0.1, employerContributionRate: 0.05, lifeEvents }));
+    expect(breaches.map((breach) => breach.age)).toEqual([40, 43]);
+    const payRise = [{ type: "payChange", age: 42, years: 0, percentage: 9, amount: 0 }];
+    const risingBreaches = getAnnualAllowanceBreaches(plan({ employeeContributionRate: 0.1, employerContributionRate: 0.05, lifeEvents: payRise }));
+    expect(risingBreaches.map((breach) => breach.age)).toEqual([42, 43, 44]);
+  });
+
+  it("counts lump sums paid into the pension, before or after retirement", () => {
+    const lumpSum = (age, amount) => ({ type: "lumpSum", age, years: 0, percentage: 0, amount });
+    const breaches = getAnnualAllowanceBreaches(plan({ inflationRate: 0, lifeEvents: [lumpSum(42, 100000), lumpSum(70.5, 80000), lumpSum(72, 1000)] }));
+    expect(breaches).toEqual([
+      { age: 42, total: 2400 + 100000, annualAllowance: 60000 },
+      { age: 70, total: 80000, annualAllowance: 60000 },
+    ]);
+  });
+
+  it("reports nothing for ordinary contributions", () => {
+    expect(getAnnualAllowanceBreaches(plan())).toEqual([]);
+  });
+});
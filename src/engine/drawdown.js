@@ -0,0 +1,122 @@
+// Drawdown strategies. Each strategy gives the month's withdrawal for the current pot and the month's
+// income from elsewhere (state pension and other income), and reviews the income at every year end,
+// returning the adjustment it made (see DRAWDOWN_ADJUSTMENT_LABELS) or null. The review is given the
+// year's inflation and the share of the income that will be spent in the coming year (see spendingProfile.js).
+
+export const DRAWDOWN_TYPE_LABELS = {
+  percentage: "Percentage",
+  fixed: "Fixed Amount",
+  initialPot: "Fixed Amount Based On Initial Pot",
+  guardrails: "Guyton-Klinger Guardrails",
+  floorCeiling: "Percentage With Floor and Ceiling",
+  naturalYield: "Natural Yield Only",
+  targetIncome: "Target Total Income",
+};
+
+export const DRAWDOWN_ADJUSTMENT_LABELS = {
+  cut: "Guardrail cut",
+  raise: "Guardrail raise",
+  floor: "Held at floor",
+  ceiling: "Held at ceiling",
+  yieldFall: "Yield income fell",
+};
+
+// Income that rises with inflation each year and is never adjusted
+const createInflationLinked = (monthly) => ({
+  withdrawal: () => monthly,
+  review: (pot, inflation) => {
+    monthly *= 1 + inflation;
+    return null;
+  },
+});
+
+// Guyton-Klinger guardrails: income rises with inflation, but when the withdrawal rate drifts above
+// the upper guardrail income is cut, and when it falls below the lower guardrail income is raised.
+// The rate is that of the income actually spent, so a spending phase moves it as it would the withdrawals.
+const createGuardrails = (plan, startingPot) => {
+  const initialRate = plan.guardrailInitialRate;
+  let income = startingPot * initialRate;
+  return {
+    withdrawal: () => income / 12,
+    review: (pot, inflation, spending = 1) => {
+      income *= 1 + inflation;
+      const rate = pot > 0 ? (income * spending) / pot : Infinity;
+      if (rate > initialRate * (1 + plan.guardrailUpperLimit)) {
+        income *= 1 - plan.guardrailAdjustment;
+        return "cut";
+      }
+      if (rate < initialRate * (1 - plan.guardrailLowerLimit)) {
+        income *= 1 + plan.guardrailAdjustment;
+        return "raise";
+      }
+      return null;
+    },
+  };
+};
+
+// A percentage of the pot each year, with the change from last year's income (after inflation)
+// held between the floor (largest cut) and the ceiling (largest rise)
+const createFloorCeiling = (plan, startingPot) => {
+  let income = startingPot * plan.floorCeilingRate;
+  return {
+    withdrawal: () => income / 12,
+    review: (pot, inflation) => {
+      const target = pot * plan.floorCeilingRate;
+      const lastIncome = income * (1 + inflation);
+      const floor = lastIncome * (1 - plan.floorCeilingFloor);
+      const ceiling = lastIncome * (1 + plan.floorCeilingCeiling);
+      income = Math.min(ceiling, Math.max(floor, target));
+      if (target < floor) return "floor";
+      if (target > ceiling) return "ceiling";
+      return null;
+    },
+  };
+};
+
+// Only the income the investments produce, set each year from the pot and the yield, leaving capital alone
+const createNaturalYield = (plan, startingPot) => {
+  let income = startingPot * plan.naturalYieldRate;
+  return {
+    withdrawal: () => income / 12,
+    review: (pot) => {
+      const lastIncome = income;
+      income = pot * plan.naturalYieldRate;
+      return income < lastIncome ? "yieldFall" : null;
+    },
+  };
+};
+
+// Withdraws only the shortfall between a target total income, which keeps its value in today's money,
+// and the income already coming in from elsewhere
+const createTargetIncome = (plan) => {
+  let target = (plan.targetIncomeAnnual / 12) * Math.pow(1 + plan.inflationRate, plan.retirementAge - plan.age);
+  return {
+    withdrawal: (pot, otherIncome = 0) => Math.max(0, target - otherIncome),
+    review: (pot, inflation) => {
+      target *= 1 + inflation;
+      return null;
+    },
+  };
+};
+
+// Creates the plan's drawdown strategy for a pot at the start of drawdown
+export const createDrawdownStrategy = (plan, startingPot) => {
+  switch (plan.drawdownType) {
+    case "percentage":
+      return { withdrawal: (pot) => (pot * plan.drawdownPercentage) / 12, review: () => null };
+    case "fixed":
+      return createInflationLinked(plan.drawdownFixed);
+    case "initialPot":
+      return createInflationLinked((startingPot * plan.drawdownInitialPotPercentage) / 12);
+    case "guardrails":
+      return createGuardrails(plan, startingPot);
+    case "floorCeiling":
+      return createFloorCeiling(plan, startingPot);
+    case "naturalYield":
+      return createNaturalYield(plan, startingPot);
+    case "targetIncome":
+      return createTargetIncome(plan);
+    default:
+      return { withdrawal: () => 0, review: () => null };
+  }
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import { createDrawdownStrategy } from "./drawdown";
+
+const plan = {
+  drawdownType: "percentage",
+  drawdownPercentage: 0.06,
+  drawdownFixed: 1000,
+  drawdownInitialPotPercentage: 0.048,
+  guardrailInitialRate: 0.05,
+  guardrailUpperLimit: 0.2,
+  guardrailLowerLimit: 0.2,
+  guardrailAdjustment: 0.1,
+  floorCeilingRate: 0.04,
+  floorCeilingFloor: 0.025,
+  floorCeilingCeiling: 0.05,
+  naturalYieldRate: 0.03,
+  targetIncomeAnnual: 24000,
+  age: 60,
+  retirementAge: 65,
+  inflationRate: 0.02,
+};
+
+describe("createDrawdownStrategy", () => {
+  it("takes a percentage of the current pot each month", () => {
+    const strategy = createDrawdownStrategy(plan, 100000);
+    expect(strategy.withdrawal(120000)).toBeCloseTo(600);
+    expect(strategy.review(120000, 0.03)).toBeNull();
+  });
+
+  it("raises fixed amounts with inflation", () => {
+    const fixed = createDrawdownStrategy({ ...plan, drawdownType: "fixed" }, 100000);
+    fixed.review(100000, 0.03);
+    expect(fixed.withdrawal(100000)).toBeCloseTo(1030);
+    const initialPot = createDrawdownStrategy({ ...plan, drawdownType: "initialPot" }, 100000);
+    expect(initialPot.withdrawal(50000)).toBeCloseTo(400);
+  });
+
+  it("cuts guardrail income when the withdrawal rate breaches the upper guardrail", () => {
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "guardrails" }, 100000);
+    expect(strategy.withdrawal(100000)).toBeCloseTo(5000 / 12);
+    // 5,100 from a pot of 80,000 is a 6.4% rate, above 5% x 1.2
+    expect(strategy.review(80000, 0.02)).toBe("cut");
+    expect(strategy.withdrawal(80000)).toBeCloseTo((5100 * 0.9) / 12);
+  });
+
+  it("judges the guardrails on the share of the income spent", () => {
+    // 5,000 from a pot of 80,000 would breach the upper guardrail, but 70% of it is a 4.4% rate
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "guardrails" }, 100000);
+    expect(strategy.review(80000, 0, 0.7)).toBeNull();
+    // 5,000 from 140,000 would breach the lower guardrail, but 130% of it is a 4.6% rate
+    expect(strategy.review(140000, 0, 1.3)).toBeNull();
+    expect(strategy.review(140000, 0, 0.7)).toBe("raise");
+  });
+
+  it("raises guardrail income when the withdrawal rate falls below the lower guardrail", () => {
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "guardrails" }, 100000);
+    expect(strategy.review(140000, 0)).toBe("raise");
+    expect(strategy.withdrawal(140000)).toBeCloseTo((5000 * 1.1) / 12);
+  });
+
+  it("leaves guardrail income rising with inflation inside the guardrails", () => {
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "guardrails" }, 100000);
+    expect(strategy.review(100000, 0.02)).toBeNull();
+    expect(strategy.withdrawal(100000)).toBeCloseTo(5100 / 12);
+  });
+
+  it("holds percentage income between the floor and ceiling", () => {
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "floorCeiling" }, 100000);
+    expect(strategy.withdrawal(100000)).toBeCloseTo(4000 / 12);
+    expect(strategy.review(50000, 0)).toBe("floor");
+    expect(strategy.withdrawal(50000)).toBeCloseTo((4000 * 0.975) / 12);
+    expect(strategy.review(200000, 0)).toBe("ceiling");
+    expect(strategy.withdrawal(200000)).toBeCloseTo((4000 * 0.975 * 1.05) / 12);
+    expect(strategy.review(102000, 0)).toBeNull();
+    expect(strategy.withdrawal(102000)).toBeCloseTo(4080 / 12);
+  });
+
+  it("pays the natural yield set from each year's pot", () => {
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "naturalYield" }, 100000);
+    expect(strategy.withdrawal(100000)).toBeCloseTo(250);
+    expect(strategy.review(110000, 0.05)).toBeNull();
+    expect(strategy.withdrawal(90000)).toBeCloseTo(275);
+    expect(strategy.review(90000, 0.05)).toBe("yieldFall");
+  });
+
+  it("tops up income from elsewhere to a target that rises with inflation", () => {
+    const strategy = createDrawdownStrategy({ ...plan, drawdownType: "targetIncome" }, 100000);
+    const target = 2000 * Math.pow(1.02, 5);
+    expect(strategy.withdrawal(100000)).toBeCloseTo(target);
+    expect(strategy.withdrawal(100000, 500)).toBeCloseTo(target - 500);
+    expect(strategy.withdrawal(100000, 5000)).toBe(0);
+    expect(strategy.review(100000, 0.1)).toBeNull();
+    expect(strategy.withdrawal(100000, 500)).toBeCloseTo(target * 1.1 - 500);
+  });
+});
@@ -0,0 +1,146 @@
+import defaultCatalogue from "./fundCatalogue.json";
+import { choleskyDecompose } from "./returnModels";
+
+// Fund catalogue: each fund's name, expected annual return, volatility, optional annual charge and
+// optional asset mix (equity and bond shares, the rest in cash) used by historical sequences.
+// Catalogue files and the form hold these as percentages (2.5 = 2.5%); the engine uses fractions.
+// Correlations between funds are held as a matrix in catalogue order.
+
+// Correlation assumed between two funds when none has been given
+export const DEFAULT_FUND_CORRELATION = 0.8;
+
+const toOptionalString = (value) => (value === undefined || value === null ? "" : String(value));
+
+// Catalogue entries as the form holds them, with every value as an editable string
+const toFormEntry = (fund) => ({
+  name: String(fund.name),
+  return: String(fund.return),
+  volatility: String(fund.volatility),
+  annualCharge: toOptionalString(fund.annualCharge),
+  equity: toOptionalString(fund.equity),
+  bonds: toOptionalString(fund.bonds),
+});
+
+export const DEFAULT_FUND_CATALOGUE = defaultCatalogue.funds.map(toFormEntry);
+
+export const DEFAULT_FUND_CORRELATIONS = defaultCatalogue.correlations.map((row) => row.map(String));
+
+// Correlation between the funds at two positions, falling back to the default for missing entries
+export const getFundCorrelation = (correlations, i, j) => {
+  if (i === j) return 1;
+  const value = parseFloat(correlations[i]?.[j]);
+  return isNaN(value) ? DEFAULT_FUND_CORRELATION : value;
+};
+
+// Carries a correlation matrix over to a changed catalogue, matching funds by name.
+// Funds that were not in the previous catalogue get the default correlation.
+export const alignFundCorrelations = (correlations, previousNames, names) => {
+  const positions = names.map((name) => previousNames.indexOf(name));
+  return names.map((_, i) =>
+    names.map((_, j) => {
+      if (i === j) return "1";
+      if (positions[i] === -1 || positions[j] === -1) return String(DEFAULT_FUND_CORRELATION);
+      return String(getFundCorrelation(correlations, positions[i], positions[j]));
+    })
+  );
+};
+
+// Fund data keyed by name with annual returns, volatility, charges and asset mix as fractions
+export const toFundData = (catalogue) =>
+  Object.fromEntries(
+    catalogue.map((fund) => [
+      fund.name,
+      {
+        return: parseFloat(fund.return) / 100,
+        volatility: parseFloat(fund.volatility) / 100,
+        annualCharge: (parseFloat(fund.annualCharge) || 0) / 100,
+        equity: (parseFloat(fund.equity) || 0) / 100,
+        bonds: (parseFloat(fund.bonds) || 0) / 100,
+      },
+    ])
+  );
+
+// Correlations as numbers keyed by pairs of fund names
+export const toCorrelationData = (catalogue, correlations) =>
+  Object.fromEntries(
+    catalogue.map((fund, i) => [
+      fund.name,
+      Object.fromEntries(catalogue.map((other, j) => [other.name, getFundCorrelation(correlations, i, j)])),
+    ])
+  );
+
+// Checks correlations are between -1 and 1 and consistent with each other; returns an error message or ""
+export const validateFundCorrelations = (catalogue, correlations) => {
+  const matrix = catalogue.map((_, i) => catalogue.map((_, j) => getFundCorrelation(correlations, i, j)));
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (matrix[i][j] < -1 || matrix[i][j] > 1)
+        return `Correlation between ${catalogue[i].name} and ${catalogue[j].name} must be between -1 and 1.`;
+      if (Math.abs(matrix[i][j] - matrix[j][i]) > 1e-9)
+        return `Correlation between ${catalogue[i].name} and ${catalogue[j].name} must be the same both ways round.`;
+    }
+  }
+  if (!choleskyDecompose(matrix)) return "These fund correlations are inconsistent with each other. Try values closer together.";
+  return "";
+};
+
+// Checks a catalogue for missing names, duplicates and values out of range; returns an error message or ""
+export const validateFundCatalogue = (catalogue) => {
+  if (catalogue.length === 0) return "The fund catalogue needs at least one fund.";
+  const names = new Set();
+  for (const fund of catalogue) {
+    const name = (fund.name || "").trim();
+    if (!name) return "Every fund needs a name.";
+    if (names.has(name)) return `Fund names must be unique: "${name}" appears more than once.`;
+    names.add(name);
+    const annualReturn = parseFloat(fund.return);
+    const volatility = parseFloat(fund.volatility);
+    const annualCharge = fund.annualCharge ? parseFloat(fund.annualCharge) : 0;
+    if (isNaN(annualReturn) || annualReturn < -50 || annualReturn > 50)
+      return `${name}: Annual Return must be between -50% and 50%.`;
+    if (isNaN(volatility) || volatility < 0 || volatility > 100)
+      return `${name}: Volatility must be between 0% and 100%.`;
+    if (isNaN(annualCharge) || annualCharge < 0 || annualCharge > 10)
+      return `${name}: Annual Charge must be between 0% and 10%.`;
+    const equity = fund.equity ? parseFloat(fund.equity) : 0;
+    const bonds = fund.bonds ? parseFloat(fund.bonds) : 0;
+    if (isNaN(equity) || isNaN(bonds) || equity < 0 || bonds < 0 || equity + bonds > 100)
+      return `${name}: Equity and Bonds must be at least 0% and add up to no more than 100%.`;
+  }
+  return "";
+};
+
+// Checks the funds used by historical sequences have an asset mix; returns an error message or ""
+export const validateFundAssetMix = (catalogue, fundNames) => {
+  const missing = catalogue.find((fund) => fundNames.includes(fund.name) && !fund.equity && !fund.bonds);
+  return missing ? `${missing.name}: Equity and Bonds shares are needed for historical sequences.` : "";
+};
+
+// Reads a provider's catalogue file: either { "funds": [...], "correlations": [[...]] } or a bare array of funds.
+// Returns correlations as null when the file has none, so the current ones can be carried over.
+export const parseFundCatalogueFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+  const funds = Array.isArray(data) ? data : data && data.funds;
+  if (!Array.isArray(funds) || funds.some((fund) => !fund || typeof fund.name !== "string" || typeof fund.return !== "number" || typeof fund.volatility !== "number")) {
+    throw new Error("Each fund needs a name, a numeric return and a numeric volatility.");
+  }
+  const catalogue = funds.map(toFormEntry);
+  const error = validateFundCatalogue(catalogue);
+  if (error) throw new Error(error);
+
+  const fileCorrelations = Array.isArray(data) ? undefined : data.correlations;
+  if (fileCorrelations === undefined) return { catalogue, correlations: null };
+  if (!Array.isArray(fileCorrelations) || fileCorrelations.length !== funds.length
+    || fileCorrelations.some((row) => !Array.isArray(row) || row.length !== funds.length || row.some((value) => typeof value !== "number"))) {
+    throw new Error("Correlations must be a square matrix of numbers with one row per fund.");
+  }
+  const correlations = fileCorrelations.map((row) => row.map(String));
+  const correlationError = validateFundCorrelations(catalogue, correlations);
+  if (correlationError) throw new Error(correlationError);
+  return { catalogue, correlations };
+};
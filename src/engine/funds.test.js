@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { alignFundCorrelations, DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATIONS, parseFundCatalogueFile, toCorrelationData, toFundData, validateFundAssetMix, validateFundCatalogue, validateFundCorrelations } from "./funds";
+
+describe("DEFAULT_FUND_CATALOGUE", () => {
+  it("holds the five Future Advantage funds as form strings", () => {
+    expect(DEFAULT_FUND_CATALOGUE).toHaveLength(5);
+    expect(DEFAULT_FUND_CATALOGUE[0]).toEqual({ name: "Future Advantage 1", return: "2.5", volatility: "5", annualCharge: "0", equity: "20", bonds: "60" });
+  });
+});
+
+describe("toFundData", () => {
+  it("keys funds by name and converts percentages to fractions", () => {
+    const fundData = toFundData([{ name: "Global Equity", return: "6", volatility: "15", annualCharge: "", equity: "90", bonds: "" }]);
+    expect(fundData["Global Equity"].return).toBeCloseTo(0.06);
+    expect(fundData["Global Equity"].volatility).toBeCloseTo(0.15);
+    expect(fundData["Global Equity"].annualCharge).toBe(0);
+    expect(fundData["Global Equity"].equity).toBeCloseTo(0.9);
+    expect(fundData["Global Equity"].bonds).toBe(0);
+  });
+});
+
+describe("validateFundCatalogue", () => {
+  const fund = { name: "Cash", return: "1", volatility: "0.5", annualCharge: "0.1" };
+
+  it("accepts a valid catalogue", () => {
+    expect(validateFundCatalogue([fund])).toBe("");
+  });
+
+  it("rejects an empty catalogue, blank or duplicate names and bad values", () => {
+    expect(validateFundCatalogue([])).toMatch("at least one fund");
+    expect(validateFundCatalogue([{ ...fund, name: " " }])).toMatch("needs a name");
+    expect(validateFundCatalogue([fund, fund])).toMatch("unique");
+    expect(validateFundCatalogue([{ ...fund, volatility: "-1" }])).toMatch("Volatility");
+    expect(validateFundCatalogue([{ ...fund, annualCharge: "x" }])).toMatch("Annual Charge");
+    expect(validateFundCatalogue([{ ...fund, equity: "70", bonds: "40" }])).toMatch("Equity and Bonds");
+  });
+});
+
+describe("validateFundAssetMix", () => {
+  it("needs an asset mix for the funds used", () => {
+    const catalogue = [{ name: "Mixed", equity: "60", bonds: "40" }, { name: "Unknown", equity: "", bonds: "" }];
+    expect(validateFundAssetMix(catalogue, ["Mixed"])).toBe("");
+    expect(validateFundAssetMix(catalogue, ["Mixed", "Unknown"])).toMatch("Unknown");
+  });
+});
+
+describe("parseFundCatalogueFile", () => {
+  it("reads a provider file with a funds list", () => {
+    const text = JSON.stringify({ provider: "Other", funds: [{ name: "Growth", return: 5, volatility: 12, annualCharge: 0.4 }] });
+    expect(parseFundCatalogueFile(text)).toEqual({ catalogue: [{ name: "Growth", return: "5", volatility: "12", annualCharge: "0.4", equity: "", bonds: "" }], correlations: null });
+  });
+
+  it("reads a bare array and treats a missing charge as blank", () => {
+    expect(parseFundCatalogueFile(JSON.stringify([{ name: "Bonds", return: 3, volatility: 6 }])).catalogue[0].annualCharge).toBe("");
+  });
+
+  it("reads a correlation matrix", () => {
+    const funds = [{ name: "Equity", return: 6, volatility: 15 }, { name: "Bonds", return: 3, volatility: 6 }];
+    expect(parseFundCatalogueFile(JSON.stringify({ funds, correlations: [[1, 0.3], [0.3, 1]] })).correlations).toEqual([["1", "0.3"], ["0.3", "1"]]);
+    expect(() => parseFundCatalogueFile(JSON.stringify({ funds, correlations: [[1, 0.3]] }))).toThrow("square matrix");
+  });
+
+  it("rejects malformed files", () => {
+    expect(() => parseFundCatalogueFile("nope")).toThrow("not valid JSON");
+    expect(() => parseFundCatalogueFile(JSON.stringify({ funds: [{ name: "Bonds" }] }))).toThrow("numeric return");
+  });
+});
+
+describe("fund correlations", () => {
+  const catalogue = [{ name: "Equity" }, { name: "Bonds" }, { name: "Cash" }];
+
+  it("holds a consistent default matrix for the default catalogue", () => {
+    expect(DEFAULT_FUND_CORRELATIONS).toHaveLength(DEFAULT_FUND_CATALOGUE.length);
+    expect(validateFundCorrelations(DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATIONS)).toBe("");
+  });
+
+  it("keys correlations by fund name, defaulting missing entries", () => {
+    const correlations = toCorrelationData(catalogue, [["1", "0.3"], ["0.3", "1"]]);
+    expect(correlations.Equity.Bonds).toBe(0.3);
+    expect(correlations.Cash.Cash).toBe(1);
+    expect(correlations.Cash.Equity).toBe(0.8);
+  });
+
+  it("carries correlations over to a changed catalogue by name", () => {
+    const aligned = alignFundCorrelations([["1", "0.3"], ["0.3", "1"]], ["Equity", "Bonds"], ["Bonds", "Cash", "Equity"]);
+    expect(aligned).toEqual([["1", "0.8", "0.3"], ["0.8", "1", "0.8"], ["0.3", "0.8", "1"]]);
+  });
+
+  it("rejects out of range, one-sided and inconsistent correlations", () => {
+    expect(validateFundCorrelations(catalogue, [["1", "2"], ["2", "1"]])).toMatch("between -1 and 1");
+    expect(validateFundCorrelations(catalogue, [["1", "0.3"], ["0.5", "1"]])).toMatch("both ways round");
+    expect(validateFundCorrelations(catalogue, [["1", "0.9", "-0.9"], ["0.9", "1", "0.9"], ["-0.9", "0.9", "1"]])).toMatch("inconsistent");
+  });
+});
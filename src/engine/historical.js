@@ -0,0 +1,23 @@
+import historicalReturns from "./historicalReturns.json";
+
+// Bundled annual market history used by the historical sequences mode.
+// Each year holds equity, bond and cash total returns and inflation, as fractions.
+
+export const HISTORICAL_SOURCE = historicalReturns.source;
+
+export const HISTORICAL_YEARS = historicalReturns.years.map((year) => ({
+  year: year.year,
+  equity: year.equity / 100,
+  bonds: year.bonds / 100,
+  cash: year.cash / 100,
+  inflation: year.inflation / 100,
+}));
+
+// A fund's return in a historical year from its asset mix, with whatever is left over held in cash
+export const getHistoricalFundReturn = (fund, year) =>
+  fund.equity * year.equity + fund.bonds * year.bonds + (1 - fund.equity - fund.bonds) * year.cash;
+
+// The run of years for a cohort starting at startIndex. Cohorts that run past the end of the
+// data carry on from the first year, so recent start years still cover a whole retirement.
+export const getCohortYears = (startIndex, length) =>
+  Array.from({ length }, (_, i) => HISTORICAL_YEARS[(startIndex + i) % HISTORICAL_YEARS.length]);
@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { getCohortYears, getHistoricalFundReturn, HISTORICAL_SOURCE, HISTORICAL_YEARS } from "./historical";
+
+describe("HISTORICAL_YEARS", () => {
+  it("holds consecutive years of returns and inflation as fractions", () => {
+    expect(HISTORICAL_SOURCE).toBeTruthy();
+    HISTORICAL_YEARS.forEach((year, i) => {
+      expect(year.year).toBe(HISTORICAL_YEARS[0].year + i);
+      expect(Math.abs(year.equity)).toBeLessThan(1);
+      expect(Math.abs(year.inflation)).toBeLessThan(0.25);
+    });
+  });
+});
+
+describe("getHistoricalFundReturn", () => {
+  it("weights equity, bond and cash returns by the fund's asset mix", () => {
+    const year = { equity: 0.1, bonds: 0.04, cash: 0.02 };
+    expect(getHistoricalFundReturn({ equity: 0.6, bonds: 0.3 }, year)).toBeCloseTo(0.06 + 0.012 + 0.002);
+    expect(getHistoricalFundReturn({ equity: 0, bonds: 0 }, year)).toBeCloseTo(0.02);
+  });
+});
+
+describe("getCohortYears", () => {
+  it("runs on from the start year and wraps round to the start of the data", () => {
+    const last = HISTORICAL_YEARS.length - 1;
+    const years = getCohortYears(last, 3);
+    expect(years.map((year) => year.year)).toEqual([HISTORICAL_YEARS[last].year, HISTORICAL_YEARS[0].year, HISTORICAL_YEARS[1].year]);
+  });
+});
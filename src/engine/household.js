@@ -0,0 +1,63 @@
+import { createLifeTable, MAX_TABLE_AGE } from "./mortality";
+
+// Households of one person or a couple. Ages on the plan are the first member's; the partner's
+// own ages are found from the gap between them. Retirement is when the first member retires.
+
+export const HOUSEHOLD_LABELS = {
+  single: "Single Person",
+  couple: "Couple",
+};
+
+// Partner's age when the first member is the given age
+export const getPartnerAge = (plan, age) => plan.partner.age + age - plan.age;
+
+// Plan for working out the partner's contributions: the first member's plan with the partner's rates
+export const getPartnerContributionPlan = (plan) => ({
+  ...plan,
+  employeeContributionRate: plan.partner.employeeContributionRate,
+  employerContributionRate: plan.partner.employerContributionRate,
+});
+
+// Each member's life table and age at retirement
+const getMembers = (plan) => [
+  { lifeTable: createLifeTable(plan), retirementAge: plan.retirementAge },
+  ...(plan.partner ? [{ lifeTable: createLifeTable(plan.partner), retirementAge: getPartnerAge(plan, plan.retirementAge) }] : []),
+];
+
+// Probability that at least one member of the household, alive at retirement, is still alive a number of years later
+export const createHouseholdSurvival = (plan) => {
+  const members = getMembers(plan);
+  return (years) => 1 - members.reduce((allDead, { lifeTable, retirementAge }) => allDead * (1 - lifeTable.survival(retirementAge, years)), 1);
+};
+
+// Median age at death of each member alive at retirement, each in their own ages
+export const getMedianDeathAges = (plan) => {
+  const [primary, partner] = getMembers(plan).map(({ lifeTable, retirementAge }) => lifeTable.deathAgePercentile(retirementAge, 0.5));
+  return { primary, partner };
+};
+
+// Creates a sampler that draws each member's age at death, to the month, given they are alive at
+// retirement. Survival is tabulated once by month so each draw is a binary search.
+export const createDeathAgeSampler = (plan) => {
+  const curves = getMembers(plan).map(({ lifeTable, retirementAge }) => ({
+    retirementAge,
+    survival: Array.from({ length: Math.ceil((MAX_TABLE_AGE - retirementAge) * 12) + 1 }, (_, month) => lifeTable.survival(retirementAge, month / 12)),
+  }));
+
+  const drawDeathAge = ({ retirementAge, survival }, random) => {
+    const u = random();
+    let low = 0;
+    let high = survival.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (survival[middle] <= u) high = middle;
+      else low = middle + 1;
+    }
+    return retirementAge + low / 12;
+  };
+
+  return (random) => {
+    const [primary, partner] = curves.map((curve) => drawDeathAge(curve, random));
+    return { primary, partner };
+  };
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { createDeathAgeSampler, createHouseholdSurvival, getMedianDeathAges, getPartnerAge } from "./household";
+import { createLifeTable } from "./mortality";
+
+const single = {
+  age: 60,
+  retirementAge: 65,
+  sex: "male",
+  birthYear: 1960,
+  health: "average",
+  partner: null,
+};
+
+const couple = {
+  ...single,
+  partner: { age: 57, sex: "female", birthYear: 1963, health: "average" },
+};
+
+describe("getPartnerAge", () => {
+  it("keeps the gap between the members' ages", () => {
+    expect(getPartnerAge(couple, 65)).toBe(62);
+  });
+});
+
+describe("createHouseholdSurvival", () => {
+  it("gives a single person's survival from retirement", () => {
+    expect(createHouseholdSurvival(single)(20)).toBeCloseTo(createLifeTable(single).survival(65, 20));
+  });
+
+  it("gives a couple the chance that at least one of them is alive", () => {
+    const man = createLifeTable(single).survival(65, 25);
+    const woman = createLifeTable(couple.partner).survival(62, 25);
+    expect(createHouseholdSurvival(couple)(25)).toBeCloseTo(1 - (1 - man) * (1 - woman));
+    expect(createHouseholdSurvival(couple)(25)).toBeGreaterThan(createHouseholdSurvival(single)(25));
+  });
+});
+
+describe("getMedianDeathAges", () => {
+  it("gives each member's median age at death from retirement, in their own ages", () => {
+    const { primary, partner } = getMedianDeathAges(couple);
+    expect(primary).toBe(createLifeTable(single).deathAgePercentile(65, 0.5));
+    expect(partner).toBe(createLifeTable(couple.partner).deathAgePercentile(62, 0.5));
+  });
+});
+
+describe("createDeathAgeSampler", () => {
+  it("draws ages at death by inverting survival", () => {
+    const drawDeathAges = createDeathAgeSampler(couple);
+    const lifeTable = createLifeTable(single);
+    const { primary, partner } = drawDeathAges(() => 0.5);
+    expect(lifeTable.survival(65, primary - 65)).toBeLessThanOrEqual(0.5);
+    expect(lifeTable.survival(65, primary - 65 - 1 / 12)).toBeGreaterThan(0.5);
+    expect(partner).toBeGreaterThan(62);
+    expect(drawDeathAges(() => 0.9).primary).toBeLessThan(primary);
+    expect(drawDeathAges(() => 0).primary).toBeLessThanOrEqual(120);
+  });
+});
@@ -0,0 +1,14 @@
+// Results are simulated in future (nominal) pounds. They can be shown as they are or in today's
+// money, deflated by the plan's inflation rate from the current age.
+
+export const MONEY_BASIS_LABELS = {
+  nominal: "Future Money",
+  real: "Today's Money",
+};
+
+// Factor that turns pounds a number of years from today into today's money
+export const getDeflator = (inflationRate, years) => Math.pow(1 + inflationRate, -years);
+
+// Converts a series into today's money given each value's years from today. Gaps (null) stay gaps.
+export const toTodaysMoney = (values, inflationRate, yearsFromToday) =>
+  values.map((value, i) => (value === null ? null : value * getDeflator(inflationRate, yearsFromToday(i))));
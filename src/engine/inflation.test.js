@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { getDeflator, toTodaysMoney } from "./inflation";
+
+describe("getDeflator", () => {
+  it("discounts by compound inflation and leaves today's pounds alone", () => {
+    expect(getDeflator(0.02, 0)).toBe(1);
+    expect(getDeflator(0.02, 10)).toBeCloseTo(1 / Math.pow(1.02, 10));
+    expect(getDeflator(0, 30)).toBe(1);
+  });
+});
+
+describe("toTodaysMoney", () => {
+  it("deflates each value by its own years from today, keeping gaps", () => {
+    expect(toTodaysMoney([100, 102, null], 0.02, (i) => i)).toEqual([100, expect.closeTo(100), null]);
+    expect(toTodaysMoney([1000], 0.03, () => 0.5)[0]).toBeCloseTo(1000 / Math.sqrt(1.03));
+  });
+});
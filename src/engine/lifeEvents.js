@@ -0,0 +1,76 @@
+// Irregular life events on the first member's timeline. Career breaks, part-time working and pay
+// changes alter the salary contributions are paid on while working; lump sums are paid into the pot at
+// any age, and one-off withdrawals are taken from it in retirement. Amounts are in today's money and
+// rise with the plan's inflation rate to the age they happen.
+
+export const LIFE_EVENT_TYPE_LABELS = {
+  careerBreak: "Career Break",
+  partTime: "Part-Time Working",
+  payChange: "Pay Rise or Fall",
+  lumpSum: "Lump Sum Contribution or Inheritance",
+  withdrawal: "One-Off Withdrawal",
+};
+
+// Events that change the salary, and so only happen before retirement
+const SALARY_EVENT_TYPES = ["careerBreak", "partTime", "payChange"];
+
+// New event row for the form
+export const createLifeEventEntry = () => ({ type: "lumpSum", age: "", years: "", percentage: "", amount: "" });
+
+// Converts an event row from the form into the plan's numbers. Percentages become fractions.
+export const toLifeEventData = (event) => ({
+  type: event.type,
+  age: parseFloat(event.age),
+  years: parseFloat(event.years) || 0,
+  percentage: (parseFloat(event.percentage) || 0) / 100,
+  amount: parseFloat(event.amount) || 0,
+});
+
+// Checks event rows against the current and retirement ages; returns an error message or ""
+export const validateLifeEvents = (events, age, retirementAge) => {
+  for (const [i, event] of events.entries()) {
+    const name = `Event ${i + 1} (${LIFE_EVENT_TYPE_LABELS[event.type]})`;
+    const eventAge = parseFloat(event.age);
+    if (isNaN(eventAge) || eventAge < age || eventAge > 100) return `${name}: Age must be between your current age and 100.`;
+    if (SALARY_EVENT_TYPES.includes(event.type) && eventAge >= retirementAge) return `${name}: Age must be before your retirement age.`;
+    if (event.type === "withdrawal" && eventAge < retirementAge) return `${name}: Age must be at or after your retirement age.`;
+    if ((event.type === "careerBreak" || event.type === "partTime") && !(parseFloat(event.years) > 0))
+      return `${name}: Years must be more than 0.`;
+    if (event.type === "partTime" && !(parseFloat(event.percentage) > 0 && parseFloat(event.percentage) < 100))
+      return `${name}: Share of Full-Time Salary must be between 0% and 100%.`;
+    if (event.type === "payChange" && !(parseFloat(event.percentage) > -100 && parseFloat(event.percentage) <= 200))
+      return `${name}: Change in Salary must be more than -100% and no more than 200%.`;
+    if ((event.type === "lumpSum" || event.type === "withdrawal") && !(parseFloat(event.amount) > 0))
+      return `${name}: Amount must be more than 0.`;
+  }
+  return "";
+};
+
+// Share of the full salary earned at an age: nothing during a career break, the part-time share while
+// working part-time, and changed by every pay rise or fall so far
+export const getSalaryFactor = (plan, age) =>
+  plan.lifeEvents.reduce((factor, event) => {
+    const during = age >= event.age && age < event.age + event.years;
+    if (event.type === "payChange") return age >= event.age ? factor * (1 + event.percentage) : factor;
+    if (event.type === "careerBreak") return during ? 0 : factor;
+    if (event.type === "partTime") return during ? factor * event.percentage : factor;
+    return factor;
+  }, 1);
+
+// Total of the events of a type that fall due (isDue), each raised with inflation to its age
+export const sumLifeEventAmounts = (plan, type, isDue) =>
+  plan.lifeEvents.reduce((sum, event) =>
+    sum + (event.type === type && isDue(event) ? event.amount * Math.pow(1 + plan.inflationRate, event.age - plan.age) : 0), 0);
+
+// Month of retirement an event falls in, or null for an event before retirement
+export const getLifeEventMonth = (plan, event) =>
+  event.age >= plan.retirementAge ? Math.round((event.age - plan.retirementAge) * 12) : null;
+
+// Short description of an event for notes, such as "Career Break at 45 for 2 years"
+export const describeLifeEvent = (event) => {
+  const label = `${LIFE_EVENT_TYPE_LABELS[event.type]} at ${event.age}`;
+  if (event.type === "careerBreak") return `${label} for ${event.years} years`;
+  if (event.type === "partTime") return `${label} for ${event.years} years at ${Math.round(event.percentage * 100)}%`;
+  if (event.type === "payChange") return `${label} of ${event.percentage > 0 ? "+" : ""}${Math.round(event.percentage * 100)}%`;
+  return `${label} of £${event.amount.toLocaleString("en-US", { maximumFractionDigits: 0 })}`;
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { createLifeEventEntry, describeLifeEvent, getLifeEventMonth, getSalaryFactor, sumLifeEventAmounts, toLifeEventData, validateLifeEvents } from "./lifeEvents";
+
+const event = (overrides) => toLifeEventData({ ...createLifeEventEntry(), ...overrides });
+const plan = (lifeEvents) => ({ age: 40, retirementAge: 60, inflationRate: 0.02, lifeEvents });
+
+describe("toLifeEventData", () => {
+  it("converts an event row into numbers with percentages as fractions", () => {
+    expect(event({ type: "partTime", age: "45", years: "3", percentage: "60" })).toEqual({ type: "partTime", age: 45, years: 3, percentage: 0.6, amount: 0 });
+  });
+});
+
+describe("validateLifeEvents", () => {
+  const row = (overrides) => ({ ...createLifeEventEntry(), ...overrides });
+
+  it("accepts valid events", () => {
+    expect(validateLifeEvents([row({ age: "50", amount: "10000" }), row({ type: "careerBreak", age: "45", years: "2" }), row({ type: "withdrawal", age: "70", amount: "20000" })], 40, 60)).toBe("");
+  });
+
+  it("keeps salary events before retirement and withdrawals after it", () => {
+    expect(validateLifeEvents([row({ type: "payChange", age: "60", percentage: "10" })], 40, 60)).toMatch("before your retirement age");
+    expect(validateLifeEvents([row({ type: "withdrawal", age: "55", amount: "1000" })], 40, 60)).toMatch("at or after your retirement age");
+    expect(validateLifeEvents([row({ age: "30", amount: "1000" })], 40, 60)).toMatch("between your current age and 100");
+  });
+
+  it("needs a duration, a share and an amount where they apply", () => {
+    expect(validateLifeEvents([row({ type: "careerBreak", age: "45" })], 40, 60)).toMatch("Years");
+    expect(validateLifeEvents([row({ type: "partTime", age: "45", years: "2", percentage: "100" })], 40, 60)).toMatch("Share of Full-Time Salary");
+    expect(validateLifeEvents([row({ age: "45" })], 40, 60)).toMatch("Amount");
+  });
+});
+
+describe("getSalaryFactor", () => {
+  const events = plan([
+    event({ type: "careerBreak", age: "45", years: "2" }),
+    event({ type: "partTime", age: "50", years: "5", percentage: "50" }),
+    event({ type: "payChange", age: "52", percentage: "20" }),
+  ]);
+
+  it("pays nothing in a career break, the part-time share while part-time and keeps pay changes", () => {
+    expect(getSalaryFactor(events, 44)).toBe(1);
+    expect(getSalaryFactor(events, 46)).toBe(0);
+    expect(getSalaryFactor(events, 47)).toBe(1);
+    expect(getSalaryFactor(events, 51)).toBe(0.5);
+    expect(getSalaryFactor(events, 53)).toBeCloseTo(0.6);
+    expect(getSalaryFactor(events, 55)).toBeCloseTo(1.2);
+  });
+});
+
+describe("sumLifeEventAmounts", () => {
+  it("adds up the due events of a type, raised with inflation to their age", () => {
+    const events = plan([event({ age: "42", amount: "10000" }), event({ age: "50", amount: "5000" }), event({ type: "withdrawal", age: "42", amount: "1" })]);
+    expect(sumLifeEventAmounts(events, "lumpSum", (e) => e.age === 42)).toBeCloseTo(10000 * 1.02 * 1.02);
+    expect(sumLifeEventAmounts(events, "lumpSum", () => true)).toBeCloseTo(10000 * 1.02 ** 2 + 5000 * 1.02 ** 10);
+  });
+});
+
+describe("getLifeEventMonth", () => {
+  it("gives the month of retirement an event falls in", () => {
+    expect(getLifeEventMonth(plan([]), event({ age: "62.5" }))).toBe(30);
+    expect(getLifeEventMonth(plan([]), event({ age: "59" }))).toBeNull();
+  });
+});
+
+describe("describeLifeEvent", () => {
+  it("describes each kind of event", () => {
+    expect(describeLifeEvent(event({ type: "careerBreak", age: "45", years: "2" }))).toBe("Career Break at 45 for 2 years");
+    expect(describeLifeEvent(event({ type: "payChange", age: "50", percentage: "-10" }))).toBe("Pay Rise or Fall at 50 of -10%");
+    expect(describeLifeEvent(event({ type: "withdrawal", age: "70", amount: "25000" }))).toBe("One-Off Withdrawal at 70 of £25,000");
+  });
+});
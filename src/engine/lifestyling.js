@@ -0,0 +1,19 @@
+// Lifestyling (target-date) glide path: over the last few years before retirement the pot is
+// moved out of the growth fund and into a lower-risk target fund, as default schemes do.
+
+// Share of the pot held in the target fund for the year with the given number of years left to retirement.
+// The switch happens in equal annual steps, so the pot is fully in the target fund for the final year.
+export const getLifestylingWeight = (plan, yearsToRetirement) => {
+  if (plan.lifestyling !== "glidePath" || !(plan.lifestylingYears > 0)) return 0;
+  const stepsTaken = plan.lifestylingYears - yearsToRetirement + 1;
+  return Math.min(1, Math.max(0, stepsTaken / plan.lifestylingYears));
+};
+
+// Year-by-year schedule of the target fund share, from the current age up to retirement
+export const getLifestylingSchedule = (plan) => {
+  const years = plan.retirementAge - plan.age;
+  return Array.from({ length: years }, (_, year) => ({
+    age: plan.age + year,
+    targetFundShare: getLifestylingWeight(plan, years - year),
+  }));
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { getLifestylingSchedule, getLifestylingWeight } from "./lifestyling";
+
+const plan = {
+  age: 55,
+  retirementAge: 60,
+  fundSelection: "Growth",
+  lifestyling: "glidePath",
+  lifestylingTargetFund: "Cautious",
+  lifestylingYears: 4,
+};
+
+describe("getLifestylingWeight", () => {
+  it("moves into the target fund in equal steps over the glide path", () => {
+    expect(getLifestylingWeight(plan, 5)).toBe(0);
+    expect(getLifestylingWeight(plan, 4)).toBe(0.25);
+    expect(getLifestylingWeight(plan, 2)).toBe(0.75);
+    expect(getLifestylingWeight(plan, 1)).toBe(1);
+  });
+
+  it("keeps the pot in the growth fund without lifestyling", () => {
+    expect(getLifestylingWeight({ ...plan, lifestyling: "none" }, 1)).toBe(0);
+    expect(getLifestylingWeight({ ...plan, lifestylingYears: NaN }, 1)).toBe(0);
+  });
+});
+
+describe("getLifestylingSchedule", () => {
+  it("lists the target fund share for each year to retirement", () => {
+    expect(getLifestylingSchedule(plan)).toEqual([
+      { age: 55, targetFundShare: 0 },
+      { age: 56, targetFundShare: 0.25 },
+      { age: 57, targetFundShare: 0.5 },
+      { age: 58, targetFundShare: 0.75 },
+      { age: 59, targetFundShare: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+import lifeTables from "./lifeTables.json";
+
+// Cohort life tables, used to price annuities and to set how long the money has to last.
+// Mortality rates q(x), the chance of dying within a year from each whole age, are bundled by sex and
+// year of birth in the layout of the ONS past and projected cohort life tables, so later birth years
+// live longer. Birth years between the bundled cohorts take rates interpolated between the nearest two.
+// Within a year of age the force of mortality is constant, and a health adjustment scales it at every age.
+
+export const LIFE_TABLE_SOURCE = lifeTables.source;
+// True while the bundled rates are stand-ins rather than the ONS tables, so the results are flagged as illustrative
+export const LIFE_TABLES_ILLUSTRATIVE = lifeTables.illustrative === true;
+
+export const SEX_LABELS = {
+  male: "Male",
+  female: "Female",
+};
+
+export const HEALTH_LABELS = {
+  excellent: "Excellent",
+  good: "Good",
+  average: "Average",
+  poor: "Poor",
+  veryPoor: "Very Poor",
+};
+
+// Mortality at every age as a multiple of the average for the birth year
+const HEALTH_MORTALITY_MULTIPLIERS = {
+  excellent: 0.7,
+  good: 0.85,
+  average: 1,
+  poor: 1.5,
+  veryPoor: 2.5,
+};
+
+// Nobody is assumed to live beyond this age
+export const MAX_TABLE_AGE = 120;
+
+// Mortality rates for a birth year, interpolated between the bundled cohorts either side of it
+// and held at the first or last cohort outside them
+const getMortalityRates = (sex, birthYear) => {
+  const { birthYears } = lifeTables;
+  const year = Math.min(birthYears[birthYears.length - 1], Math.max(birthYears[0], birthYear));
+  const next = birthYears.findIndex((cohort) => cohort >= year);
+  const upper = birthYears[next];
+  const lower = birthYears[Math.max(0, next - 1)];
+  const weight = upper === lower ? 0 : (year - lower) / (upper - lower);
+  return lifeTables[sex][lower].map((rate, age) => rate + (lifeTables[sex][upper][age] - rate) * weight);
+};
+
+// Creates the life table for someone of the given sex, birth year and health. Ages are exact ages.
+export const createLifeTable = ({ sex, birthYear, health = "average" }) => {
+  const multiplier = HEALTH_MORTALITY_MULTIPLIERS[health];
+  // Force of mortality through each whole year of age
+  const forces = getMortalityRates(sex, birthYear).map((rate) => -Math.log(1 - rate) * multiplier);
+
+  // Cumulative force of mortality between two ages within the same year of age
+  const hazard = (from, to) => forces[Math.floor(from)] * (to - from);
+
+  // Probability of living a further number of years from the given age
+  const survival = (age, years) => {
+    if (age + years >= MAX_TABLE_AGE) return 0;
+    let total = 0;
+    for (let from = age; from < age + years; from = Math.floor(from) + 1) {
+      total += hazard(from, Math.min(Math.floor(from) + 1, age + years));
+    }
+    return Math.exp(-total);
+  };
+
+  // Probability of dying within a year from the given age
+  const mortalityRate = (age) => 1 - survival(age, 1);
+
+  // Expected further years of life from the given age
+  const lifeExpectancy = (age) => {
+    let years = 0;
+    for (let t = 0; age + t < MAX_TABLE_AGE; t++) {
+      years += (survival(age, t) + survival(age, t + 1)) / 2;
+    }
+    return years;
+  };
+
+  // Age, to the nearest month, by which the given share of people alive at the given age have died
+  const deathAgePercentile = (age, percentile) => {
+    let months = 0;
+    while (survival(age, months / 12) > 1 - percentile) months++;
+    return age + months / 12;
+  };
+
+  return { survival, mortalityRate, lifeExpectancy, deathAgePercentile };
+};
+
+// Shares of people alive at retirement who have died by each life expectancy percentile age
+export const LIFE_EXPECTANCY_PERCENTILES = [0.25, 0.5, 0.75, 0.9];
+
+// Ages by which each of LIFE_EXPECTANCY_PERCENTILES of people alive at retirement have died
+export const getLifeExpectancyPercentiles = (plan) => {
+  const lifeTable = createLifeTable(plan);
+  return LIFE_EXPECTANCY_PERCENTILES.map((percentile) => ({
+    percentile,
+    age: lifeTable.deathAgePercentile(plan.retirementAge, percentile),
+  }));
+};
+
+export const PLANNING_HORIZON_LABELS = {
+  fixed: "To Age 100",
+  lifeTable: "Life Tables",
+};
+
+const FIXED_HORIZON_AGE = 100;
+// With life tables the plan runs to the age that only this share of people alive at retirement outlive
+const HORIZON_SURVIVORS = 0.01;
+
+// Age the money is planned to last to, for the planning horizon option and the person's life table
+export const getHorizonAge = (planningHorizon, person, retirementAge) =>
+  planningHorizon === "lifeTable"
+    ? Math.min(MAX_TABLE_AGE, Math.ceil(createLifeTable(person).deathAgePercentile(retirementAge, 1 - HORIZON_SURVIVORS)))
+    : FIXED_HORIZON_AGE;
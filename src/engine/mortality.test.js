@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { createLifeTable, getHorizonAge, getLifeExpectancyPercentiles, LIFE_TABLES_ILLUSTRATIVE, MAX_TABLE_AGE } from "./mortality";
+import lifeTables from "./lifeTables.json";
+
+const man = createLifeTable({ sex: "male", birthYear: 1956 });
+const woman = createLifeTable({ sex: "female", birthYear: 1956 });
+
+describe("createLifeTable", () => {
+  it("gives cohort life expectancy at 65 a little above period life expectancy", () => {
+    expect(man.lifeExpectancy(65)).toBeGreaterThan(18.5);
+    expect(man.lifeExpectancy(65)).toBeLessThan(21);
+    expect(woman.lifeExpectancy(65)).toBeGreaterThan(20.9);
+    expect(woman.lifeExpectancy(65)).toBeLessThan(23.5);
+  });
+
+  it("gives later birth years and better health longer lives", () => {
+    expect(createLifeTable({ sex: "male", birthYear: 1990 }).lifeExpectancy(65)).toBeGreaterThan(man.lifeExpectancy(65));
+    expect(createLifeTable({ sex: "male", birthYear: 1956, health: "excellent" }).lifeExpectancy(65)).toBeGreaterThan(man.lifeExpectancy(65));
+    expect(createLifeTable({ sex: "male", birthYear: 1956, health: "poor" }).lifeExpectancy(65)).toBeLessThan(man.lifeExpectancy(65));
+  });
+
+  it("gives survival falling with each further year and reaching zero at the end of the table", () => {
+    expect(man.survival(65, 0)).toBe(1);
+    expect(man.survival(65, 10)).toBeLessThan(man.survival(65, 5));
+    expect(woman.survival(65, 10)).toBeGreaterThan(man.survival(65, 10));
+    expect(man.survival(65, MAX_TABLE_AGE - 65)).toBe(0);
+  });
+
+  it("chains survival across part years", () => {
+    expect(man.survival(65.5, 2)).toBeCloseTo(man.survival(65.5, 0.5) * man.survival(66, 1.5));
+  });
+
+  it("looks up the bundled rates by sex and birth year", () => {
+    expect(createLifeTable({ sex: "male", birthYear: 1955 }).mortalityRate(70)).toBeCloseTo(lifeTables.male[1955][70]);
+    expect(createLifeTable({ sex: "female", birthYear: 1990 }).mortalityRate(85)).toBeCloseTo(lifeTables.female[1990][85]);
+  });
+
+  it("flags the bundled stand-in rates as illustrative", () => {
+    expect(lifeTables.source).toMatch(/^Stand-in values/);
+    expect(LIFE_TABLES_ILLUSTRATIVE).toBe(true);
+  });
+
+  it("interpolates between the bundled birth years", () => {
+    const rate = createLifeTable({ sex: "male", birthYear: 1957 }).mortalityRate(70);
+    expect(rate).toBeLessThan(lifeTables.male[1955][70]);
+    expect(rate).toBeGreaterThan(lifeTables.male[1960][70]);
+  });
+
+  it("gives mortality rising with age", () => {
+    expect(man.mortalityRate(80)).toBeGreaterThan(man.mortalityRate(65));
+    expect(man.mortalityRate(65)).toBeGreaterThan(0.005);
+    expect(man.mortalityRate(65)).toBeLessThan(0.02);
+  });
+
+  it("finds the age by which a share of people have died", () => {
+    const median = man.deathAgePercentile(65, 0.5);
+    expect(man.survival(65, median - 65)).toBeLessThanOrEqual(0.5);
+    expect(man.survival(65, median - 65 - 1 / 12)).toBeGreaterThan(0.5);
+  });
+});
+
+describe("getLifeExpectancyPercentiles", () => {
+  it("gives rising ages for each percentile from retirement", () => {
+    const percentiles = getLifeExpectancyPercentiles({ sex: "male", birthYear: 1956, health: "average", retirementAge: 65 });
+    expect(percentiles.map(({ percentile }) => percentile)).toEqual([0.25, 0.5, 0.75, 0.9]);
+    expect(percentiles[1].age).toBe(man.deathAgePercentile(65, 0.5));
+    expect(percentiles[3].age).toBeGreaterThan(percentiles[0].age);
+  });
+});
+
+describe("getHorizonAge", () => {
+  it("is 100 when fixed, or the age only 1 in 100 outlive from the life table", () => {
+    const person = { sex: "male", birthYear: 1956, health: "average" };
+    expect(getHorizonAge("fixed", person, 65)).toBe(100);
+    const horizon = getHorizonAge("lifeTable", person, 65);
+    expect(man.survival(65, horizon - 65)).toBeLessThanOrEqual(0.01);
+    expect(man.survival(65, horizon - 66)).toBeGreaterThan(0.01);
+  });
+});
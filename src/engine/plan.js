@@ -0,0 +1,160 @@
+import { toAccountData } from "./accounts";
+import { toCorrelationData, toFundData } from "./funds";
+import { toLifeEventData } from "./lifeEvents";
+import { getHorizonAge } from "./mortality";
+import { toSpendingProfileData } from "./spendingProfile";
+import { parseReturnSequence } from "./stressTests";
+import { getStatePensionAge, getStatePensionAnnual, getStatePensionUpratingRate } from "./statePension";
+
+// Year of birth, from the date of birth when given or else from the current age
+const getBirthYear = (dateOfBirth, age) =>
+  dateOfBirth ? new Date(dateOfBirth).getFullYear() : new Date().getFullYear() - parseInt(age);
+
+// Annual state pension for the state pension option
+const getStatePension = (includeStatePension, niQualifyingYears, customAnnual) =>
+  includeStatePension === "Yes - Standard" ? getStatePensionAnnual(parseInt(niQualifyingYears))
+  : includeStatePension === "Yes - Custom" ? parseFloat(customAnnual)
+  : 0;
+
+// The second member of a couple. Their pot is invested alongside the first member's, and their
+// ages are their own. Without a date of birth their state pension is paid from their retirement.
+const createPartner = (formData) => ({
+  age: parseInt(formData.partnerAge),
+  salary: parseFloat(formData.partnerSalary) || 0,
+  currentPot: parseFloat(formData.partnerCurrentPot) || 0,
+  employeeContributionRate: (parseFloat(formData.partnerEmployeeContributionRate) || 0) / 100,
+  employerContributionRate: (parseFloat(formData.partnerEmployerContributionRate) || 0) / 100,
+  retirementAge: parseInt(formData.partnerRetirementAge),
+  sex: formData.partnerSex,
+  birthYear: getBirthYear(formData.partnerDateOfBirth, formData.partnerAge),
+  health: formData.partnerHealth,
+  statePensionAnnual: getStatePension(formData.partnerIncludeStatePension, formData.partnerNiQualifyingYears, formData.partnerCustomStatePensionAnnual),
+  statePensionAge: formData.partnerDateOfBirth ? getStatePensionAge(formData.partnerDateOfBirth) : parseInt(formData.partnerRetirementAge),
+});
+
+// Age, on the first member's timeline, the money is planned to last to. For a couple this is the
+// later of the two members' horizons.
+const getHouseholdHorizonAge = (formData) => {
+  const age = parseInt(formData.age);
+  const retirementAge = parseInt(formData.retirementAge);
+  const horizonAge = getHorizonAge(
+    formData.planningHorizon,
+    { sex: formData.sex, birthYear: getBirthYear(formData.dateOfBirth, formData.age), health: formData.health },
+    retirementAge
+  );
+  if (formData.household !== "couple") return horizonAge;
+  const partnerAge = parseInt(formData.partnerAge);
+  const partnerHorizonAge = getHorizonAge(
+    formData.planningHorizon,
+    { sex: formData.partnerSex, birthYear: getBirthYear(formData.partnerDateOfBirth, formData.partnerAge), health: formData.partnerHealth },
+    partnerAge + retirementAge - age
+  );
+  return Math.max(horizonAge, partnerHorizonAge - partnerAge + age);
+};
+
+// Converts the form's string inputs into the plan object used by the simulation engine.
+// Percentages become fractions (8 -> 0.08) and the state pension option is resolved to an annual amount
+// (pro-rated by NI qualifying years for the standard option) starting at State Pension Age and
+// uprated each year at the rate of the selected uprating rule. Ages are the first member's, and
+// retirement (when drawdown starts) is when the first member retires.
+export const createPlan = (formData) => ({
+  age: parseInt(formData.age),
+  salary: parseFloat(formData.salary),
+  currentPot: parseFloat(formData.currentPot),
+  employeeContributionRate: parseFloat(formData.employeeContributionRate) / 100,
+  employerContributionRate: parseFloat(formData.employerContributionRate) / 100,
+  contributionBasis: formData.contributionBasis,
+  taxReliefMethod: formData.taxReliefMethod,
+  retirementAge: parseInt(formData.retirementAge),
+  fundSelection: formData.fundSelection,
+  fundCatalogue: toFundData(formData.fundCatalogue),
+  fundCorrelations: toCorrelationData(formData.fundCatalogue, formData.fundCorrelations),
+  returnModel: formData.returnModel,
+  returnDegreesOfFreedom: parseInt(formData.returnDegreesOfFreedom),
+  lifestyling: formData.lifestyling,
+  lifestylingTargetFund: formData.lifestylingTargetFund,
+  lifestylingYears: parseInt(formData.lifestylingYears),
+  inflationRate: parseFloat(formData.inflationRate) / 100,
+  earningsGrowthRate: parseFloat(formData.earningsGrowthRate) / 100,
+  funds: formData.funds.slice(0, parseInt(formData.numFunds)),
+  ageToLowRiskFund: parseInt(formData.ageToLowRiskFund),
+  drawdownType: formData.drawdownType,
+  drawdownPercentage: parseFloat(formData.drawdownPercentage) / 100,
+  drawdownFixed: parseFloat(formData.drawdownFixed),
+  drawdownInitialPotPercentage: parseFloat(formData.drawdownInitialPotPercentage) / 100,
+  guardrailInitialRate: parseFloat(formData.guardrailInitialRate) / 100,
+  guardrailUpperLimit: parseFloat(formData.guardrailUpperLimit) / 100,
+  guardrailLowerLimit: parseFloat(formData.guardrailLowerLimit) / 100,
+  guardrailAdjustment: parseFloat(formData.guardrailAdjustment) / 100,
+  floorCeilingRate: parseFloat(formData.floorCeilingRate) / 100,
+  floorCeilingFloor: parseFloat(formData.floorCeilingFloor) / 100,
+  floorCeilingCeiling: parseFloat(formData.floorCeilingCeiling) / 100,
+  naturalYieldRate: parseFloat(formData.naturalYieldRate) / 100,
+  targetIncomeAnnual: parseFloat(formData.targetIncomeAnnual),
+  // Other income is optional and starts at retirement unless a start age is given
+  otherIncomeAnnual: parseFloat(formData.otherIncomeAnnual) || 0,
+  otherIncomeStartAge: parseFloat(formData.otherIncomeStartAge) || parseInt(formData.retirementAge),
+  sex: formData.sex,
+  birthYear: getBirthYear(formData.dateOfBirth, formData.age),
+  health: formData.health,
+  planningHorizon: formData.planningHorizon,
+  horizonAge: getHouseholdHorizonAge(formData),
+  partner: formData.household === "couple" ? createPartner(formData) : null,
+  // On the first death, the shares of the deceased's defined benefit and other pension income and of
+  // their state pension paid on to the survivor, and the share of the household's drawdown the survivor keeps spending
+  survivorPensionShare: (parseFloat(formData.survivorPensionShare) || 0) / 100,
+  survivorStatePensionShare: (parseFloat(formData.survivorStatePensionShare) || 0) / 100,
+  // A blank survivor's spending keeps the household's, but an entered 0 is kept
+  survivorSpendingShare: isNaN(parseFloat(formData.survivorSpendingShare)) ? 1 : parseFloat(formData.survivorSpendingShare) / 100,
+  // Share of the pot used to buy an annuity, bought at retirement unless a later age is given
+  annuityShare: formData.annuityPurchase === "Yes" ? parseFloat(formData.annuityShare) / 100 : 0,
+  annuityAge: parseFloat(formData.annuityAge) || parseInt(formData.retirementAge),
+  annuityType: formData.annuityType,
+  annuityEscalationRate: (parseFloat(formData.annuityEscalationRate) || 0) / 100,
+  annuityLife: formData.annuityLife,
+  annuityJointProportion: (parseFloat(formData.annuityJointProportion) || 0) / 100,
+  // A couple's joint life annuity is for the partner unless another spouse's age is given
+  annuitySpouseAge: parseInt(formData.annuitySpouseAge) || parseInt(formData.household === "couple" ? formData.partnerAge : formData.age),
+  annuitySpouseSex: formData.household === "couple" && !formData.annuitySpouseAge ? formData.partnerSex : formData.annuitySpouseSex,
+  annuityGuaranteeYears: parseInt(formData.annuityGuaranteeYears) || 0,
+  annuityPricing: formData.annuityPricing,
+  annuityRate: parseFloat(formData.annuityRate) / 100,
+  annuityDiscountRate: parseFloat(formData.annuityDiscountRate) / 100,
+  statePensionAnnual: getStatePension(formData.includeStatePension, formData.niQualifyingYears, formData.customStatePensionAnnual),
+  // Without a date of birth the state pension is paid from retirement
+  statePensionAge: formData.dateOfBirth ? getStatePensionAge(formData.dateOfBirth) : parseInt(formData.retirementAge),
+  statePensionUprating: formData.statePensionUprating,
+  statePensionUpratingRate: getStatePensionUpratingRate(formData.statePensionUprating, {
+    inflationRate: parseFloat(formData.inflationRate) / 100,
+    earningsGrowthRate: parseFloat(formData.earningsGrowthRate) / 100,
+    customRate: parseFloat(formData.customStatePensionUpratingRate) / 100,
+  }),
+  taxFreeCash: formData.taxFreeCash,
+  taxThresholds: {
+    personalAllowance: parseFloat(formData.personalAllowance),
+    higherRateThreshold: parseFloat(formData.higherRateThreshold),
+    additionalRateThreshold: parseFloat(formData.additionalRateThreshold),
+  },
+  taxThresholdIndexing: formData.taxThresholdIndexing,
+  // A tier with a blank limit covers the rest of the pot
+  platformFeeTiers: formData.platformFeeTiers.map((tier) => ({
+    upTo: tier.upTo === "" ? Infinity : parseFloat(tier.upTo),
+    rate: parseFloat(tier.rate) / 100,
+  })),
+  adviserFee: parseFloat(formData.adviserFee) || 0,
+  accounts: formData.accounts.map(toAccountData),
+  withdrawalOrder: formData.withdrawalOrder,
+  lifeEvents: formData.lifeEvents.map(toLifeEventData),
+  spendingProfile: toSpendingProfileData(formData.spendingProfile),
+  stressTestSequence: parseReturnSequence(formData.stressTestSequence),
+});
+
+// Builds the plan for another retirement age from the form inputs, so everything set from the
+// retirement age (the planning horizon and the start ages that default to it) moves with it.
+// The low risk fund switch cannot come before retirement.
+export const createPlanAtRetirementAge = (formData, retirementAge) =>
+  createPlan({
+    ...formData,
+    retirementAge: String(retirementAge),
+    ageToLowRiskFund: String(Math.max(parseInt(formData.ageToLowRiskFund), retirementAge)),
+  });
@@ -0,0 +1,247 @@
+import { describe, it, expect } from "vitest";
+import { createPlan, createPlanAtRetirementAge } from "./plan";
+import { STANDARD_STATE_PENSION_ANNUAL } from "./statePension";
+import { DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATIONS } from "./funds";
+
+const formData = {
+  ageToLowRiskFund: "75",
+  numFunds: "2",
+  funds: ["Future Advantage 1", "Future Advantage 3", "Future Advantage 5"],
+  age: "40",
+  salary: "30000",
+  currentPot: "15000",
+  employeeContributionRate: "5",
+  employerContributionRate: "3",
+  contributionBasis: "qualifyingEarnings",
+  taxReliefMethod: "reliefAtSource",
+  retirementAge: "67",
+  fundSelection: "Future Advantage 5",
+  fundCatalogue: DEFAULT_FUND_CATALOGUE,
+  fundCorrelations: DEFAULT_FUND_CORRELATIONS,
+  returnModel: "studentT",
+  returnDegreesOfFreedom: "6",
+  lifestyling: "glidePath",
+  lifestylingTargetFund: "Future Advantage 2",
+  lifestylingYears: "10",
+  drawdownType: "percentage",
+  drawdownPercentage: "4",
+  drawdownFixed: "",
+  drawdownInitialPotPercentage: "",
+  guardrailInitialRate: "5",
+  guardrailUpperLimit: "20",
+  guardrailLowerLimit: "20",
+  guardrailAdjustment: "10",
+  floorCeilingRate: "4",
+  floorCeilingFloor: "2.5",
+  floorCeilingCeiling: "5",
+  naturalYieldRate: "3.5",
+  targetIncomeAnnual: "25000",
+  otherIncomeAnnual: "",
+  otherIncomeStartAge: "",
+  planningHorizon: "lifeTable",
+  sex: "female",
+  health: "average",
+  annuityPurchase: "No",
+  annuityShare: "40",
+  annuityAge: "",
+  annuityType: "escalating",
+  annuityEscalationRate: "3",
+  annuityLife: "joint",
+  annuityJointProportion: "50",
+  annuitySpouseAge: "42",
+  annuitySpouseSex: "male",
+  annuityGuaranteeYears: "",
+  annuityPricing: "mortality",
+  annuityRate: "7",
+  annuityDiscountRate: "4.5",
+  inflationRate: "2.5",
+  includeStatePension: "Yes - Standard",
+  customStatePensionAnnual: "",
+  dateOfBirth: "1985-06-15",
+  niQualifyingYears: "35",
+  earningsGrowthRate: "3.5",
+  statePensionUprating: "tripleLock",
+  customStatePensionUpratingRate: "",
+  taxFreeCash: "ufpls",
+  personalAllowance: "12570",
+  higherRateThreshold: "50270",
+  additionalRateThreshold: "125140",
+  taxThresholdIndexing: "frozen",
+  platformFeeTiers: [{ upTo: "250000", rate: "0.25" }, { upTo: "", rate: "0.1" }],
+  adviserFee: "",
+  accounts: [],
+  withdrawalOrder: "pensionFirst",
+  lifeEvents: [],
+  spendingProfile: [],
+  stressTestSequence: "",
+};
+
+describe("createPlan", () => {
+  it("parses numbers and converts percentages to fractions", () => {
+    const plan = createPlan(formData);
+    expect(plan.age).toBe(40);
+    expect(plan.salary).toBe(30000);
+    expect(plan.employeeContributionRate).toBeCloseTo(0.05);
+    expect(plan.employerContributionRate).toBeCloseTo(0.03);
+    expect(plan.inflationRate).toBeCloseTo(0.025);
+    expect(plan.drawdownPercentage).toBeCloseTo(0.04);
+  });
+
+  it("parses the dynamic drawdown parameters as fractions", () => {
+    const plan = createPlan(formData);
+    expect(plan.guardrailInitialRate).toBeCloseTo(0.05);
+    expect(plan.guardrailAdjustment).toBeCloseTo(0.1);
+    expect(plan.floorCeilingFloor).toBeCloseTo(0.025);
+    expect(plan.naturalYieldRate).toBeCloseTo(0.035);
+  });
+
+  it("treats blank other income as none, starting at retirement", () => {
+    const plan = createPlan(formData);
+    expect(plan.targetIncomeAnnual).toBe(25000);
+    expect(plan.otherIncomeAnnual).toBe(0);
+    expect(plan.otherIncomeStartAge).toBe(plan.retirementAge);
+    expect(createPlan({ ...formData, otherIncomeAnnual: "8000", otherIncomeStartAge: "67" })).toMatchObject({ otherIncomeAnnual: 8000, otherIncomeStartAge: 67 });
+  });
+
+  it("buys no annuity unless chosen, and buys at retirement unless a later age is given", () => {
+    expect(createPlan(formData).annuityShare).toBe(0);
+    const plan = createPlan({ ...formData, annuityPurchase: "Yes" });
+    expect(plan.annuityShare).toBeCloseTo(0.4);
+    expect(plan.annuityAge).toBe(plan.retirementAge);
+    expect(plan.annuityGuaranteeYears).toBe(0);
+    expect(plan.annuityJointProportion).toBeCloseTo(0.5);
+    expect(plan.annuityDiscountRate).toBeCloseTo(0.045);
+    expect(createPlan({ ...formData, annuityAge: "72" }).annuityAge).toBe(72);
+  });
+
+  it("plans to age 100 or to the age from the life table", () => {
+    const plan = createPlan(formData);
+    expect(plan.birthYear).toBe(1985);
+    expect(plan.horizonAge).toBeGreaterThan(100);
+    expect(createPlan({ ...formData, health: "veryPoor" }).horizonAge).toBeLessThan(plan.horizonAge);
+    expect(createPlan({ ...formData, planningHorizon: "fixed" }).horizonAge).toBe(100);
+    expect(createPlan({ ...formData, dateOfBirth: "" }).birthYear).toBe(new Date().getFullYear() - 40);
+  });
+
+  it("adds a partner for a couple, with a horizon for the longer-lived of the two", () => {
+    expect(createPlan(formData).partner).toBeNull();
+    const couple = createPlan({
+      ...formData,
+      household: "couple",
+      partnerAge: "35",
+      partnerSalary: "25000",
+      partnerCurrentPot: "",
+      partnerEmployeeContributionRate: "4",
+      partnerEmployerContributionRate: "3",
+      partnerRetirementAge: "66",
+      partnerSex: "male",
+      partnerHealth: "average",
+      partnerIncludeStatePension: "Yes - Custom",
+      partnerCustomStatePensionAnnual: "9000",
+      partnerDateOfBirth: "",
+      partnerNiQualifyingYears: "35",
+      survivorPensionShare: "50",
+      survivorStatePensionShare: "",
+      survivorSpendingShare: "70",
+      annuitySpouseAge: "",
+    });
+    expect(couple.partner).toMatchObject({ age: 35, salary: 25000, currentPot: 0, retirementAge: 66, statePensionAnnual: 9000, statePensionAge: 66 });
+    expect(couple.partner.employeeContributionRate).toBeCloseTo(0.04);
+    expect(couple.survivorPensionShare).toBeCloseTo(0.5);
+    expect(couple.survivorStatePensionShare).toBe(0);
+    expect(couple.survivorSpendingShare).toBeCloseTo(0.7);
+    expect(createPlan({ ...formData, survivorSpendingShare: "0" }).survivorSpendingShare).toBe(0);
+    expect(createPlan({ ...formData, survivorSpendingShare: "" }).survivorSpendingShare).toBe(1);
+    expect(couple.annuitySpouseAge).toBe(35);
+    expect(couple.annuitySpouseSex).toBe("male");
+    expect(couple.horizonAge).toBeGreaterThan(createPlan(formData).horizonAge);
+  });
+
+  it("keeps only the selected number of decumulation funds", () => {
+    expect(createPlan(formData).funds).toEqual(["Future Advantage 1", "Future Advantage 3"]);
+  });
+
+  it("converts the fund catalogue to fractions keyed by name", () => {
+    expect(createPlan(formData).fundCatalogue["Future Advantage 5"]).toEqual({ return: 0.053, volatility: 0.1464, annualCharge: 0, equity: 0.85, bonds: 0.15 });
+  });
+
+  it("parses the return model and keys fund correlations by name", () => {
+    const plan = createPlan(formData);
+    expect(plan.returnModel).toBe("studentT");
+    expect(plan.returnDegreesOfFreedom).toBe(6);
+    expect(plan.fundCorrelations["Future Advantage 1"]["Future Advantage 5"]).toBe(0.6);
+  });
+
+  it("resolves the state pension option to an annual amount", () => {
+    expect(createPlan(formData).statePensionAnnual).toBe(STANDARD_STATE_PENSION_ANNUAL);
+    expect(createPlan({ ...formData, includeStatePension: "Yes - Custom", customStatePensionAnnual: "9000" }).statePensionAnnual).toBe(9000);
+    expect(createPlan({ ...formData, includeStatePension: "No" }).statePensionAnnual).toBe(0);
+  });
+
+  it("pro-rates the standard state pension by NI qualifying years", () => {
+    expect(createPlan({ ...formData, niQualifyingYears: "21" }).statePensionAnnual).toBeCloseTo(STANDARD_STATE_PENSION_ANNUAL * 0.6);
+  });
+
+  it("resolves the state pension uprating rule to a rate", () => {
+    expect(createPlan(formData).statePensionUpratingRate).toBeCloseTo(0.035);
+    expect(createPlan({ ...formData, statePensionUprating: "cpi" }).statePensionUpratingRate).toBeCloseTo(0.025);
+    expect(createPlan({ ...formData, statePensionUprating: "custom", customStatePensionUpratingRate: "1" }).statePensionUpratingRate).toBeCloseTo(0.01);
+    expect(createPlan(formData).statePensionUprating).toBe("tripleLock");
+  });
+
+  it("parses the tax thresholds", () => {
+    expect(createPlan(formData).taxThresholds).toEqual({ personalAllowance: 12570, higherRateThreshold: 50270, additionalRateThreshold: 125140 });
+  });
+
+  it("parses platform fee tiers with a blank limit covering the rest of the pot", () => {
+    const plan = createPlan(formData);
+    expect(plan.platformFeeTiers).toEqual([{ upTo: 250000, rate: 0.0025 }, { upTo: Infinity, rate: 0.001 }]);
+    expect(plan.adviserFee).toBe(0);
+  });
+
+  it("parses other accounts and the withdrawal order", () => {
+    const plan = createPlan({ ...formData, accounts: [{ type: "cash", balance: "5000", fund: "", contribution: "", interestRate: "4", annualPension: "", startAge: "", revaluationRate: "", increaseRate: "" }], withdrawalOrder: "isaFirst" });
+    expect(plan.accounts[0]).toMatchObject({ type: "cash", balance: 5000, contribution: 0 });
+    expect(plan.accounts[0].interestRate).toBeCloseTo(0.04);
+    expect(plan.withdrawalOrder).toBe("isaFirst");
+  });
+
+  it("parses life events", () => {
+    const plan = createPlan({ ...formData, lifeEvents: [{ type: "partTime", age: "45", years: "3", percentage: "60", amount: "" }] });
+    expect(plan.lifeEvents).toEqual([{ type: "partTime", age: 45, years: 3, percentage: 0.6, amount: 0 }]);
+  });
+
+  it("parses the spending profile", () => {
+    const plan = createPlan({ ...formData, spendingProfile: [{ age: "75", percentage: "80" }] });
+    expect(plan.spendingProfile).toEqual([{ age: 75, multiplier: 0.8 }]);
+  });
+
+  it("parses the stress test sequence", () => {
+    expect(createPlan({ ...formData, stressTestSequence: "-20, 10" }).stressTestSequence).toEqual([-0.2, 0.1]);
+  });
+
+  it("parses the lifestyling glide path", () => {
+    const plan = createPlan(formData);
+    expect(plan.lifestyling).toBe("glidePath");
+    expect(plan.lifestylingTargetFund).toBe("Future Advantage 2");
+    expect(plan.lifestylingYears).toBe(10);
+  });
+
+  it("derives State Pension Age from date of birth", () => {
+    expect(createPlan(formData).statePensionAge).toBe(68);
+    expect(createPlan({ ...formData, dateOfBirth: "" }).statePensionAge).toBe(67);
+  });
+});
+
+describe("createPlanAtRetirementAge", () => {
+  it("moves the ages set from the retirement age with it", () => {
+    const plan = createPlanAtRetirementAge({ ...formData, planningHorizon: "fixed", ageToLowRiskFund: "70" }, 72);
+    expect(plan).toMatchObject({ retirementAge: 72, ageToLowRiskFund: 72, otherIncomeStartAge: 72, annuityAge: 72 });
+    expect(createPlanAtRetirementAge({ ...formData, ageToLowRiskFund: "70" }, 65).ageToLowRiskFund).toBe(70);
+  });
+
+  it("runs the life table horizon from the new retirement age", () => {
+    const later = createPlanAtRetirementAge(formData, 75);
+    expect(later.horizonAge).toBeGreaterThanOrEqual(createPlan(formData).horizonAge);
+  });
+});
@@ -0,0 +1,87 @@
+// Return models: how each period's fund returns are drawn in the stochastic simulations.
+// Every model except the legacy uniform one draws correlated shocks across funds using the
+// Cholesky factor of the catalogue's correlation matrix, so multi-fund portfolios move together.
+
+export const RETURN_MODEL_LABELS = {
+  lognormal: "Lognormal",
+  normal: "Normal",
+  studentT: "Student-t (fat tails)",
+  uniform: "Uniform (legacy)",
+};
+
+export const DEFAULT_DEGREES_OF_FREEDOM = 5;
+
+// Standard normal draw using the Box-Muller transform
+export const drawStandardNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Lower-triangular L with L * L^T = matrix, or null if the matrix is not positive semi-definite.
+// Perfectly correlated funds give a zero pivot, whose column is left at zero.
+export const choleskyDecompose = (matrix) => {
+  const n = matrix.length;
+  const lower = Array.from({ length: n }, () => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum < -1e-9) return null;
+        lower[i][i] = Math.sqrt(Math.max(0, sum));
+      } else {
+        lower[i][j] = lower[j][j] > 1e-12 ? sum / lower[j][j] : 0;
+      }
+    }
+  }
+  return lower;
+};
+
+// Scale that turns a standard normal shock into a Student-t shock with unit variance.
+// The chi-squared draw is shared across funds so that extreme years hit every fund together.
+const drawStudentTScale = (degreesOfFreedom, random) => {
+  let chiSquared = 0;
+  for (let i = 0; i < degreesOfFreedom; i++) chiSquared += drawStandardNormal(random) ** 2;
+  return Math.sqrt((degreesOfFreedom - 2) / chiSquared);
+};
+
+// Lognormal parameters per period that keep the fund's arithmetic mean and volatility per year
+const toLognormal = (fund, periodsPerYear) => {
+  const sigmaSquared = Math.log(1 + (fund.volatility / (1 + fund.return)) ** 2);
+  return {
+    mu: (Math.log(1 + fund.return) - sigmaSquared / 2) / periodsPerYear,
+    sigma: Math.sqrt(sigmaSquared / periodsPerYear),
+  };
+};
+
+// Creates a generator of one period's returns (as fractions) for the given funds under the plan's
+// return model. periodsPerYear is 1 for the accumulation and 12 for the monthly decumulation.
+export const createReturnModel = (plan, fundNames, periodsPerYear) => {
+  const funds = fundNames.map((name) => plan.fundCatalogue[name]);
+
+  // The original model: independent uniform draws, whose spread is only ~58% of the stated volatility
+  if (plan.returnModel === "uniform") {
+    return (random) => funds.map((fund) =>
+      fund.return / periodsPerYear + (fund.volatility / Math.sqrt(periodsPerYear)) * (random() * 2 - 1));
+  }
+
+  const correlations = fundNames.map((a) => fundNames.map((b) => (a === b ? 1 : plan.fundCorrelations[a][b])));
+  const cholesky = choleskyDecompose(correlations);
+  if (!cholesky) throw new Error("Fund correlations must form a positive semi-definite matrix.");
+  const lognormal = funds.map((fund) => toLognormal(fund, periodsPerYear));
+
+  return (random) => {
+    const independent = funds.map(() => drawStandardNormal(random));
+    const scale = plan.returnModel === "studentT" ? drawStudentTScale(plan.returnDegreesOfFreedom, random) : 1;
+    return funds.map((fund, i) => {
+      const shock = cholesky[i].reduce((sum, weight, k) => sum + weight * independent[k], 0) * scale;
+      // Student-t shocks are added to the arithmetic return like normal ones, as exponentiating a fat
+      // tailed shock would lift the mean return above the fund's
+      if (plan.returnModel === "normal" || plan.returnModel === "studentT") {
+        return Math.max(-1, fund.return / periodsPerYear + (fund.volatility / Math.sqrt(periodsPerYear)) * shock);
+      }
+      return Math.exp(lognormal[i].mu + lognormal[i].sigma * shock) - 1;
+    });
+  };
+};
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import { choleskyDecompose, createReturnModel, drawStandardNormal } from "./returnModels";
+import { createSeededRandom } from "./random";
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const standardDeviation = (values) => {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - m) ** 2)));
+};
+const correlation = (a, b) => {
+  const ma = mean(a);
+  const mb = mean(b);
+  return mean(a.map((value, i) => (value - ma) * (b[i] - mb))) / (standardDeviation(a) * standardDeviation(b));
+};
+
+const plan = (returnModel, correlationAB = 0.6) => ({
+  returnModel,
+  returnDegreesOfFreedom: 5,
+  fundCatalogue: {
+    Equity: { return: 0.06, volatility: 0.15, annualCharge: 0 },
+    Bonds: { return: 0.03, volatility: 0.06, annualCharge: 0 },
+  },
+  fundCorrelations: {
+    Equity: { Equity: 1, Bonds: correlationAB },
+    Bonds: { Equity: correlationAB, Bonds: 1 },
+  },
+});
+
+// Draws many years of returns and splits them by fund
+const sample = (modelPlan, draws = 20000) => {
+  const drawReturns = createReturnModel(modelPlan, ["Equity", "Bonds"], 1);
+  const random = createSeededRandom(11);
+  const years = Array.from({ length: draws }, () => drawReturns(random));
+  return [years.map((year) => year[0]), years.map((year) => year[1])];
+};
+
+describe("drawStandardNormal", () => {
+  it("has zero mean and unit variance", () => {
+    const random = createSeededRandom(3);
+    const draws = Array.from({ length: 20000 }, () => drawStandardNormal(random));
+    expect(mean(draws)).toBeCloseTo(0, 1);
+    expect(standardDeviation(draws)).toBeCloseTo(1, 1);
+  });
+});
+
+describe("choleskyDecompose", () => {
+  it("factors a correlation matrix", () => {
+    const lower = choleskyDecompose([[1, 0.6], [0.6, 1]]);
+    expect(lower[0]).toEqual([1, 0]);
+    expect(lower[1][0]).toBeCloseTo(0.6);
+    expect(lower[1][1]).toBeCloseTo(0.8);
+  });
+
+  it("allows perfectly correlated funds", () => {
+    expect(choleskyDecompose([[1, 1], [1, 1]])).toEqual([[1, 0], [1, 0]]);
+  });
+
+  it("rejects inconsistent correlations", () => {
+    expect(choleskyDecompose([[1, 0.9, -0.9], [0.9, 1, 0.9], [-0.9, 0.9, 1]])).toBeNull();
+  });
+});
+
+describe("createReturnModel", () => {
+  it("matches each fund's mean and volatility with lognormal returns", () => {
+    const [equity, bonds] = sample(plan("lognormal"));
+    expect(mean(equity)).toBeCloseTo(0.06, 2);
+    expect(standardDeviation(equity)).toBeCloseTo(0.15, 2);
+    expect(mean(bonds)).toBeCloseTo(0.03, 2);
+    expect(standardDeviation(bonds)).toBeCloseTo(0.06, 2);
+  });
+
+  it("moves funds together according to their correlation", () => {
+    const [equity, bonds] = sample(plan("normal"));
+    expect(correlation(equity, bonds)).toBeCloseTo(0.6, 1);
+    const [independentEquity, independentBonds] = sample(plan("normal", 0));
+    expect(correlation(independentEquity, independentBonds)).toBeCloseTo(0, 1);
+  });
+
+  it("keeps the mean and volatility but fattens the tails with Student-t returns", () => {
+    const excessKurtosis = (values) => {
+      const m = mean(values);
+      return mean(values.map((value) => (value - m) ** 4)) / standardDeviation(values) ** 4 - 3;
+    };
+    const [normalEquity] = sample(plan("normal"));
+    const [fatTailedEquity] = sample(plan("studentT"));
+    expect(mean(fatTailedEquity)).toBeCloseTo(0.06, 2);
+    expect(standardDeviation(fatTailedEquity)).toBeCloseTo(0.15, 1);
+    expect(excessKurtosis(normalEquity)).toBeCloseTo(0, 0);
+    expect(excessKurtosis(fatTailedEquity)).toBeGreaterThan(1);
+  });
+
+  it("understates volatility with the legacy uniform model", () => {
+    const [equity] = sample(plan("uniform"));
+    expect(standardDeviation(equity)).toBeCloseTo(0.15 / Math.sqrt(3), 2);
+  });
+
+  it("scales returns to monthly periods", () => {
+    const drawReturns = createReturnModel(plan("lognormal"), ["Equity"], 12);
+    const random = createSeededRandom(5);
+    const annualReturns = Array.from({ length: 5000 }, () =>
+      Array.from({ length: 12 }, () => drawReturns(random)[0]).reduce((growth, monthly) => growth * (1 + monthly), 1) - 1);
+    expect(mean(annualReturns)).toBeCloseTo(0.06, 2);
+    expect(standardDeviation(annualReturns)).toBeCloseTo(0.15, 1);
+  });
+
+  it("returns the mean when a fund has no volatility", () => {
+    const flatPlan = { ...plan("lognormal"), fundCatalogue: { Cash: { return: 0.04, volatility: 0, annualCharge: 0 } }, fundCorrelations: { Cash: { Cash: 1 } } };
+    expect(createReturnModel(flatPlan, ["Cash"], 1)(createSeededRandom(1))[0]).toBeCloseTo(0.04);
+  });
+});
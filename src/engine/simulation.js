@@ -0,0 +1,697 @@
+import { getAccountContribution, getDefinedBenefitIncome, getSavingsAccounts, isInvested, SAVINGS_ACCOUNT_TYPES, splitWithdrawal } from "./accounts";
+import { getAnnuityEscalationRate, getAnnuityRate } from "./annuity";
+import { calculateAnnualCharges, calculatePlatformFee, sumCharges } from "./charges";
+import { calculateContributions } from "./contributions";
+import { createDrawdownStrategy } from "./drawdown";
+import { createDeathAgeSampler, createHouseholdSurvival, getMedianDeathAges, getPartnerAge, getPartnerContributionPlan } from "./household";
+import { getCohortYears, getHistoricalFundReturn, HISTORICAL_YEARS } from "./historical";
+import { getDeflator } from "./inflation";
+import { getLifeEventMonth, getSalaryFactor, sumLifeEventAmounts } from "./lifeEvents";
+import { getLifestylingWeight } from "./lifestyling";
+import { createReturnModel } from "./returnModels";
+import { getStatePensionUpratingRate, getUpratedStatePension } from "./statePension";
+import { getSpendingMultiplier } from "./spendingProfile";
+import { getPercentile, sortByYear } from "./statistics";
+import { getStressTestYears, getStressTests } from "./stressTests";
+import { getPensionCommencementLumpSum, getTaxThresholds, TAX_FREE_PROPORTION } from "./tax";
+
+// Simulation engine. Every function is pure: it takes a plan (see createPlan) and
+// an options object, and only draws randomness from options.random. Returns are drawn
+// by the plan's return model (see returnModels). Retirement runs to the plan's horizon age.
+
+const DEFAULT_SIMULATIONS = 1000;
+
+const sumPots = (pots) => pots.reduce((sum, pot) => sum + pot, 0);
+
+// Creates one run of the accumulation phase until retirement: the household's total wealth at each year end,
+// the charges paid (also in today's money), the partner's share of the pension and each savings account's share and cost.
+const createAccumulationRun = (plan) => {
+  const growthFund = plan.fundCatalogue[plan.fundSelection];
+  const targetFund = plan.lifestyling === "glidePath" ? plan.fundCatalogue[plan.lifestylingTargetFund] : growthFund;
+  const pensionFunds = plan.lifestyling === "glidePath" ? [plan.fundSelection, plan.lifestylingTargetFund] : [plan.fundSelection];
+  const accounts = plan.accounts.filter((account) => account.type !== "definedBenefit");
+  const drawReturns = createReturnModel(plan, [...pensionFunds, ...accounts.filter(isInvested).map((account) => account.fund)], 1);
+  const years = plan.retirementAge - plan.age;
+  const partnerPlan = plan.partner && getPartnerContributionPlan(plan);
+
+  return (random) => {
+    let pot = plan.currentPot;
+    let partnerPot = plan.partner ? plan.partner.currentPot : 0;
+    let salary = plan.salary;
+    let partnerSalary = plan.partner ? plan.partner.salary : 0;
+    let adviserFee = plan.adviserFee;
+    let charges = 0;
+    let realCharges = 0;
+    let yearlyBalances = [];
+    const accountBalances = accounts.map((account) => account.balance);
+    const accountCosts = accounts.map((account) => account.balance);
+
+    for (let year = 0; year < years; year++) {
+      const weight = getLifestylingWeight(plan, years - year);
+      const yearReturns = drawReturns(random);
+      const [growthReturn, targetReturn = growthReturn] = yearReturns.slice(0, pensionFunds.length);
+      const accountReturns = yearReturns.slice(pensionFunds.length);
+      const annualReturn = growthReturn * (1 - weight) + targetReturn * weight;
+      const annualCharge = growthFund.annualCharge * (1 - weight) + targetFund.annualCharge * weight;
+      let contribution = calculateContributions(plan, salary * getSalaryFactor(plan, plan.age + year)).total
+        + sumLifeEventAmounts(plan, "lumpSum", (event) => Math.floor(event.age - plan.age) === year);
+      pot = (pot + contribution) * (1 + annualReturn);
+      if (plan.partner) {
+        const partnerContribution = getPartnerAge(plan, plan.age + year) < plan.partner.retirementAge ? calculateContributions(partnerPlan, partnerSalary).total : 0;
+        partnerPot = (partnerPot + partnerContribution) * (1 + annualReturn);
+      }
+      const householdPot = pot + partnerPot;
+      const yearCharges = sumCharges(calculateAnnualCharges(householdPot, annualCharge, plan, adviserFee), householdPot);
+      if (householdPot > 0) {
+        pot -= yearCharges * pot / householdPot;
+        partnerPot -= yearCharges * partnerPot / householdPot;
+      }
+      let accountCharges = 0;
+      let investedAccount = 0;
+      accounts.forEach((account, i) => {
+        const accountContribution = getAccountContribution(account, plan, year);
+        const accountReturn = isInvested(account) ? accountReturns[investedAccount++] : account.interestRate;
+        const grown = Math.max(0, (accountBalances[i] + accountContribution) * (1 + accountReturn));
+        const accountCharge = isInvested(account) ? grown * plan.fundCatalogue[account.fund].annualCharge : 0;
+        accountBalances[i] = grown - accountCharge;
+        accountCosts[i] += accountContribution;
+        accountCharges += accountCharge;
+      });
+      charges += yearCharges + accountCharges;
+      realCharges += (yearCharges + accountCharges) * getDeflator(plan.inflationRate, year + 1);
+      yearlyBalances.push(pot + partnerPot + sumPots(accountBalances));
+      salary *= (1 + plan.earningsGrowthRate);
+      partnerSalary *= (1 + plan.earningsGrowthRate);
+      adviserFee *= (1 + plan.inflationRate);
+    }
+    const total = pot + partnerPot + sumPots(accountBalances);
+    const pensions = total - accounts.reduce((sum, account, i) => sum + (SAVINGS_ACCOUNT_TYPES.includes(account.type) ? accountBalances[i] : 0), 0);
+    const savings = accounts.flatMap((account, i) => (SAVINGS_ACCOUNT_TYPES.includes(account.type)
+      ? [{ share: total > 0 ? accountBalances[i] / total : 0, costRatio: accountBalances[i] > 0 ? accountCosts[i] / accountBalances[i] : 1 }]
+      : []));
+    return { balances: yearlyBalances, charges, realCharges, partnerShare: pensions > 0 ? partnerPot / pensions : 0, savings };
+  };
+};
+
+// Summarises accumulation runs into percentiles by year
+const summariseAccumulation = (plan, runs) => {
+  const percentiles = sortByYear(runs.map((run) => run.balances), plan.retirementAge - plan.age);
+
+  const p25 = percentiles.map((row) => getPercentile(row, 0.25));
+  const p50 = percentiles.map((row) => getPercentile(row, 0.5));
+  const p75 = percentiles.map((row) => getPercentile(row, 0.75));
+  // Final pot of every run, the partner's share of its pensions and how much of it is in each savings
+  // account, used to seed the stochastic decumulation
+  const finalPots = runs.map((run) => run.balances[run.balances.length - 1]);
+  const finalPartnerShares = runs.map((run) => run.partnerShare);
+  const finalSavings = runs.map((run) => run.savings);
+  const chargesP50 = getPercentile(runs.map((run) => run.charges).sort((a, b) => a - b), 0.5);
+  const realChargesP50 = getPercentile(runs.map((run) => run.realCharges).sort((a, b) => a - b), 0.5);
+  const partnerShareP50 = getPercentile([...finalPartnerShares].sort((a, b) => a - b), 0.5);
+  const medianOf = (values) => (values.length ? getPercentile([...values].sort((a, b) => a - b), 0.5) : 0);
+  const savingsP50 = getSavingsAccounts(plan).map((_, i) => ({
+    share: medianOf(finalSavings.map((savings) => savings[i].share)),
+    costRatio: medianOf(finalSavings.map((savings) => savings[i].costRatio)),
+  }));
+
+  return { p25, p50, p75, finalPots, finalPartnerShares, finalSavings, chargesP50, realChargesP50, partnerShareP50, savingsP50 };
+};
+
+// Simulates the accumulation phase until retirement (see createAccumulationRun)
+export const simulateAccumulation = (plan, { simulations = DEFAULT_SIMULATIONS, random = Math.random } = {}) => {
+  const run = createAccumulationRun(plan);
+  return summariseAccumulation(plan, Array.from({ length: simulations }, () => run(random)));
+};
+
+// Most that can be drawn from the pension in a month, under the personal allowance withdrawal order,
+// before income tax is due: what is left of the personal allowance of each member alive after their
+// other income, grossed up for the tax-free part of each withdrawal under UFPLS
+const getPensionAllowanceRoom = (plan, months, incomeElsewhere, membersAlive) => {
+  const { personalAllowance } = getTaxThresholds(plan.taxThresholds, plan.taxThresholdIndexing, plan.inflationRate, plan.retirementAge - plan.age + Math.floor(months / 12));
+  const taxablePart = plan.taxFreeCash === "ufpls" ? 1 - TAX_FREE_PROPORTION : 1;
+  return Math.max(0, personalAllowance * membersAlive / 12 - incomeElsewhere) / taxablePart;
+};
+
+// Simulates the decumulation phase month by month from the household's total wealth, drawing on the pension and
+// savings in the plan's withdrawal order, at mean returns or as drawn by stochastic or history, to the horizon age or until both have died.
+export const simulateDecumulation = (plan, startingPot, { stochastic = false, random = Math.random, history = null, partnerShare: startingPartnerShare = 0, deathAges = null, savings: startingSavings = [] } = {}) => {
+  if (!startingPot || isNaN(startingPot) || startingPot <= 0)
+    return { funds: [Array(12).fill(0)], savings: [], withdrawals: [0], annualWithdrawals: [0], partnerWithdrawals: [0], partnerAnnualWithdrawals: [0], savingsWithdrawals: [0], annualSavingsWithdrawals: [0], capitalGainsMonthlyValues: [0], statePensionMonthlyValues: [0], statePensionAnnualValues: [0], partnerStatePensionMonthlyValues: [0], partnerStatePensionAnnualValues: [0], otherIncomeMonthlyValues: [0], otherIncomeAnnualValues: [0], annuityMonthlyValues: [0], annuityAnnualValues: [0], definedBenefitMonthlyValues: [0], definedBenefitAnnualValues: [0], annuity: null, depletionMonth: 0, deathMonths: { primary: Infinity, partner: Infinity }, lumpSum: 0, totalCharges: 0, totalRealCharges: 0, adjustments: [] };
+
+  // Savings held outside the pension, and what was paid into each
+  const savingsAccounts = getSavingsAccounts(plan).map((account, i) => ({ ...account, ...startingSavings[i] }));
+  const savingsBalances = savingsAccounts.map((account) => startingPot * (account.share || 0));
+  const savingsCosts = savingsAccounts.map((account, i) => savingsBalances[i] * (account.costRatio ?? 1));
+  const investedSavings = savingsAccounts.filter(isInvested);
+  const pensionPot = startingPot - sumPots(savingsBalances);
+
+  // A pension commencement lump sum leaves the pot before drawdown starts
+  const lumpSum = plan.taxFreeCash === "pcls" ? getPensionCommencementLumpSum(pensionPot) : 0;
+  const drawdownPot = pensionPot - lumpSum;
+  const numFunds = plan.funds.length;
+  const pots = Array(numFunds).fill(drawdownPot / numFunds);
+  // Returns are drawn for the pension's funds followed by the funds of invested savings
+  const allFunds = [...plan.funds, ...investedSavings.map((account) => account.fund)];
+  const returns = allFunds.map((fund) => plan.fundCatalogue[fund].return / 12);
+  const historicalMonthlyReturns = history && history.map((year) => year.expected ? returns :
+    allFunds.map((fund) => Math.pow(1 + getHistoricalFundReturn(plan.fundCatalogue[fund], year), 1 / 12) - 1));
+  const drawReturns = history ? (_, month) => historicalMonthlyReturns[Math.floor(month / 12)]
+    : stochastic ? createReturnModel(plan, allFunds, 12)
+    : () => returns;
+  const monthlyFundCharges = plan.funds.map((fund) => plan.fundCatalogue[fund].annualCharge / 12);
+  const monthlySavingsCharges = savingsAccounts.map((account) => (isInvested(account) ? plan.fundCatalogue[account.fund].annualCharge / 12 : 0));
+  const fundBalances = Array(numFunds).fill([]).map(() => []);
+  const savingsMonthlyBalances = savingsAccounts.map(() => []);
+  const definedBenefitAccounts = plan.accounts.filter((account) => account.type === "definedBenefit");
+  const liquidWealth = () => sumPots(pots) + sumPots(savingsBalances);
+  // Takes a withdrawal from the first (low risk) fund, and any shortfall from the other funds in proportion to their balances
+  const takeFromPension = (amount) => {
+    const fromFirst = Math.min(amount, pots[0]);
+    pots[0] -= fromFirst;
+    const rest = sumPots(pots.slice(1));
+    const share = rest > 0 ? Math.min(1, (amount - fromFirst) / rest) : 0;
+    for (let i = 1; i < numFunds; i++) pots[i] -= pots[i] * share;
+  };
+
+  // An annuity bought with a share of the pot pays a guaranteed income from the month of purchase
+  const annuityStartMonth = plan.annuityShare > 0 ? Math.max(0, Math.round((plan.annuityAge - plan.retirementAge) * 12)) : null;
+  let annuity = null;
+  let currentAnnuityMonthly = 0;
+  const buyAnnuity = () => {
+    const price = sumPots(pots) * plan.annuityShare;
+    for (let i = 0; i < numFunds; i++) pots[i] *= 1 - plan.annuityShare;
+    const age = plan.retirementAge + annuityStartMonth / 12;
+    annuity = { age, price, annualIncome: price * getAnnuityRate(plan, age) };
+    currentAnnuityMonthly = annuity.annualIncome / 12;
+  };
+  // Bought at retirement, the annuity comes out before drawdown is sized
+  if (annuityStartMonth === 0) buyAnnuity();
+  const annuityGuaranteeEndMonth = annuityStartMonth + plan.annuityGuaranteeYears * 12;
+
+  // The partner, if any: their age at retirement, their contributions while still working, and
+  // their state pension from their own State Pension Age
+  const { partner } = plan;
+  const partnerAgeAtRetirement = partner ? getPartnerAge(plan, plan.retirementAge) : 0;
+  const partnerPlan = partner && getPartnerContributionPlan(plan);
+  const partnerRetirementMonth = partner ? Math.round((partner.retirementAge - partnerAgeAtRetirement) * 12) : 0;
+  let partnerSalary = partner ? partner.salary * Math.pow(1 + plan.earningsGrowthRate, plan.retirementAge - plan.age) : 0;
+  let partnerShare = startingPartnerShare;
+  let currentPartnerStatePensionMonthly = partner ? getUpratedStatePension(partner.statePensionAnnual, plan.statePensionUpratingRate, plan.retirementAge - plan.age) / 12 : 0;
+  const partnerStatePensionStartMonth = partner ? Math.max(0, Math.round((partner.statePensionAge - partnerAgeAtRetirement) * 12)) : 0;
+  // Months from retirement at which each member dies, if deaths are simulated
+  const primaryDeathMonth = deathAges ? Math.ceil((deathAges.primary - plan.retirementAge) * 12) : Infinity;
+  const partnerDeathMonth = partner && deathAges ? Math.ceil((deathAges.partner - partnerAgeAtRetirement) * 12) : Infinity;
+
+  const drawdown = createDrawdownStrategy(plan, liquidWealth());
+  // Months from which the drawdown strategy changed income, and how
+  const adjustments = [];
+  const { inflationRate, retirementAge, ageToLowRiskFund: switchAge } = plan;
+  const maxMonths = (plan.horizonAge - retirementAge) * 12;
+  let age = retirementAge;
+  let months = 0;
+  let withdrawals = [];
+  let annualWithdrawals = [];
+  let currentYearWithdrawals = 0;
+  let partnerWithdrawals = [];
+  let partnerAnnualWithdrawals = [];
+  let currentYearPartnerWithdrawals = 0;
+  let savingsWithdrawals = [];
+  let annualSavingsWithdrawals = [];
+  let currentYearSavingsWithdrawals = 0;
+  let capitalGainsMonthlyValues = [];
+  let currentYearPartnerStatePension = 0;
+  let partnerStatePensionMonthlyValues = [];
+  let partnerStatePensionAnnualValues = [];
+  let movedFunds = Array(Math.max(0, numFunds - 1)).fill(false);
+  // State pensions are set in today's money and uprated under the plan's rule until retirement
+  let currentStatePensionMonthly = getUpratedStatePension(plan.statePensionAnnual, plan.statePensionUpratingRate, retirementAge - plan.age) / 12;
+  // State pension is only paid from State Pension Age, which may be after retirement
+  const statePensionStartMonth = Math.max(0, Math.round((plan.statePensionAge - retirementAge) * 12));
+  let currentYearStatePension = 0;
+  let statePensionMonthlyValues = [];
+  let statePensionAnnualValues = [];
+  // Other income (such as a defined benefit pension) is set in today's money and rises with inflation
+  let currentOtherIncomeMonthly = (plan.otherIncomeAnnual / 12) * Math.pow(1 + inflationRate, retirementAge - plan.age);
+  const otherIncomeStartMonth = Math.max(0, Math.round((plan.otherIncomeStartAge - retirementAge) * 12));
+  let currentYearOtherIncome = 0;
+  let otherIncomeMonthlyValues = [];
+  let otherIncomeAnnualValues = [];
+  let currentYearAnnuity = 0;
+  let annuityMonthlyValues = [];
+  let annuityAnnualValues = [];
+  let currentYearDefinedBenefit = 0;
+  let definedBenefitMonthlyValues = [];
+  let definedBenefitAnnualValues = [];
+  let depletionMonth = null;
+  // Adviser fee has risen with inflation since today by the time drawdown starts
+  let currentAdviserFee = plan.adviserFee * Math.pow(1 + inflationRate, retirementAge - plan.age);
+  // Charges paid, also totalled in today's money at the plan's inflation rate
+  let chargesPaid = 0;
+  let realChargesPaid = 0;
+
+  // Adds up the income for the year just ended
+  const recordYear = () => {
+    annualWithdrawals.push(currentYearWithdrawals);
+    partnerAnnualWithdrawals.push(currentYearPartnerWithdrawals);
+    statePensionAnnualValues.push(currentYearStatePension);
+    partnerStatePensionAnnualValues.push(currentYearPartnerStatePension);
+    otherIncomeAnnualValues.push(currentYearOtherIncome);
+    annuityAnnualValues.push(currentYearAnnuity);
+    annualSavingsWithdrawals.push(currentYearSavingsWithdrawals);
+    definedBenefitAnnualValues.push(currentYearDefinedBenefit);
+    currentYearWithdrawals = 0;
+    currentYearPartnerWithdrawals = 0;
+    currentYearSavingsWithdrawals = 0;
+    currentYearDefinedBenefit = 0;
+    currentYearStatePension = 0;
+    currentYearPartnerStatePension = 0;
+    currentYearOtherIncome = 0;
+    currentYearAnnuity = 0;
+  };
+
+  while (liquidWealth() > 0 && months < maxMonths) {
+    const primaryAlive = months < primaryDeathMonth;
+    const partnerAlive = Boolean(partner) && months < partnerDeathMonth;
+    if (!primaryAlive && !partnerAlive) {
+      if (months % 12 !== 0) recordYear();
+      break;
+    }
+    // A survivor owns the whole pot
+    if (!primaryAlive) partnerShare = 1;
+    else if (!partnerAlive) partnerShare = 0;
+    const widowed = Boolean(partner) && !(primaryAlive && partnerAlive);
+
+    const statePensionPaid = months >= statePensionStartMonth ? currentStatePensionMonthly * (primaryAlive ? 1 : plan.survivorStatePensionShare) : 0;
+    currentYearStatePension += statePensionPaid;
+    const partnerStatePensionPaid = partner && months >= partnerStatePensionStartMonth ? currentPartnerStatePensionMonthly * (partnerAlive ? 1 : plan.survivorStatePensionShare) : 0;
+    currentYearPartnerStatePension += partnerStatePensionPaid;
+    const otherIncomePaid = months >= otherIncomeStartMonth ? currentOtherIncomeMonthly * (primaryAlive ? 1 : plan.survivorPensionShare) : 0;
+    currentYearOtherIncome += otherIncomePaid;
+    if (months === annuityStartMonth && months > 0 && primaryAlive) buyAnnuity();
+    // Once the annuitant has died the annuity pays in full to the end of any guarantee period, then only a joint life share
+    const annuityPaid = !annuity ? 0
+      : primaryAlive || months < annuityGuaranteeEndMonth ? currentAnnuityMonthly
+      : plan.annuityLife === "joint" ? currentAnnuityMonthly * plan.annuityJointProportion
+      : 0;
+    currentYearAnnuity += annuityPaid;
+    const definedBenefitPaid = definedBenefitAccounts.reduce((sum, account) => sum + getDefinedBenefitIncome(account, plan, retirementAge + months / 12) / 12, 0)
+      * (primaryAlive ? 1 : plan.survivorPensionShare);
+    currentYearDefinedBenefit += definedBenefitPaid;
+
+    // A partner still working pays into the pot, adding to their share of it
+    if (partnerAlive && months < partnerRetirementMonth) {
+      const contribution = calculateContributions(partnerPlan, partnerSalary).total / 12;
+      const pot = sumPots(pots);
+      for (let i = 0; i < numFunds; i++) pots[i] += pot > 0 ? contribution * pots[i] / pot : contribution / numFunds;
+      partnerShare = (partnerShare * pot + contribution) / (pot + contribution);
+    }
+
+    // A survivor spends a share of the household drawdown, and the spending profile sets the share spent
+    // at each age. Income from elsewhere is scaled up by the same share when sizing it, so a target income
+    // falls by that share too.
+    const spending = (widowed ? plan.survivorSpendingShare : 1) * getSpendingMultiplier(plan, age);
+    const incomeElsewhere = statePensionPaid + partnerStatePensionPaid + otherIncomePaid + annuityPaid + definedBenefitPaid;
+    const isDueThisMonth = (event) => getLifeEventMonth(plan, event) === months;
+    const lifeEventLumpSum = sumLifeEventAmounts(plan, "lumpSum", isDueThisMonth);
+    if (lifeEventLumpSum > 0) {
+      const pot = sumPots(pots);
+      for (let i = 0; i < numFunds; i++) pots[i] += pot > 0 ? lifeEventLumpSum * pots[i] / pot : lifeEventLumpSum / numFunds;
+      partnerShare = partnerShare * pot / (pot + lifeEventLumpSum);
+    }
+    const drawdownAmount = spending > 0 ? spending * drawdown.withdrawal(liquidWealth(), incomeElsewhere / spending) : 0;
+    const amount = drawdownAmount + sumLifeEventAmounts(plan, "withdrawal", isDueThisMonth);
+    const split = splitWithdrawal(
+      amount,
+      sumPots(pots),
+      savingsAccounts.map((account, i) => ({ type: account.type, balance: savingsBalances[i] })),
+      plan.withdrawalOrder,
+      plan.withdrawalOrder === "personalAllowance" ? getPensionAllowanceRoom(plan, months, incomeElsewhere, Number(primaryAlive) + Number(partnerAlive)) : Infinity
+    );
+    const withdrawal = split.pension;
+    takeFromPension(withdrawal);
+    currentYearWithdrawals += withdrawal;
+    currentYearPartnerWithdrawals += withdrawal * partnerShare;
+    // Taking money out of a general investment account realises the gain on that part of it
+    let capitalGains = 0;
+    split.savings.forEach((taken, i) => {
+      if (taken <= 0) return;
+      const costTaken = savingsCosts[i] * taken / savingsBalances[i];
+      if (savingsAccounts[i].type === "gia") capitalGains += Math.max(0, taken - costTaken);
+      savingsCosts[i] -= costTaken;
+      savingsBalances[i] -= taken;
+    });
+    const savingsWithdrawal = sumPots(split.savings);
+    currentYearSavingsWithdrawals += savingsWithdrawal;
+
+    const monthlyReturns = drawReturns(random, months);
+    for (let i = 0; i < numFunds; i++) {
+      pots[i] = Math.max(0, pots[i] * (1 + monthlyReturns[i]));
+    }
+    // Savings grow in their own funds, or at the interest rate for cash, less their fund charge
+    let investedSaving = numFunds;
+    savingsAccounts.forEach((account, i) => {
+      const monthlyReturn = isInvested(account) ? monthlyReturns[investedSaving++] : account.interestRate / 12;
+      const grown = Math.max(0, savingsBalances[i] * (1 + monthlyReturn));
+      const charge = grown * monthlySavingsCharges[i];
+      savingsBalances[i] = grown - charge;
+      chargesPaid += charge;
+      realChargesPaid += charge * getDeflator(inflationRate, retirementAge - plan.age + (months + 1) / 12);
+    });
+
+    // Fund charges come off each fund; platform and adviser fees are shared pro rata across funds
+    const potBeforeCharges = sumPots(pots);
+    if (potBeforeCharges > 0) {
+      const sharedCharges = calculatePlatformFee(potBeforeCharges, plan.platformFeeTiers) / 12 + currentAdviserFee / 12;
+      for (let i = 0; i < numFunds; i++) {
+        const charge = pots[i] * monthlyFundCharges[i] + sharedCharges * pots[i] / potBeforeCharges;
+        pots[i] = Math.max(0, pots[i] - charge);
+      }
+      chargesPaid += potBeforeCharges - sumPots(pots);
+      realChargesPaid += (potBeforeCharges - sumPots(pots)) * getDeflator(inflationRate, retirementAge - plan.age + (months + 1) / 12);
+    }
+
+    // Rebalance equally across the funds still holding money at each year end
+    if (months % 12 === 11) {
+      const activeFunds = pots.filter((pot) => pot > 0).length;
+      if (activeFunds > 1) {
+        const total = sumPots(pots);
+        const activePots = pots.map((pot) => (pot > 0 ? total / activeFunds : 0));
+        for (let i = 0; i < numFunds; i++) {
+          pots[i] = activePots[i];
+        }
+      }
+    }
+
+    // Top up the first fund from the next one when it can no longer cover a year of withdrawals
+    for (let i = 0; i < numFunds - 1; i++) {
+      if (pots[0] < withdrawal * 12 && !movedFunds[i] && pots[i + 1] > 0) {
+        pots[0] += pots[i + 1];
+        pots[i + 1] = 0;
+        movedFunds[i] = true;
+        break;
+      }
+    }
+
+    // Consolidate everything into the first (low risk) fund from the switch age
+    if (age >= switchAge && pots.slice(1).some((pot) => pot > 0)) {
+      pots[0] += sumPots(pots.slice(1));
+      for (let i = 1; i < numFunds; i++) pots[i] = 0;
+      movedFunds.fill(true);
+    }
+
+    if (months % 12 === 11) {
+      recordYear();
+      const yearInflation = history ? history[Math.floor(months / 12)].inflation : inflationRate;
+      const nextSpending = (widowed ? plan.survivorSpendingShare : 1) * getSpendingMultiplier(plan, age + 1);
+      const adjustment = drawdown.review(liquidWealth(), yearInflation, nextSpending);
+      if (adjustment && months + 1 < maxMonths) adjustments.push({ month: months + 1, type: adjustment });
+      currentAdviserFee *= (1 + yearInflation);
+      currentOtherIncomeMonthly *= (1 + yearInflation);
+      if (annuity) currentAnnuityMonthly *= 1 + getAnnuityEscalationRate(plan, yearInflation);
+      // Uprate the state pension if included, including the years before it starts.
+      // Historically, earnings are taken to beat inflation by the plan's real earnings growth.
+      if (plan.statePensionAnnual > 0 || currentPartnerStatePensionMonthly > 0) {
+        const upratingRate = history
+          ? getStatePensionUpratingRate(plan.statePensionUprating, {
+            inflationRate: yearInflation,
+            earningsGrowthRate: yearInflation + plan.earningsGrowthRate - inflationRate,
+            customRate: plan.statePensionUpratingRate,
+          })
+          : plan.statePensionUpratingRate;
+        currentStatePensionMonthly *= (1 + upratingRate);
+        currentPartnerStatePensionMonthly *= (1 + upratingRate);
+      }
+      partnerSalary *= (1 + plan.earningsGrowthRate);
+    }
+
+    for (let i = 0; i < numFunds; i++) {
+      fundBalances[i].push(pots[i]);
+    }
+    savingsBalances.forEach((balance, i) => savingsMonthlyBalances[i].push(balance));
+    withdrawals.push(withdrawal);
+    partnerWithdrawals.push(withdrawal * partnerShare);
+    savingsWithdrawals.push(savingsWithdrawal);
+    capitalGainsMonthlyValues.push(capitalGains);
+    definedBenefitMonthlyValues.push(definedBenefitPaid);
+    statePensionMonthlyValues.push(statePensionPaid);
+    partnerStatePensionMonthlyValues.push(partnerStatePensionPaid);
+    otherIncomeMonthlyValues.push(otherIncomePaid);
+    annuityMonthlyValues.push(annuityPaid);
+
+    if (liquidWealth() < 1) {
+      if (currentYearWithdrawals + currentYearSavingsWithdrawals > 0) {
+        annualWithdrawals.push(currentYearWithdrawals);
+        partnerAnnualWithdrawals.push(currentYearPartnerWithdrawals);
+        annualSavingsWithdrawals.push(currentYearSavingsWithdrawals);
+      }
+      depletionMonth = months;
+      break;
+    }
+
+    months++;
+    age = retirementAge + Math.floor(months / 12);
+  }
+
+  return {
+    funds: fundBalances,
+    savings: savingsMonthlyBalances,
+    withdrawals,
+    annualWithdrawals,
+    partnerWithdrawals,
+    partnerAnnualWithdrawals,
+    savingsWithdrawals,
+    annualSavingsWithdrawals,
+    capitalGainsMonthlyValues,
+    statePensionMonthlyValues,
+    statePensionAnnualValues,
+    partnerStatePensionMonthlyValues,
+    partnerStatePensionAnnualValues,
+    otherIncomeMonthlyValues,
+    otherIncomeAnnualValues,
+    annuityMonthlyValues,
+    annuityAnnualValues,
+    definedBenefitMonthlyValues,
+    definedBenefitAnnualValues,
+    annuity,
+    depletionMonth,
+    deathMonths: { primary: primaryDeathMonth, partner: partnerDeathMonth },
+    lumpSum,
+    totalCharges: chargesPaid,
+    totalRealCharges: realChargesPaid,
+    adjustments,
+  };
+};
+
+// Total of a decumulation run's pension funds and savings at the end of a month
+const getWealthAtMonth = (run, month) =>
+  [...run.funds, ...run.savings].reduce((sum, balances) => sum + (balances[month] || 0), 0);
+
+// Creates one stochastic decumulation run, giving the pot (pension and savings) at the end of each year
+// of retirement (zero once depleted) and the age the pot ran out, or Infinity if it lasted. For a couple each run
+// also draws both members' ages at death, and years after both have died have no pot (null).
+const createDecumulationRun = (plan) => {
+  const { retirementAge } = plan;
+  const drawDeathAges = plan.partner ? createDeathAgeSampler(plan) : () => null;
+
+  return (startingPot, random, partnerShare = 0, savings = []) => {
+    const run = simulateDecumulation(plan, startingPot, { stochastic: true, random, partnerShare, deathAges: drawDeathAges(random), savings });
+    const endMonth = Math.max(run.deathMonths.primary, run.deathMonths.partner);
+    const potsByYear = Array.from({ length: plan.horizonAge - retirementAge }, (_, year) => {
+      const month = year * 12 + 11;
+      if (run.depletionMonth !== null && month >= run.depletionMonth) return 0;
+      if (month >= endMonth) return null;
+      return getWealthAtMonth(run, month);
+    });
+    return { potsByYear, depletionAge: run.depletionMonth !== null ? retirementAge + run.depletionMonth / 12 : Infinity };
+  };
+};
+
+// Chance of outliving the money. When runs simulate deaths, a pot can only run out while someone is
+// alive, so this is the share of runs whose pot ran out. Otherwise each run that ran out is weighted by
+// the probability that someone in the household, alive at retirement, is still alive at that age.
+const getProbabilityOfOutliving = (plan, depletionAges, deathsSimulated) => {
+  if (deathsSimulated) return depletionAges.filter((age) => age !== Infinity).length / depletionAges.length;
+  const survival = createHouseholdSurvival(plan);
+  const alive = depletionAges.map((age) => (age === Infinity ? 0 : survival(age - plan.retirementAge)));
+  return alive.reduce((sum, probability) => sum + probability, 0) / depletionAges.length;
+};
+
+// Summarises stochastic decumulation runs into percentile bands (of the runs with someone still alive),
+// the probability of ruin and of someone in the household being alive by age, and the chance of
+// outliving the money
+const summariseDecumulationRuns = (plan, runs) => {
+  const { retirementAge } = plan;
+  const years = plan.horizonAge - retirementAge;
+  const depletionAges = runs.map((run) => run.depletionAge);
+
+  const percentiles = sortByYear(runs.map((run) => run.potsByYear), years);
+  const bands = {
+    p10: percentiles.map((row) => getPercentile(row, 0.1)),
+    p25: percentiles.map((row) => getPercentile(row, 0.25)),
+    p50: percentiles.map((row) => getPercentile(row, 0.5)),
+    p75: percentiles.map((row) => getPercentile(row, 0.75)),
+    p90: percentiles.map((row) => getPercentile(row, 0.9)),
+  };
+
+  // Share of runs whose pot has run out before reaching each age
+  const ages = Array.from({ length: years }, (_, i) => retirementAge + i + 1);
+  const probabilityOfRuin = ages.map(
+    (age) => depletionAges.filter((depletionAge) => depletionAge < age).length / depletionAges.length
+  );
+
+  const survival = createHouseholdSurvival(plan);
+  const probabilityAlive = ages.map((age) => survival(age - retirementAge));
+
+  const medianDepletionAge = getPercentile([...depletionAges].sort((a, b) => a - b), 0.5);
+
+  return {
+    ages,
+    bands,
+    probabilityOfRuin,
+    probabilityAlive,
+    probabilityOfOutliving: getProbabilityOfOutliving(plan, depletionAges, Boolean(plan.partner)),
+    medianDepletionAge,
+  };
+};
+
+// Runs a stochastic decumulation from every accumulation outcome (with, for a couple, the partner's
+// share of each, and the savings held in each) and summarises the spread by age
+export const simulateDecumulationMonteCarlo = (plan, startingPots, { random = Math.random, partnerShares = [], savingsByRun = [] } = {}) => {
+  const run = createDecumulationRun(plan);
+  return summariseDecumulationRuns(plan, startingPots.map((startingPot, i) => run(startingPot, random, partnerShares[i], savingsByRun[i])));
+};
+
+// Runs the decumulation through every rolling start year of the bundled market history, from the
+// same starting pot (and savings held in it), and ranks the cohorts from worst to best. Pots are shown
+// in money of the retirement year (deflated by each cohort's own inflation) so cohorts can be compared.
+export const simulateHistoricalCohorts = (plan, startingPot, { savings = [] } = {}) => {
+  const { retirementAge } = plan;
+  const years = plan.horizonAge - retirementAge;
+  const ages = Array.from({ length: years }, (_, i) => retirementAge + i + 1);
+
+  const cohorts = HISTORICAL_YEARS.map((startYear, index) => {
+    const history = getCohortYears(index, years);
+    const run = simulateDecumulation(plan, startingPot, { history, savings });
+    let priceLevel = 1;
+    const realPots = history.map((year, i) => {
+      priceLevel *= 1 + year.inflation;
+      const month = i * 12 + 11;
+      if (run.depletionMonth !== null && month >= run.depletionMonth) return 0;
+      return getWealthAtMonth(run, month) / priceLevel;
+    });
+    return {
+      startYear: startYear.year,
+      wrapped: index + years > HISTORICAL_YEARS.length,
+      depletionAge: run.depletionMonth !== null ? retirementAge + run.depletionMonth / 12 : Infinity,
+      finalRealPot: realPots[realPots.length - 1],
+      realPots,
+    };
+  });
+
+  // Earlier depletion is worse; cohorts that last to the horizon are ranked by what is left
+  const ranked = [...cohorts].sort((a, b) => a.depletionAge - b.depletionAge || a.finalRealPot - b.finalRealPot);
+  const failedCohorts = cohorts.filter((cohort) => cohort.depletionAge !== Infinity);
+  const depletionAges = cohorts.map((cohort) => cohort.depletionAge).sort((a, b) => a - b);
+
+  return {
+    ages,
+    cohorts,
+    worst: ranked[0],
+    median: getPercentile(ranked, 0.5),
+    best: ranked[ranked.length - 1],
+    failedStartYears: failedCohorts.map((cohort) => cohort.startYear),
+    probabilityOfRuin: failedCohorts.length / cohorts.length,
+    probabilityOfOutliving: getProbabilityOfOutliving(plan, cohorts.map((cohort) => cohort.depletionAge), false),
+    medianDepletionAge: getPercentile(depletionAges, 0.5),
+  };
+};
+
+// Runs the decumulation from one starting pot through each of the plan's stress tests and, as the base
+// case, at expected returns. Options are passed on to simulateDecumulation. As with historical cohorts,
+// wealth is shown in money of the retirement year, deflated by each path's own inflation, and so is the
+// total taken from the pension and savings.
+export const simulateStressTests = (plan, startingPot, options = {}) => {
+  const { retirementAge } = plan;
+  const years = Math.ceil(plan.horizonAge - retirementAge);
+  const ages = Array.from({ length: years }, (_, i) => retirementAge + i + 1);
+
+  const runPath = (history) => {
+    const run = simulateDecumulation(plan, startingPot, { ...options, history });
+    let priceLevel = 1;
+    let realWithdrawals = 0;
+    const realPots = ages.map((_, i) => {
+      priceLevel *= 1 + (history ? history[i].inflation : plan.inflationRate);
+      realWithdrawals += ((run.annualWithdrawals[i] ?? 0) + (run.annualSavingsWithdrawals[i] ?? 0)) / priceLevel;
+      const month = i * 12 + 11;
+      if (run.depletionMonth !== null && month >= run.depletionMonth) return 0;
+      return getWealthAtMonth(run, month) / priceLevel;
+    });
+    return {
+      depletionAge: run.depletionMonth !== null ? retirementAge + run.depletionMonth / 12 : Infinity,
+      finalRealPot: realPots[realPots.length - 1],
+      realWithdrawals,
+      realPots,
+    };
+  };
+
+  return {
+    ages,
+    base: runPath(null),
+    tests: getStressTests(plan).map((test) => ({ test, ...runPath(getStressTestYears(plan, test)) })),
+  };
+};
+
+// Runs the whole plan: the accumulation phase, then the range of outcomes in retirement, either from
+// every accumulation run (mode "monteCarlo") or from every historical start year using the median pot
+// (mode "historical"), then the projection and stress tests of the median pot. Runs go in batches, and
+// after each batch onProgress receives the stage, the runs completed and the total; every previewEvery
+// batches before a stage ends it also gets the percentiles so far (result), so a caller can stream partial
+// results without summarising every batch. onAccumulation receives the finished accumulation summary.
+// Returns { accumulation, outcomes, deathAges, projection, stressTests }: accumulation and outcomes as from
+// simulateAccumulation and simulateDecumulationMonteCarlo or simulateHistoricalCohorts, and the median
+// pot's simulateDecumulation and simulateStressTests, with a couple each dying at their median age
+// (deathAges, null for one person).
+export const simulatePlan = (plan, { simulations = DEFAULT_SIMULATIONS, mode = "monteCarlo", random = Math.random, batches = 10, previewEvery = 2 } = {}, onProgress = () => {}, onAccumulation = () => {}) => {
+  const batchSize = Math.ceil(simulations / batches);
+  const total = mode === "historical" ? simulations : simulations * 2;
+  // Partial percentiles for a stage's batch, when one is due
+  const preview = (runs, summarise) => (runs.length < simulations && (runs.length / batchSize) % previewEvery === 0 ? { result: summarise(runs) } : {});
+
+  const runAccumulation = createAccumulationRun(plan);
+  const accumulationRuns = [];
+  while (accumulationRuns.length < simulations) {
+    const count = Math.min(batchSize, simulations - accumulationRuns.length);
+    for (let i = 0; i < count; i++) accumulationRuns.push(runAccumulation(random));
+    onProgress({ stage: "accumulation", completed: accumulationRuns.length, total, ...preview(accumulationRuns, (runs) => summariseAccumulation(plan, runs)) });
+  }
+  const accumulation = summariseAccumulation(plan, accumulationRuns);
+  onAccumulation(accumulation);
+  const medianPot = accumulation.p50[accumulation.p50.length - 1];
+
+  let outcomes;
+  if (mode === "historical") {
+    outcomes = simulateHistoricalCohorts(plan, medianPot, { savings: accumulation.savingsP50 });
+  } else {
+    const runDecumulation = createDecumulationRun(plan);
+    const decumulationRuns = [];
+    while (decumulationRuns.length < simulations) {
+      const count = Math.min(batchSize, simulations - decumulationRuns.length);
+      for (let i = 0; i < count; i++) {
+        const run = decumulationRuns.length;
+        decumulationRuns.push(runDecumulation(accumulation.finalPots[run], random, accumulation.finalPartnerShares[run], accumulation.finalSavings[run]));
+      }
+      onProgress({ stage: "outcomes", completed: simulations + decumulationRuns.length, total, ...preview(decumulationRuns, (runs) => summariseDecumulationRuns(plan, runs)) });
+    }
+    outcomes = summariseDecumulationRuns(plan, decumulationRuns);
+  }
+
+  const deathAges = plan.partner ? getMedianDeathAges(plan) : null;
+  const medianOptions = { partnerShare: accumulation.partnerShareP50, deathAges, savings: accumulation.savingsP50 };
+  return {
+    accumulation,
+    outcomes,
+    deathAges,
+    projection: simulateDecumulation(plan, medianPot, medianOptions),
+    stressTests: simulateStressTests(plan, medianPot, medianOptions),
+  };
+};
@@ -0,0 +1,657 @@
+import { describe, it, expect } from "vitest";
+import { simulateAccumulation, simulateDecumulation, simulateDecumulationMonteCarlo, simulateHistoricalCohorts, simulatePlan, simulateStressTests } from "./simulation";
+import { HISTORICAL_YEARS } from "./historical";
+import { createSeededRandom } from "./random";
+import { createLifeTable } from "./mortality";
+import { DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATIONS, toCorrelationData, toFundData } from "./funds";
+
+// With the uniform return model, a random source of 0.5 makes every return equal to the fund's mean
+const meanRandom = () => 0.5;
+
+const basePlan = (overrides = {}) => ({
+  age: 60,
+  salary: 30000,
+  currentPot: 10000,
+  employeeContributionRate: 0.1,
+  employerContributionRate: 0,
+  contributionBasis: "fullSalary",
+  taxReliefMethod: "netPay",
+  retirementAge: 65,
+  fundSelection: "Future Advantage 5",
+  fundCatalogue: toFundData(DEFAULT_FUND_CATALOGUE),
+  fundCorrelations: toCorrelationData(DEFAULT_FUND_CATALOGUE, DEFAULT_FUND_CORRELATIONS),
+  returnModel: "uniform",
+  returnDegreesOfFreedom: 5,
+  lifestyling: "none",
+  lifestylingTargetFund: "Future Advantage 2",
+  lifestylingYears: 0,
+  inflationRate: 0,
+  earningsGrowthRate: 0,
+  funds: ["Future Advantage 1"],
+  ageToLowRiskFund: 65,
+  sex: "male",
+  birthYear: 1960,
+  health: "average",
+  horizonAge: 100,
+  drawdownType: "fixed",
+  drawdownPercentage: 0,
+  drawdownFixed: 1000,
+  drawdownInitialPotPercentage: 0,
+  guardrailInitialRate: 0.05,
+  guardrailUpperLimit: 0.2,
+  guardrailLowerLimit: 0.2,
+  guardrailAdjustment: 0.1,
+  statePensionAnnual: 0,
+  statePensionAge: 65,
+  statePensionUprating: "cpi",
+  statePensionUpratingRate: 0,
+  targetIncomeAnnual: 0,
+  otherIncomeAnnual: 0,
+  otherIncomeStartAge: 65,
+  annuityShare: 0,
+  annuityAge: 65,
+  annuityType: "level",
+  annuityPricing: "rates",
+  annuityRate: 0.06,
+  taxFreeCash: "ufpls",
+  platformFeeTiers: [{ upTo: Infinity, rate: 0 }],
+  adviserFee: 0,
+  accounts: [],
+  withdrawalOrder: "pensionFirst",
+  lifeEvents: [],
+  spendingProfile: [],
+  stressTestSequence: [],
+  ...overrides,
+});
+
+describe("simulateAccumulation", () => {
+  it("adds contributions and grows the pot at the fund's mean return", () => {
+    const { p25, p50, p75 } = simulateAccumulation(basePlan({ age: 63 }), { simulations: 10, random: meanRandom });
+    expect(p50[0]).toBeCloseTo((10000 + 3000) * 1.053);
+    expect(p50[1]).toBeCloseTo((13689 + 3000) * 1.053);
+    expect(p25).toEqual(p50);
+    expect(p75).toEqual(p50);
+  });
+
+  it("grows salary, and so contributions, with earnings growth", () => {
+    const plan = basePlan({ age: 63, currentPot: 0, inflationRate: 0.5, earningsGrowthRate: 0.1 });
+    const { p50 } = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    expect(p50[1]).toBeCloseTo((3000 * 1.053 + 3300) * 1.053);
+  });
+
+  it("adds employer contributions on qualifying earnings", () => {
+    const plan = basePlan({ age: 64, currentPot: 0, employeeContributionRate: 0.05, employerContributionRate: 0.03, contributionBasis: "qualifyingEarnings" });
+    const { p50 } = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    expect(p50[0]).toBeCloseTo((30000 - 6240) * 0.08 * 1.053);
+  });
+
+  it("deducts fund, platform and adviser charges at each year end", () => {
+    const fundCatalogue = { Tracker: { return: 0.05, volatility: 0, annualCharge: 0.01 } };
+    const plan = basePlan({ age: 64, currentPot: 100000, employeeContributionRate: 0, fundSelection: "Tracker", fundCatalogue, platformFeeTiers: [{ upTo: Infinity, rate: 0.002 }], adviserFee: 500 });
+    const { p50, chargesP50 } = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    expect(chargesP50).toBeCloseTo(105000 * 0.012 + 500);
+    expect(p50[0]).toBeCloseTo(105000 - chargesP50);
+  });
+
+  it("also totals charges in today's money", () => {
+    const fundCatalogue = { Tracker: { return: 0.05, volatility: 0, annualCharge: 0.01 } };
+    const plan = basePlan({ age: 64, currentPot: 100000, employeeContributionRate: 0, fundSelection: "Tracker", fundCatalogue, inflationRate: 0.05 });
+    const { chargesP50, realChargesP50 } = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    expect(realChargesP50).toBeCloseTo(chargesP50 / 1.05);
+  });
+
+  it("re-weights the pot into the target fund along the lifestyling glide path", () => {
+    const fundCatalogue = {
+      Growth: { return: 0.06, volatility: 0, annualCharge: 0.004 },
+      Cautious: { return: 0.02, volatility: 0, annualCharge: 0.002 },
+    };
+    const plan = basePlan({ age: 62, currentPot: 100000, employeeContributionRate: 0, fundSelection: "Growth", fundCatalogue, lifestyling: "glidePath", lifestylingTargetFund: "Cautious", lifestylingYears: 2 });
+    const { p50 } = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    const first = 100000 * 1.06 * (1 - 0.004);
+    const second = first * 1.04 * (1 - 0.003);
+    expect(p50[0]).toBeCloseTo(first);
+    expect(p50[1]).toBeCloseTo(second);
+    expect(p50[2]).toBeCloseTo(second * 1.02 * (1 - 0.002));
+  });
+
+  it("returns one final pot per simulation", () => {
+    const { finalPots } = simulateAccumulation(basePlan(), { simulations: 25, random: createSeededRandom(1) });
+    expect(finalPots).toHaveLength(25);
+  });
+
+  it("gives the same results for the same seed", () => {
+    const first = simulateAccumulation(basePlan(), { random: createSeededRandom(42) });
+    const second = simulateAccumulation(basePlan(), { random: createSeededRandom(42) });
+    expect(first).toEqual(second);
+  });
+
+  it("spreads outcomes wider with lognormal returns than the legacy uniform model", () => {
+    const spread = (returnModel) => {
+      const { p25, p75 } = simulateAccumulation(basePlan({ age: 40, returnModel }), { random: createSeededRandom(7) });
+      return p75[p75.length - 1] - p25[p25.length - 1];
+    };
+    expect(spread("lognormal")).toBeGreaterThan(spread("uniform") * 1.4);
+  });
+
+  it("orders the percentiles", () => {
+    const { p25, p50, p75 } = simulateAccumulation(basePlan(), { random: createSeededRandom(7) });
+    expect(p25[4]).toBeLessThan(p50[4]);
+    expect(p50[4]).toBeLessThan(p75[4]);
+  });
+});
+
+describe("simulateDecumulation", () => {
+  it("withdraws a fixed monthly amount", () => {
+    const result = simulateDecumulation(basePlan(), 120000);
+    expect(result.withdrawals[0]).toBe(1000);
+    expect(result.annualWithdrawals[0]).toBeCloseTo(12000);
+    expect(result.funds[0][0]).toBeCloseTo(119000 * (1 + 0.025 / 12));
+  });
+
+  it("withdraws a percentage of the current pot", () => {
+    const result = simulateDecumulation(basePlan({ drawdownType: "percentage", drawdownPercentage: 0.12 }), 100000);
+    expect(result.withdrawals[0]).toBeCloseTo(1000);
+    expect(result.withdrawals[1]).toBeCloseTo(99000 * (1 + 0.025 / 12) * 0.01);
+  });
+
+  it("sets an initial pot drawdown from the starting pot and raises it with inflation", () => {
+    const plan = basePlan({ drawdownType: "initialPot", drawdownInitialPotPercentage: 0.05, inflationRate: 0.02 });
+    const result = simulateDecumulation(plan, 120000);
+    expect(result.withdrawals[0]).toBeCloseTo(500);
+    expect(result.withdrawals[12]).toBeCloseTo(510);
+  });
+
+  it("takes a pension commencement lump sum before drawdown", () => {
+    const result = simulateDecumulation(basePlan({ taxFreeCash: "pcls" }), 160000);
+    expect(result.lumpSum).toBe(40000);
+    expect(result.funds[0][0]).toBeCloseTo(119000 * (1 + 0.025 / 12));
+  });
+
+  it("deducts charges from the pot every month in drawdown", () => {
+    const fundCatalogue = { Cash: { return: 0, volatility: 0, annualCharge: 0.012 } };
+    const plan = basePlan({ funds: ["Cash"], fundCatalogue, drawdownFixed: 0.01, adviserFee: 120 });
+    const result = simulateDecumulation(plan, 100000);
+    expect(result.funds[0][0]).toBeCloseTo(100000 - 0.01 - (100000 - 0.01) * 0.001 - 10);
+    expect(result.totalCharges).toBeGreaterThan(35 * (1200 * 0.5 + 120));
+    expect(result.totalRealCharges).toBeCloseTo(result.totalCharges);
+    expect(simulateDecumulation({ ...plan, inflationRate: 0.03 }, 100000).totalRealCharges).toBeLessThan(result.totalCharges);
+  });
+
+  it("records the month the pot runs out", () => {
+    const result = simulateDecumulation(basePlan(), 5000);
+    expect(result.depletionMonth).toBe(5);
+    expect(result.withdrawals).toHaveLength(6);
+  });
+
+  it("runs to age 100 when the pot lasts", () => {
+    const result = simulateDecumulation(basePlan({ drawdownFixed: 100 }), 1000000);
+    expect(result.depletionMonth).toBeNull();
+    expect(result.withdrawals).toHaveLength(35 * 12);
+  });
+
+  it("moves everything into the first fund at the low risk age", () => {
+    const plan = basePlan({ funds: ["Future Advantage 1", "Future Advantage 5"], ageToLowRiskFund: 70 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.funds[1][59]).toBeGreaterThan(0);
+    expect(result.funds[1][60]).toBe(0);
+  });
+
+  it("pays the state pension and uprates it each year, from today's amount", () => {
+    const plan = basePlan({ statePensionAnnual: 12000, inflationRate: 0.05, statePensionUpratingRate: 0.02 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.statePensionMonthlyValues[0]).toBeCloseTo(1000 * 1.02 ** 5);
+    expect(result.statePensionAnnualValues[0]).toBeCloseTo(12000 * 1.02 ** 5);
+    expect(result.statePensionAnnualValues[1]).toBeCloseTo(12000 * 1.02 ** 6);
+  });
+
+  it("keeps the state pension's value in today's money when retirement is decades away", () => {
+    const plan = basePlan({ age: 30, retirementAge: 67, ageToLowRiskFund: 67, statePensionAnnual: 11960, statePensionAge: 67, inflationRate: 0.025, statePensionUpratingRate: 0.025 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.statePensionAnnualValues[1] * Math.pow(1.025, -(68 - 30))).toBeCloseTo(11960);
+  });
+
+  it("starts the state pension at State Pension Age rather than retirement", () => {
+    const plan = basePlan({ retirementAge: 60, ageToLowRiskFund: 60, statePensionAnnual: 12000, statePensionAge: 66 + 6 / 12 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.statePensionMonthlyValues[77]).toBe(0);
+    expect(result.statePensionMonthlyValues[78]).toBeCloseTo(1000);
+    expect(result.statePensionAnnualValues[5]).toBe(0);
+    expect(result.statePensionAnnualValues[6]).toBeCloseTo(6000);
+  });
+
+  it("pays no state pension when excluded", () => {
+    const result = simulateDecumulation(basePlan(), 1000000);
+    expect(result.statePensionMonthlyValues.every((value) => value === 0)).toBe(true);
+  });
+
+  it("pays other income from its start age and raises it with inflation", () => {
+    const plan = basePlan({ age: 65, inflationRate: 0.05, otherIncomeAnnual: 6000, otherIncomeStartAge: 66 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.otherIncomeMonthlyValues[11]).toBe(0);
+    expect(result.otherIncomeMonthlyValues[12]).toBeCloseTo(525);
+    expect(result.otherIncomeAnnualValues[0]).toBe(0);
+    expect(result.otherIncomeAnnualValues[1]).toBeCloseTo(6300);
+  });
+
+  it("withdraws only the shortfall below a target income", () => {
+    const plan = basePlan({ drawdownType: "targetIncome", targetIncomeAnnual: 24000, statePensionAnnual: 12000, statePensionAge: 66, otherIncomeAnnual: 6000 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.withdrawals[0]).toBeCloseTo(1500);
+    expect(result.withdrawals[12]).toBeCloseTo(500);
+    expect(result.withdrawals[12] + result.statePensionMonthlyValues[12] + result.otherIncomeMonthlyValues[12]).toBeCloseTo(2000);
+  });
+
+  it("nets a target income against the state pension, both kept in today's money, when retirement is years away", () => {
+    const plan = basePlan({ age: 30, retirementAge: 67, ageToLowRiskFund: 67, drawdownType: "targetIncome", targetIncomeAnnual: 24000, statePensionAnnual: 12000, statePensionAge: 67, inflationRate: 0.025, statePensionUpratingRate: 0.025 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.withdrawals[0]).toBeCloseTo(1000 * Math.pow(1.025, 37));
+    expect(result.withdrawals[12]).toBeCloseTo(1000 * Math.pow(1.025, 38));
+  });
+
+  it("buys an annuity with a share of the pot at retirement", () => {
+    const plan = basePlan({ annuityShare: 0.4, annuityType: "rpi", inflationRate: 0.05 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.annuity).toEqual({ age: 65, price: 400000, annualIncome: 24000 });
+    expect(result.funds[0][0]).toBeCloseTo(simulateDecumulation(basePlan({ inflationRate: 0.05 }), 600000).funds[0][0]);
+    expect(result.annuityMonthlyValues[0]).toBeCloseTo(2000);
+    expect(result.annuityMonthlyValues[12]).toBeCloseTo(2100);
+    expect(result.annuityAnnualValues[0]).toBeCloseTo(24000);
+  });
+
+  it("buys an annuity at a later age from the pot left then", () => {
+    const plan = basePlan({ annuityShare: 0.5, annuityAge: 70, drawdownFixed: 0 });
+    const result = simulateDecumulation(plan, 100000);
+    expect(result.annuityMonthlyValues[59]).toBe(0);
+    expect(result.annuity.age).toBe(70);
+    expect(result.annuity.price).toBeCloseTo(result.funds[0][59] / 2);
+    expect(result.annuityMonthlyValues[60]).toBeCloseTo(result.annuity.price * 0.06 / 12);
+  });
+
+  it("counts annuity income towards a target income", () => {
+    const plan = basePlan({ drawdownType: "targetIncome", targetIncomeAnnual: 24000, annuityShare: 0.1 });
+    const result = simulateDecumulation(plan, 1000000);
+    expect(result.withdrawals[0]).toBeCloseTo(2000 - 500);
+  });
+
+  it("reports the months from which a dynamic strategy adjusted income", () => {
+    const fundCatalogue = { Falling: { return: -0.1, volatility: 0, annualCharge: 0 } };
+    const plan = basePlan({ funds: ["Falling"], fundCatalogue, drawdownType: "guardrails" });
+    const result = simulateDecumulation(plan, 100000);
+    const [{ month, type }] = result.adjustments;
+    expect(type).toBe("cut");
+    expect(month % 12).toBe(0);
+    expect(result.withdrawals[month]).toBeCloseTo(result.withdrawals[month - 1] * 0.9);
+    expect(simulateDecumulation(basePlan(), 100000).adjustments).toEqual([]);
+  });
+
+  it("reviews the guardrails on the income spent under the spending profile", () => {
+    const fundCatalogue = { Cash: { return: 0, volatility: 0, annualCharge: 0 } };
+    const plan = basePlan({ funds: ["Cash"], fundCatalogue, drawdownType: "guardrails", spendingProfile: [{ age: 66, multiplier: 0.5 }] });
+    // Half of 5,000 from the 95,000 left is a 2.6% rate, below the lower guardrail of 4%
+    const result = simulateDecumulation(plan, 100000);
+    expect(result.adjustments[0]).toEqual({ month: 12, type: "raise" });
+    expect(result.withdrawals[12]).toBeCloseTo((0.5 * 5000 * 1.1) / 12);
+    expect(simulateDecumulation({ ...plan, spendingProfile: [] }, 100000).adjustments[0].month).toBeGreaterThan(12);
+  });
+
+  it("follows historical returns and inflation when given a history", () => {
+    const fundCatalogue = { Equity: { return: 0.05, volatility: 0.15, annualCharge: 0, equity: 1, bonds: 0 } };
+    const history = Array(35).fill({ year: 2000, equity: 0.12, bonds: 0, cash: 0.01, inflation: 0.1 });
+    const plan = basePlan({ funds: ["Equity"], fundCatalogue, drawdownFixed: 1000, statePensionAnnual: 12000, statePensionUprating: "tripleLock", earningsGrowthRate: 0.01 });
+    const result = simulateDecumulation(plan, 1000000, { history });
+    expect(result.funds[0][0]).toBeCloseTo((1000000 - 1000) * Math.pow(1.12, 1 / 12));
+    expect(result.withdrawals[12]).toBeCloseTo(1100);
+    // Triple lock: earnings at inflation plus 1% real growth
+    expect(result.statePensionMonthlyValues[12]).toBeCloseTo(1000 * 1.11);
+  });
+
+  it("treats an empty pot as depleted at retirement", () => {
+    expect(simulateDecumulation(basePlan(), 0).depletionMonth).toBe(0);
+  });
+});
+
+describe("simulateDecumulationMonteCarlo", () => {
+  it("reports every run as ruined when the pots are empty", () => {
+    const result = simulateDecumulationMonteCarlo(basePlan(), [0, 0, 0], { random: createSeededRandom(1) });
+    expect(result.probabilityOfRuin.every((p) => p === 1)).toBe(true);
+    expect(result.medianDepletionAge).toBe(65);
+    expect(result.probabilityOfOutliving).toBe(1);
+  });
+
+  it("reports no ruin when withdrawals are tiny", () => {
+    const result = simulateDecumulationMonteCarlo(basePlan({ drawdownFixed: 1 }), [500000, 600000], { random: createSeededRandom(1) });
+    expect(result.probabilityOfRuin.every((p) => p === 0)).toBe(true);
+    expect(result.medianDepletionAge).toBe(Infinity);
+    expect(result.probabilityOfOutliving).toBe(0);
+  });
+
+  it("weights running out by the chance of being alive at that age", () => {
+    const result = simulateDecumulationMonteCarlo(basePlan({ funds: ["Cash"], fundCatalogue: { Cash: { return: 0, volatility: 0, annualCharge: 0 } }, fundCorrelations: { Cash: { Cash: 1 } } }), [120000], { random: createSeededRandom(1) });
+    const lifeTable = createLifeTable(basePlan());
+    expect(result.probabilityOfOutliving).toBeCloseTo(lifeTable.survival(65, result.medianDepletionAge - 65));
+    expect(result.probabilityAlive[9]).toBeCloseTo(lifeTable.survival(65, 10));
+    expect(result.probabilityAlive[0]).toBeLessThan(1);
+    expect(result.probabilityAlive[34]).toBeLessThan(result.probabilityAlive[0]);
+  });
+
+  it("runs to the plan's horizon age", () => {
+    const result = simulateDecumulationMonteCarlo(basePlan({ horizonAge: 105 }), [100000], { random: createSeededRandom(1) });
+    expect(result.ages).toHaveLength(40);
+    expect(result.ages[result.ages.length - 1]).toBe(105);
+  });
+
+  it("gives a non-decreasing probability of ruin and ordered bands", () => {
+    const startingPots = Array.from({ length: 200 }, (_, i) => 100000 + i * 1000);
+    const result = simulateDecumulationMonteCarlo(basePlan({ funds: ["Future Advantage 5"] }), startingPots, { random: createSeededRandom(3) });
+    expect(result.ages[0]).toBe(66);
+    result.probabilityOfRuin.slice(1).forEach((p, i) => expect(p).toBeGreaterThanOrEqual(result.probabilityOfRuin[i]));
+    expect(result.bands.p10[0]).toBeLessThanOrEqual(result.bands.p50[0]);
+    expect(result.bands.p50[0]).toBeLessThanOrEqual(result.bands.p90[0]);
+  });
+
+  it("gives the same results for the same seed", () => {
+    const plan = basePlan({ funds: ["Future Advantage 5"] });
+    const first = simulateDecumulationMonteCarlo(plan, [150000, 200000], { random: createSeededRandom(9) });
+    const second = simulateDecumulationMonteCarlo(plan, [150000, 200000], { random: createSeededRandom(9) });
+    expect(first).toEqual(second);
+  });
+});
+
+describe("simulateHistoricalCohorts", () => {
+  it("runs one cohort per historical start year, wrapping round the data", () => {
+    const result = simulateHistoricalCohorts(basePlan({ drawdownFixed: 2000 }), 500000);
+    expect(result.cohorts).toHaveLength(HISTORICAL_YEARS.length);
+    expect(result.cohorts[0].startYear).toBe(HISTORICAL_YEARS[0].year);
+    expect(result.cohorts[0].wrapped).toBe(false);
+    expect(result.cohorts[result.cohorts.length - 1].wrapped).toBe(true);
+    expect(result.ages).toHaveLength(35);
+  });
+
+  it("ranks cohorts from worst to best and counts those that ran out", () => {
+    const result = simulateHistoricalCohorts(basePlan({ drawdownFixed: 2500 }), 500000);
+    expect(result.probabilityOfRuin).toBe(result.failedStartYears.length / result.cohorts.length);
+    expect(result.worst.depletionAge).toBeLessThanOrEqual(result.median.depletionAge);
+    expect(result.best.finalRealPot).toBeGreaterThanOrEqual(result.median.finalRealPot);
+  });
+
+  it("reports no failures when withdrawals are tiny", () => {
+    const result = simulateHistoricalCohorts(basePlan({ drawdownFixed: 10 }), 1000000);
+    expect(result.failedStartYears).toEqual([]);
+    expect(result.medianDepletionAge).toBe(Infinity);
+    expect(result.worst.finalRealPot).toBeGreaterThan(0);
+  });
+});
+
+describe("simulateStressTests", () => {
+  const plan = basePlan({ funds: ["Future Advantage 3"], drawdownFixed: 1000 });
+
+  it("earns the expected return in years marked expected", () => {
+    const history = Array(35).fill({ expected: true, inflation: 0 });
+    expect(simulateDecumulation(plan, 300000, { history }).funds).toEqual(simulateDecumulation(plan, 300000).funds);
+  });
+
+  it("runs the base case and each stress test, leaving less after a crash or a lost decade", () => {
+    const result = simulateStressTests(plan, 300000);
+    expect(result.ages).toHaveLength(35);
+    expect(result.tests.map(({ test }) => test)).toEqual(["crash", "lostDecade", "highInflation"]);
+    const [crash, lostDecade] = result.tests;
+    expect(crash.realPots[0]).toBeLessThan(result.base.realPots[0]);
+    expect(lostDecade.depletionAge).toBeLessThanOrEqual(result.base.depletionAge);
+    expect(lostDecade.finalRealPot).toBeLessThan(result.base.finalRealPot);
+  });
+
+  it("adds your own sequence when the plan has one", () => {
+    const result = simulateStressTests(basePlan({ stressTestSequence: [-0.5] }), 300000);
+    expect(result.tests.map(({ test }) => test)).toContain("custom");
+  });
+});
+
+describe("couples", () => {
+  const cash = {
+    fundCatalogue: { Cash: { return: 0, volatility: 0, annualCharge: 0 } },
+    fundCorrelations: { Cash: { Cash: 1 } },
+    fundSelection: "Cash",
+    funds: ["Cash"],
+  };
+  const partner = (overrides = {}) => ({
+    age: 58,
+    salary: 20000,
+    currentPot: 5000,
+    employeeContributionRate: 0.1,
+    employerContributionRate: 0,
+    retirementAge: 62,
+    sex: "female",
+    birthYear: 1962,
+    health: "average",
+    statePensionAnnual: 6000,
+    statePensionAge: 67,
+    ...overrides,
+  });
+  const couplePlan = (overrides = {}) => basePlan({ ...cash, partner: partner(), survivorPensionShare: 0.5, survivorStatePensionShare: 0, survivorSpendingShare: 0.5, ...overrides });
+
+  it("adds the partner's pot and contributions until the partner retires", () => {
+    const result = simulateAccumulation(couplePlan(), { simulations: 2, random: meanRandom });
+    expect(result.p50[result.p50.length - 1]).toBeCloseTo(25000 + 13000);
+    expect(result.partnerShareP50).toBeCloseTo(13000 / 38000);
+  });
+
+  it("keeps paying the partner's contributions in while they work on after retirement", () => {
+    const result = simulateDecumulation(couplePlan({ partner: partner({ retirementAge: 70 }), drawdownFixed: 0 }), 100000);
+    expect(result.funds[0][result.funds[0].length - 1]).toBeCloseTo(100000 + 7 * 2000);
+  });
+
+  it("shares withdrawals and pays survivor's pensions after the first death", () => {
+    const plan = couplePlan({ statePensionAnnual: 12000 });
+    const result = simulateDecumulation(plan, 200000, { partnerShare: 0.25, deathAges: { primary: 70, partner: 80 } });
+    expect(result.withdrawals[0]).toBe(1000);
+    expect(result.partnerWithdrawals[0]).toBe(250);
+    expect(result.statePensionMonthlyValues[59]).toBe(1000);
+    expect(result.partnerStatePensionMonthlyValues[48]).toBe(500);
+    expect(result.statePensionMonthlyValues[60]).toBe(0);
+    expect(result.withdrawals[60]).toBe(500);
+    expect(result.partnerWithdrawals[60]).toBe(500);
+    expect(result.deathMonths).toEqual({ primary: 60, partner: 204 });
+    expect(result.withdrawals).toHaveLength(204);
+    expect(result.depletionMonth).toBeNull();
+  });
+
+  it("passes on the survivor's shares of the state pension and of other pension income separately", () => {
+    const plan = couplePlan({ statePensionAnnual: 12000, otherIncomeAnnual: 6000, otherIncomeStartAge: 65, survivorStatePensionShare: 0.25 });
+    const result = simulateDecumulation(plan, 200000, { deathAges: { primary: 70, partner: 80 } });
+    expect(result.statePensionMonthlyValues[60]).toBe(250);
+    expect(result.otherIncomeMonthlyValues[60]).toBe(250);
+  });
+
+  it("cuts a target income to the survivor's share", () => {
+    const plan = couplePlan({ drawdownType: "targetIncome", targetIncomeAnnual: 24000, statePensionAnnual: 12000, survivorSpendingShare: 0.7 });
+    const result = simulateDecumulation(plan, 300000, { deathAges: { primary: 70, partner: 90 } });
+    expect(result.withdrawals[0]).toBeCloseTo(1000);
+    expect(result.withdrawals[60] + result.statePensionMonthlyValues[60] + result.partnerStatePensionMonthlyValues[60]).toBeCloseTo(1400);
+  });
+
+  it("stops drawing down for a survivor who spends none of it", () => {
+    const plan = couplePlan({ drawdownType: "targetIncome", targetIncomeAnnual: 24000, survivorSpendingShare: 0 });
+    const result = simulateDecumulation(plan, 300000, { deathAges: { primary: 70, partner: 90 } });
+    expect(result.withdrawals[0]).toBeCloseTo(2000);
+    expect(result.withdrawals[60]).toBe(0);
+  });
+
+  it("uprates the partner's state pension from today to retirement", () => {
+    const plan = couplePlan({ partner: partner({ statePensionAge: 62 }), statePensionUpratingRate: 0.03 });
+    const result = simulateDecumulation(plan, 200000);
+    expect(result.partnerStatePensionMonthlyValues[0]).toBeCloseTo(500 * 1.03 ** 5);
+  });
+
+  it("only counts running out while someone is alive", () => {
+    const plan = couplePlan({ funds: ["Future Advantage 5"], fundCatalogue: basePlan().fundCatalogue, fundCorrelations: basePlan().fundCorrelations, drawdownFixed: 1500 });
+    const startingPots = Array.from({ length: 100 }, (_, i) => 150000 + i * 2000);
+    const result = simulateDecumulationMonteCarlo(plan, startingPots, { random: createSeededRandom(5), partnerShares: startingPots.map(() => 0.3) });
+    expect(result.probabilityOfOutliving).toBe(result.probabilityOfRuin[result.probabilityOfRuin.length - 1]);
+    expect(result.probabilityAlive[10]).toBeGreaterThan(createLifeTable(plan).survival(65, 11));
+  });
+});
+
+describe("accounts", () => {
+  const fundCatalogue = { ...basePlan().fundCatalogue, Cash: { return: 0, volatility: 0, annualCharge: 0 }, Growth: { return: 0.1, volatility: 0, annualCharge: 0.01, equity: 1, bonds: 0 } };
+  const fundCorrelations = { Cash: { Cash: 1, Growth: 0 }, Growth: { Cash: 0, Growth: 1 } };
+  const account = (overrides) => ({ balance: 0, fund: "Growth", contribution: 0, interestRate: 0, annualPension: 0, startAge: NaN, revaluationRate: 0, increaseRate: 0, ...overrides });
+  const accountsPlan = (accounts, overrides = {}) => basePlan({ fundCatalogue, fundCorrelations, fundSelection: "Cash", funds: ["Cash"], accounts, ...overrides });
+
+  it("grows accounts in their own funds alongside the pension and records each savings account's share", () => {
+    const plan = accountsPlan([account({ type: "isa", balance: 10000, contribution: 1000 }), account({ type: "cash", balance: 5000, interestRate: 0.02 })], { age: 64, employeeContributionRate: 0 });
+    const result = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    const isaBalance = 11000 * 1.1 * 0.99;
+    const total = 10000 + isaBalance + 5100;
+    expect(result.p50[0]).toBeCloseTo(total);
+    expect(result.chargesP50).toBeCloseTo(11000 * 1.1 * 0.01);
+    expect(result.savingsP50[0].share).toBeCloseTo(isaBalance / total);
+    expect(result.savingsP50[0].costRatio).toBeCloseTo(11000 / isaBalance);
+    expect(result.savingsP50[1].share).toBeCloseTo(5100 / total);
+  });
+
+  it("counts other defined contribution pensions as pension for a partner's share", () => {
+    const plan = accountsPlan([account({ type: "dcPension", balance: 10000, fund: "Cash" })], {
+      age: 64,
+      employeeContributionRate: 0,
+      partner: { age: 60, salary: 0, currentPot: 20000, employeeContributionRate: 0, employerContributionRate: 0, retirementAge: 60 },
+    });
+    expect(simulateAccumulation(plan, { simulations: 1, random: meanRandom }).partnerShareP50).toBeCloseTo(20000 / 40000);
+  });
+
+  it("draws savings in the withdrawal order and realises gains on a general investment account", () => {
+    const accounts = [account({ type: "gia", fund: "Cash" }), account({ type: "isa", fund: "Cash" })];
+    const savings = [{ share: 0.1, costRatio: 0.5 }, { share: 0.1, costRatio: 1 }];
+    const pensionFirst = simulateDecumulation(accountsPlan(accounts), 100000, { savings });
+    expect(pensionFirst.withdrawals[0]).toBe(1000);
+    expect(pensionFirst.savingsWithdrawals[0]).toBe(0);
+    expect(pensionFirst.withdrawals[80]).toBe(0);
+    expect(pensionFirst.savingsWithdrawals[80]).toBe(1000);
+    expect(pensionFirst.capitalGainsMonthlyValues[80]).toBeCloseTo(500);
+    expect(pensionFirst.depletionMonth).toBe(99);
+
+    const isaFirst = simulateDecumulation(accountsPlan(accounts, { withdrawalOrder: "isaFirst" }), 100000, { savings });
+    expect(isaFirst.savingsWithdrawals[0]).toBe(1000);
+    expect(isaFirst.capitalGainsMonthlyValues[0]).toBe(0);
+    expect(isaFirst.savings[1][9]).toBe(0);
+    expect(isaFirst.capitalGainsMonthlyValues[10]).toBeCloseTo(500);
+  });
+
+  it("draws on the whole pension across its funds in each withdrawal order", () => {
+    const cashFunds = { "Cash A": fundCatalogue.Cash, "Cash B": fundCatalogue.Cash };
+    const multiFundPlan = (overrides) => accountsPlan([account({ type: "isa", fund: "Cash" })], { fundCatalogue: { ...fundCatalogue, ...cashFunds }, funds: ["Cash", "Cash A", "Cash B"], ...overrides });
+    const savings = [{ share: 0.25, costRatio: 1 }];
+    const proportional = simulateDecumulation(multiFundPlan({ withdrawalOrder: "proportional", drawdownFixed: 2000 }), 800000, { savings });
+    expect(proportional.withdrawals[0]).toBeCloseTo(1500);
+    expect(proportional.savingsWithdrawals[0]).toBeCloseTo(500);
+    const pensionFirst = simulateDecumulation(multiFundPlan({ drawdownFixed: 15000 }), 40000, { savings });
+    expect(pensionFirst.withdrawals[0]).toBeCloseTo(15000);
+    expect(pensionFirst.savingsWithdrawals[0]).toBe(0);
+  });
+
+  it("takes a lump sum and sizes the drawdown from the pension and savings together", () => {
+    const plan = accountsPlan([account({ type: "cash" })], { taxFreeCash: "pcls", drawdownType: "percentage", drawdownPercentage: 0.12 });
+    const result = simulateDecumulation(plan, 100000, { savings: [{ share: 0.4, costRatio: 1 }] });
+    expect(result.lumpSum).toBe(15000);
+    expect(result.withdrawals[0]).toBeCloseTo((45000 + 40000) * 0.01);
+  });
+
+  it("pays defined benefit pensions from their start age as income", () => {
+    const plan = accountsPlan([account({ type: "definedBenefit", annualPension: 6000, startAge: 66, revaluationRate: 0.1 })], { drawdownType: "targetIncome", targetIncomeAnnual: 12000 });
+    const result = simulateDecumulation(plan, 100000);
+    expect(result.definedBenefitMonthlyValues[11]).toBe(0);
+    expect(result.definedBenefitMonthlyValues[12]).toBeCloseTo(500 * Math.pow(1.1, 6));
+    expect(result.withdrawals[12]).toBeCloseTo(1000 - 500 * Math.pow(1.1, 6));
+    expect(result.definedBenefitAnnualValues[1]).toBeCloseTo(6000 * Math.pow(1.1, 6));
+  });
+});
+
+describe("life events", () => {
+  const event = (overrides) => ({ years: 0, percentage: 0, amount: 0, ...overrides });
+
+  it("stops contributions in a career break and pays lump sums in at the start of their year", () => {
+    const plan = basePlan({ age: 62, currentPot: 0, lifeEvents: [event({ type: "careerBreak", age: 62, years: 1 }), event({ type: "lumpSum", age: 63, amount: 5000 })] });
+    const { p50 } = simulateAccumulation(plan, { simulations: 1, random: meanRandom });
+    expect(p50[0]).toBe(0);
+    expect(p50[1]).toBeCloseTo((3000 + 5000) * 1.053);
+  });
+
+  it("pays contributions on a part-time salary", () => {
+    const plan = basePlan({ age: 64, currentPot: 0, lifeEvents: [event({ type: "partTime", age: 64, years: 1, percentage: 0.5 })] });
+    expect(simulateAccumulation(plan, { simulations: 1, random: meanRandom }).p50[0]).toBeCloseTo(1500 * 1.053);
+  });
+
+  it("adds one-off withdrawals to the drawdown and lump sums to the pot in retirement", () => {
+    const plan = basePlan({ funds: ["Cash"], fundCatalogue: { Cash: { return: 0, volatility: 0, annualCharge: 0 } }, lifeEvents: [event({ type: "withdrawal", age: 66, amount: 20000 }), event({ type: "lumpSum", age: 67, amount: 30000 })] });
+    const result = simulateDecumulation(plan, 100000);
+    expect(result.withdrawals[11]).toBe(1000);
+    expect(result.withdrawals[12]).toBe(21000);
+    expect(result.funds[0][23]).toBeCloseTo(100000 - 24 * 1000 - 20000);
+    expect(result.funds[0][24]).toBeCloseTo(100000 - 25 * 1000 - 20000 + 30000);
+  });
+
+  it("pays a one-off withdrawal bigger than one fund from the whole pension", () => {
+    const cash = { return: 0, volatility: 0, annualCharge: 0 };
+    const plan = basePlan({ ageToLowRiskFund: 100, funds: ["Cash", "Cash A", "Cash B"], fundCatalogue: { Cash: cash, "Cash A": cash, "Cash B": cash }, lifeEvents: [event({ type: "withdrawal", age: 66, amount: 200000 })] });
+    const result = simulateDecumulation(plan, 300000);
+    expect(result.withdrawals[12]).toBe(201000);
+    expect(result.funds.reduce((sum, balances) => sum + balances[12], 0)).toBeCloseTo(300000 - 13 * 1000 - 200000);
+  });
+});
+
+describe("spending profile", () => {
+  it("scales the drawdown by the share spent from each phase's age", () => {
+    const plan = basePlan({ funds: ["Cash"], fundCatalogue: { Cash: { return: 0, volatility: 0, annualCharge: 0 } }, spendingProfile: [{ age: 66, multiplier: 0.8 }, { age: 67, multiplier: 1.2 }] });
+    const result = simulateDecumulation(plan, 100000);
+    expect(result.withdrawals[11]).toBe(1000);
+    expect(result.withdrawals[12]).toBeCloseTo(800);
+    expect(result.withdrawals[24]).toBeCloseTo(1200);
+  });
+});
+
+describe("simulatePlan", () => {
+  const plan = basePlan({ age: 55, returnModel: "lognormal", funds: ["Future Advantage 5"] });
+
+  it("gives the same results as running each stage in one go", () => {
+    const result = simulatePlan(plan, { simulations: 50, random: createSeededRandom(4) });
+    const random = createSeededRandom(4);
+    const accumulation = simulateAccumulation(plan, { simulations: 50, random });
+    expect(result.accumulation).toEqual(accumulation);
+    expect(result.outcomes).toEqual(simulateDecumulationMonteCarlo(plan, accumulation.finalPots, { random }));
+  });
+
+  it("projects the median pot and runs it through the stress tests", () => {
+    const result = simulatePlan(plan, { simulations: 50, random: createSeededRandom(4) });
+    const medianPot = result.accumulation.p50[result.accumulation.p50.length - 1];
+    const options = { partnerShare: result.accumulation.partnerShareP50, deathAges: null, savings: result.accumulation.savingsP50 };
+    expect(result.deathAges).toBeNull();
+    expect(result.projection).toEqual(simulateDecumulation(plan, medianPot, options));
+    expect(result.stressTests).toEqual(simulateStressTests(plan, medianPot, options));
+  });
+
+  it("reports the runs completed after each batch, with partial percentiles every few batches", () => {
+    const progress = [];
+    const summaries = [];
+    simulatePlan(plan, { simulations: 40, batches: 4, previewEvery: 2, random: createSeededRandom(4) }, (update) => progress.push(update), (summary) => summaries.push(summary));
+    expect(progress.map(({ stage, completed, total }) => [stage, completed, total])).toEqual([
+      ["accumulation", 10, 80],
+      ["accumulation", 20, 80],
+      ["accumulation", 30, 80],
+      ["accumulation", 40, 80],
+      ["outcomes", 50, 80],
+      ["outcomes", 60, 80],
+      ["outcomes", 70, 80],
+      ["outcomes", 80, 80],
+    ]);
+    expect(progress.map((update) => "result" in update)).toEqual([false, true, false, false, false, true, false, false]);
+    expect(progress[1].result.p50).toHaveLength(10);
+    expect(progress[5].result.bands.p50).toHaveLength(35);
+    expect(summaries).toHaveLength(1);
+  });
+
+  it("runs every historical start year from the median pot in historical mode", () => {
+    const progress = [];
+    const result = simulatePlan(plan, { simulations: 20, mode: "historical", random: createSeededRandom(4) }, (update) => progress.push(update));
+    expect(result.outcomes.cohorts).toHaveLength(HISTORICAL_YEARS.length);
+    expect(progress[progress.length - 1]).toMatchObject({ stage: "accumulation", completed: 20, total: 20 });
+  });
+});
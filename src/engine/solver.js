@@ -0,0 +1,127 @@
+import { createSeededRandom } from "./random";
+import { simulateAccumulation, simulateDecumulation } from "./simulation";
+import { DRAWDOWN_TYPE_LABELS } from "./drawdown";
+
+// Solvers that search over the simulation engine for the input needed to meet a target.
+// Stochastic searches re-use the same seed at every step, so each step sees the same market
+// and the outcome moves steadily with the input being solved for.
+
+const SOLVER_SEED = 20240501;
+const SOLVER_SIMULATIONS = 200;
+const GOAL_SIMULATIONS = 500;
+const MAX_REQUIRED_POT = 20000000;
+
+export const GOAL_UNKNOWN_LABELS = {
+  contributionRate: "Employee Contribution Rate",
+  retirementAge: "Retirement Age",
+  sustainableDrawdown: "Sustainable Drawdown",
+};
+
+// The drawdown input solved for as the sustainable drawdown, for each drawdown type that spends
+// the pot down (types that take a share of the current pot never run it out).
+// Rates are fractions; tolerances set how finely the answer is found.
+export const SUSTAINABLE_DRAWDOWN_INPUTS = {
+  fixed: { key: "drawdownFixed", high: 50000, tolerance: 1 },
+  initialPot: { key: "drawdownInitialPotPercentage", high: 0.5, tolerance: 0.0001 },
+  guardrails: { key: "guardrailInitialRate", high: 0.2, tolerance: 0.0001 },
+  targetIncome: { key: "targetIncomeAnnual", high: 500000, tolerance: 10 },
+};
+
+export const SUSTAINABLE_DRAWDOWN_TYPES = Object.keys(SUSTAINABLE_DRAWDOWN_INPUTS).map((type) => DRAWDOWN_TYPE_LABELS[type]);
+
+// Bisects for the smallest value between low and high that meets the target, to within the tolerance.
+// Returns null if even high falls short.
+export const findMinimum = (low, high, meetsTarget, tolerance) => {
+  if (!meetsTarget(high)) return null;
+  if (meetsTarget(low)) return low;
+  while (high - low > tolerance) {
+    const middle = (low + high) / 2;
+    if (meetsTarget(middle)) high = middle;
+    else low = middle;
+  }
+  return high;
+};
+
+// Bisects for the largest value between low and high that meets the target, to within the tolerance.
+// Returns null if even low falls short.
+export const findMaximum = (low, high, meetsTarget, tolerance) => {
+  if (!meetsTarget(low)) return null;
+  if (meetsTarget(high)) return high;
+  while (high - low > tolerance) {
+    const middle = (low + high) / 2;
+    if (meetsTarget(middle)) low = middle;
+    else high = middle;
+  }
+  return low;
+};
+
+const reachesAge = (plan, { depletionMonth }, targetAge) =>
+  depletionMonth === null || plan.retirementAge + depletionMonth / 12 >= targetAge;
+
+// Runs retirement at least to the target age, even when the plan's horizon is earlier. Couples are
+// taken as both alive throughout, so the pot has to meet the household's full spending.
+const withTargetHorizon = (plan, targetAge) => ({ ...plan, horizonAge: Math.max(plan.horizonAge, targetAge) });
+
+// Whether a pot drawn down at mean returns lasts to the target age
+export const lastsToAge = (plan, pot, targetAge) =>
+  reachesAge(plan, simulateDecumulation(withTargetHorizon(plan, targetAge), pot), targetAge);
+
+// Share of simulated lives, from today through retirement, in which the pot lasts to the target age
+export const getConfidence = (basePlan, targetAge, { simulations = GOAL_SIMULATIONS, seed = SOLVER_SEED } = {}) => {
+  const plan = withTargetHorizon(basePlan, targetAge);
+  const random = createSeededRandom(seed);
+  const { finalPots, finalSavings } = simulateAccumulation(plan, { simulations, random });
+  const lasting = finalPots.filter((pot, i) => reachesAge(plan, simulateDecumulation(plan, pot, { stochastic: true, random, savings: finalSavings[i] }), targetAge));
+  return lasting.length / finalPots.length;
+};
+
+// Smallest pot at retirement, to the nearest £100, that lasts to the target age at mean returns
+export const solveRequiredPot = (plan, targetAge) =>
+  findMinimum(0, MAX_REQUIRED_POT, (pot) => lastsToAge(plan, pot, targetAge), 100);
+
+// Smallest employee contribution rate (as a fraction, to the nearest 0.1%) that gives a median pot
+// at retirement of at least the required pot, or null if even contributing the whole salary does not
+export const solveRequiredContributionRate = (plan, requiredPot) =>
+  findMinimum(0, 1, (rate) => {
+    const { p50 } = simulateAccumulation(
+      { ...plan, employeeContributionRate: rate },
+      { simulations: SOLVER_SIMULATIONS, random: createSeededRandom(SOLVER_SEED) }
+    );
+    return p50[p50.length - 1] >= requiredPot;
+  }, 0.001);
+
+// Smallest pot that pays the plan's target income to the target age, and the employee contribution
+// rate whose median pot reaches it (null where none does)
+export const solveTargetIncome = (plan, targetAge) => {
+  const requiredPot = solveRequiredPot(plan, targetAge);
+  return { targetAge, requiredPot, contributionRate: requiredPot === null ? null : solveRequiredContributionRate(plan, requiredPot) };
+};
+
+// Solves for one unknown input so the pot lasts to the target age in at least the target share
+// of simulations (confidence, as a fraction). Contribution rate and retirement age are the lowest
+// that meet the target; sustainable drawdown is the highest. planAtRetirementAge builds the plan for
+// a retirement age (see createPlanAtRetirementAge). Returns the value found (a fraction for rates, an
+// age, or the drawdown input) and the confidence it gives, or a null value if no value can.
+export const solveGoal = (plan, { unknown, targetAge, confidence, simulations = GOAL_SIMULATIONS }, planAtRetirementAge) => {
+  const meetsTarget = (candidate) => getConfidence(candidate, targetAge, { simulations }) >= confidence;
+  let planFor;
+  let value;
+
+  if (unknown === "contributionRate") {
+    planFor = (rate) => ({ ...plan, employeeContributionRate: rate });
+    value = findMinimum(0, 1, (rate) => meetsTarget(planFor(rate)), 0.001);
+  } else if (unknown === "retirementAge") {
+    // Retirement ages are whole years
+    planFor = (age) => planAtRetirementAge(Math.ceil(age));
+    const age = findMinimum(plan.age + 1, targetAge - 1, (age) => meetsTarget(planFor(age)), 1);
+    value = age === null ? null : Math.ceil(age);
+  } else {
+    const inputs = SUSTAINABLE_DRAWDOWN_INPUTS[plan.drawdownType];
+    if (!inputs) throw new Error(`Sustainable drawdown needs one of these drawdown types: ${SUSTAINABLE_DRAWDOWN_TYPES.join(", ")}.`);
+    const { key, high, tolerance } = inputs;
+    planFor = (amount) => ({ ...plan, [key]: amount });
+    value = findMaximum(0, high, (amount) => meetsTarget(planFor(amount)), tolerance);
+  }
+
+  return { unknown, value, confidence: value === null ? null : getConfidence(planFor(value), targetAge, { simulations }) };
+};
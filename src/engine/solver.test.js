@@ -0,0 +1,160 @@
+import { describe, it, expect } from "vitest";
+import { findMaximum, findMinimum, getConfidence, lastsToAge, solveGoal, solveRequiredContributionRate, solveRequiredPot, solveTargetIncome } from "./solver";
+import { simulateAccumulation } from "./simulation";
+import { createSeededRandom } from "./random";
+
+const fundCatalogue = { Cash: { return: 0, volatility: 0, annualCharge: 0 } };
+
+const plan = (overrides = {}) => ({
+  age: 60,
+  salary: 30000,
+  currentPot: 0,
+  employeeContributionRate: 0.05,
+  employerContributionRate: 0,
+  contributionBasis: "fullSalary",
+  taxReliefMethod: "netPay",
+  retirementAge: 65,
+  fundSelection: "Cash",
+  fundCatalogue,
+  fundCorrelations: { Cash: { Cash: 1 } },
+  returnModel: "lognormal",
+  returnDegreesOfFreedom: 5,
+  lifestyling: "none",
+  inflationRate: 0,
+  earningsGrowthRate: 0,
+  funds: ["Cash"],
+  ageToLowRiskFund: 65,
+  horizonAge: 100,
+  drawdownType: "targetIncome",
+  targetIncomeAnnual: 12000,
+  otherIncomeAnnual: 0,
+  otherIncomeStartAge: 65,
+  statePensionAnnual: 0,
+  statePensionAge: 67,
+  statePensionUprating: "cpi",
+  statePensionUpratingRate: 0,
+  taxFreeCash: "ufpls",
+  platformFeeTiers: [{ upTo: Infinity, rate: 0 }],
+  adviserFee: 0,
+  accounts: [],
+  withdrawalOrder: "pensionFirst",
+  lifeEvents: [],
+  spendingProfile: [],
+  stressTestSequence: [],
+  ...overrides,
+});
+
+describe("findMinimum", () => {
+  it("finds the smallest value meeting the target to within the tolerance", () => {
+    expect(findMinimum(0, 100, (value) => value >= 37.2, 0.01)).toBeCloseTo(37.2, 1);
+  });
+
+  it("returns the lower bound when it already meets the target", () => {
+    expect(findMinimum(0, 100, () => true, 1)).toBe(0);
+  });
+
+  it("returns null when the upper bound falls short", () => {
+    expect(findMinimum(0, 100, () => false, 1)).toBeNull();
+  });
+});
+
+describe("findMaximum", () => {
+  it("finds the largest value meeting the target to within the tolerance", () => {
+    expect(findMaximum(0, 100, (value) => value <= 62.5, 0.01)).toBeCloseTo(62.5, 1);
+  });
+
+  it("returns null when the lower bound falls short", () => {
+    expect(findMaximum(0, 100, () => false, 1)).toBeNull();
+  });
+});
+
+describe("getConfidence", () => {
+  it("gives the share of simulations in which the pot lasts to the target age", () => {
+    const wellFunded = plan({ currentPot: 360000 });
+    expect(getConfidence(wellFunded, 95, { simulations: 20 })).toBe(1);
+    expect(getConfidence(wellFunded, 100, { simulations: 20 })).toBe(0);
+  });
+
+  it("runs past a horizon earlier than the target age", () => {
+    const wellFunded = plan({ currentPot: 360000, horizonAge: 90 });
+    expect(getConfidence(wellFunded, 95, { simulations: 20 })).toBe(1);
+    expect(getConfidence(wellFunded, 100, { simulations: 20 })).toBe(0);
+  });
+});
+
+describe("solveGoal", () => {
+  const goal = { targetAge: 70, confidence: 0.8, simulations: 20 };
+
+  it("finds the lowest contribution rate that meets the target", () => {
+    const result = solveGoal(plan({ targetIncomeAnnual: 6000 }), { ...goal, unknown: "contributionRate" });
+    expect(result.value).toBeCloseTo(0.2, 2);
+    expect(result.confidence).toBe(1);
+  });
+
+  it("finds the earliest whole retirement age that meets the target", () => {
+    const planAt = (age) => plan({ employeeContributionRate: 0.2, targetIncomeAnnual: 5900, retirementAge: age });
+    const result = solveGoal(planAt(65), { ...goal, targetAge: 80, unknown: "retirementAge" }, planAt);
+    expect(result.value).toBe(70);
+  });
+
+  it("rejects a sustainable drawdown for a drawdown type that never runs the pot out", () => {
+    expect(() => solveGoal(plan({ drawdownType: "percentage" }), { ...goal, unknown: "sustainableDrawdown" })).toThrow("Sustainable drawdown needs");
+  });
+
+  it("finds the highest sustainable drawdown that meets the target", () => {
+    const fixedPlan = plan({ currentPot: 100000, employeeContributionRate: 0, drawdownType: "fixed", drawdownFixed: 0 });
+    const result = solveGoal(fixedPlan, { ...goal, targetAge: 75, unknown: "sustainableDrawdown" });
+    expect(result.value).toBeGreaterThan(100000 / 121 - 1);
+    expect(result.value).toBeLessThan(100000 / 120);
+    expect(result.confidence).toBe(1);
+  });
+
+  it("reports a null value when the target cannot be met", () => {
+    const result = solveGoal(plan({ targetIncomeAnnual: 1000000 }), { ...goal, unknown: "contributionRate" });
+    expect(result).toEqual({ unknown: "contributionRate", value: null, confidence: null });
+  });
+});
+
+describe("solveRequiredPot", () => {
+  it("finds the pot that pays the target income to the target age", () => {
+    const pot = solveRequiredPot(plan(), 95);
+    expect(pot).toBeGreaterThan(12000 * 30 - 1000);
+    expect(pot).toBeLessThan(12000 * 30 + 1000);
+    expect(lastsToAge(plan(), pot, 95)).toBe(true);
+    expect(lastsToAge(plan(), pot - 1000, 95)).toBe(false);
+  });
+
+  it("needs less when the state pension covers part of the target", () => {
+    const withStatePension = solveRequiredPot(plan({ statePensionAnnual: 6000 }), 95);
+    expect(withStatePension).toBeLessThan(solveRequiredPot(plan(), 95));
+  });
+
+  it("nets the target against a state pension uprated from today when retirement is years away", () => {
+    // The target and the state pension both keep their value in today's money, so half the target is left to draw
+    const changes = { age: 30, retirementAge: 67, ageToLowRiskFund: 67, inflationRate: 0.025, statePensionAnnual: 6000, statePensionAge: 67, statePensionUpratingRate: 0.025 };
+    const pot = solveRequiredPot(plan(changes), 95);
+    const yearsOfShortfall = Array.from({ length: 28 }, (_, year) => 6000 * Math.pow(1.025, 37 + year));
+    expect(pot).toBeCloseTo(yearsOfShortfall.reduce((sum, value) => sum + value, 0), -3);
+  });
+});
+
+describe("solveTargetIncome", () => {
+  it("gives the required pot and the contribution rate that reaches it", () => {
+    const result = solveTargetIncome(plan(), 95);
+    expect(result.requiredPot).toBe(solveRequiredPot(plan(), 95));
+    expect(result.contributionRate).toBe(solveRequiredContributionRate(plan(), result.requiredPot));
+  });
+});
+
+describe("solveRequiredContributionRate", () => {
+  it("finds the rate whose median pot reaches the required pot", () => {
+    const rate = solveRequiredContributionRate(plan(), 30000);
+    expect(rate).toBeCloseTo(0.2, 2);
+    const { p50 } = simulateAccumulation(plan({ employeeContributionRate: rate }), { simulations: 10, random: createSeededRandom(1) });
+    expect(p50[p50.length - 1]).toBeGreaterThanOrEqual(30000 - 1);
+  });
+
+  it("returns null when even the whole salary is not enough", () => {
+    expect(solveRequiredContributionRate(plan(), 1000000)).toBeNull();
+  });
+});
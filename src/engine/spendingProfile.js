@@ -0,0 +1,42 @@
+// Phased spending in retirement. Each phase sets, from an age of the first member, the share of the
+// drawdown spent in real terms, so the "spending smile" of active early years, slower later years and
+// a late rise in care costs can be planned. Spending is 100% until the first phase.
+
+// Ready-made profile following the retirement spending smile
+export const SPENDING_SMILE = [
+  { age: "75", percentage: "80" },
+  { age: "85", percentage: "110" },
+];
+
+// New phase row for the form
+export const createSpendingPhaseEntry = () => ({ age: "", percentage: "" });
+
+// Converts the phase rows from the form into the plan's numbers, ordered by age. Percentages become fractions.
+export const toSpendingProfileData = (phases) =>
+  phases
+    .map((phase) => ({ age: parseFloat(phase.age), multiplier: parseFloat(phase.percentage) / 100 }))
+    .sort((a, b) => a.age - b.age);
+
+// Checks phase rows against the retirement age; returns an error message or ""
+export const validateSpendingProfile = (phases, retirementAge) => {
+  for (const [i, phase] of phases.entries()) {
+    const name = `Phase ${i + 1}`;
+    const age = parseFloat(phase.age);
+    const percentage = parseFloat(phase.percentage);
+    if (isNaN(age) || age <= retirementAge || age > 120) return `${name}: From Age must be after your retirement age and no more than 120.`;
+    if (phases.some((other, j) => j !== i && parseFloat(other.age) === age)) return `${name}: Only one phase can start at each age.`;
+    if (!(percentage > 0 && percentage <= 300)) return `${name}: Spending must be more than 0% and no more than 300%.`;
+  }
+  return "";
+};
+
+// Share of the drawdown spent at an age: that of the latest phase started, or all of it before the first
+export const getSpendingMultiplier = (plan, age) =>
+  plan.spendingProfile.reduce((multiplier, phase) => (age >= phase.age ? phase.multiplier : multiplier), 1);
+
+// Short description of the profile for notes, such as "100% until 75, 80% from 75, 110% from 85"
+export const describeSpendingProfile = (plan) =>
+  [
+    `100% until ${plan.spendingProfile[0].age}`,
+    ...plan.spendingProfile.map((phase) => `${Math.round(phase.multiplier * 100)}% from ${phase.age}`),
+  ].join(", ");
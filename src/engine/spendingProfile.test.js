@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { describeSpendingProfile, getSpendingMultiplier, SPENDING_SMILE, toSpendingProfileData, validateSpendingProfile } from "./spendingProfile";
+
+const plan = { spendingProfile: toSpendingProfileData([{ age: "85", percentage: "110" }, { age: "75", percentage: "80" }]) };
+
+describe("toSpendingProfileData", () => {
+  it("orders phases by age with percentages as fractions", () => {
+    expect(plan.spendingProfile).toEqual([{ age: 75, multiplier: 0.8 }, { age: 85, multiplier: 1.1 }]);
+  });
+});
+
+describe("validateSpendingProfile", () => {
+  it("accepts the spending smile", () => {
+    expect(validateSpendingProfile(SPENDING_SMILE, 65)).toBe("");
+  });
+
+  it("needs phases after retirement, at different ages, with a positive share", () => {
+    expect(validateSpendingProfile([{ age: "65", percentage: "80" }], 65)).toMatch("after your retirement age");
+    expect(validateSpendingProfile([{ age: "75", percentage: "80" }, { age: "75", percentage: "90" }], 65)).toMatch("Only one phase");
+    expect(validateSpendingProfile([{ age: "75", percentage: "0" }], 65)).toMatch("Spending must be more than 0%");
+  });
+});
+
+describe("getSpendingMultiplier", () => {
+  it("spends everything until the first phase, then the share of the latest phase started", () => {
+    expect(getSpendingMultiplier(plan, 74)).toBe(1);
+    expect(getSpendingMultiplier(plan, 75)).toBe(0.8);
+    expect(getSpendingMultiplier(plan, 90)).toBe(1.1);
+    expect(getSpendingMultiplier({ spendingProfile: [] }, 90)).toBe(1);
+  });
+});
+
+describe("describeSpendingProfile", () => {
+  it("lists each phase", () => {
+    expect(describeSpendingProfile(plan)).toBe("100% until 75, 80% from 75, 110% from 85");
+  });
+});
@@ -0,0 +1,65 @@
+// Standard state pension values (used for "Yes - Standard")
+export const STANDARD_STATE_PENSION_ANNUAL = 11960;
+export const STANDARD_STATE_PENSION_MONTHLY = STANDARD_STATE_PENSION_ANNUAL / 12; // £996.67
+
+// National Insurance qualifying years needed for the full and for any new state pension
+export const FULL_NI_QUALIFYING_YEARS = 35;
+export const MIN_NI_QUALIFYING_YEARS = 10;
+
+// Pro-rates the standard state pension by National Insurance qualifying years
+export const getStatePensionAnnual = (qualifyingYears) => {
+  if (qualifyingYears < MIN_NI_QUALIFYING_YEARS) return 0;
+  return STANDARD_STATE_PENSION_ANNUAL * Math.min(qualifyingYears, FULL_NI_QUALIFYING_YEARS) / FULL_NI_QUALIFYING_YEARS;
+};
+
+// Whole months between 6 April of startYear and a date of birth, counting the 6th as a month boundary
+const monthsSinceSixthApril = (startYear, year, month, day) =>
+  (year - startYear) * 12 + (month - 4) - (day < 6 ? 1 : 0);
+
+// UK State Pension Age in years for a "YYYY-MM-DD" date of birth, under current legislation:
+// 66 for those born before 6 April 1960, rising a month at a time to 67 by 6 March 1961,
+// 67 up to 5 April 1977, rising a month at a time to 68 by 6 April 1978, then 68.
+export const getStatePensionAge = (dateOfBirth) => {
+  const [year, month, day] = dateOfBirth.split("-").map((part) => parseInt(part));
+  const monthsInto1960Phase = monthsSinceSixthApril(1960, year, month, day);
+  if (monthsInto1960Phase < 0) return 66;
+  if (monthsInto1960Phase < 11) return 66 + (monthsInto1960Phase + 1) / 12;
+  const monthsInto1977Phase = monthsSinceSixthApril(1977, year, month, day);
+  if (monthsInto1977Phase < 0) return 67;
+  if (monthsInto1977Phase < 12) return 67 + (monthsInto1977Phase + 1) / 12;
+  return 68;
+};
+
+// Age in whole years on a date (today by default) for a "YYYY-MM-DD" date of birth
+export const getAgeOnDate = (dateOfBirth, date = new Date()) => {
+  const [year, month, day] = dateOfBirth.split("-").map((part) => parseInt(part));
+  const hadBirthday = date.getMonth() + 1 > month || (date.getMonth() + 1 === month && date.getDate() >= day);
+  return date.getFullYear() - year - (hadBirthday ? 0 : 1);
+};
+
+// Formats a fractional State Pension Age as years and months
+export const formatStatePensionAge = (statePensionAge) => {
+  const totalMonths = Math.round(statePensionAge * 12);
+  return `${Math.floor(totalMonths / 12)} years ${totalMonths % 12} months`;
+};
+
+// Floor applied by the triple lock when both inflation and earnings growth are lower
+export const TRIPLE_LOCK_MINIMUM = 0.025;
+
+// Display names for the state pension uprating rules
+export const STATE_PENSION_UPRATING_LABELS = {
+  tripleLock: "Triple Lock",
+  cpi: "CPI Only",
+  custom: "Custom Rate",
+};
+
+// A state pension set in today's money, uprated at a yearly rate for a number of years
+export const getUpratedStatePension = (annualToday, upratingRate, years) => annualToday * Math.pow(1 + upratingRate, years);
+
+// Annual uprating rate for the state pension under the selected rule:
+// triple lock takes the highest of CPI, earnings growth and 2.5%
+export const getStatePensionUpratingRate = (uprating, { inflationRate, earningsGrowthRate, customRate }) => {
+  if (uprating === "tripleLock") return Math.max(inflationRate, earningsGrowthRate, TRIPLE_LOCK_MINIMUM);
+  if (uprating === "custom") return customRate;
+  return inflationRate;
+};
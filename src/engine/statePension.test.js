@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { getAgeOnDate, getStatePensionAge, getStatePensionAnnual, getStatePensionUpratingRate, formatStatePensionAge, STANDARD_STATE_PENSION_ANNUAL } from "./statePension";
+
+describe("getStatePensionAge", () => {
+  it("is 66 for those born before 6 April 1960", () => {
+    expect(getStatePensionAge("1958-01-01")).toBe(66);
+    expect(getStatePensionAge("1960-04-05")).toBe(66);
+  });
+
+  it("rises a month at a time for those born between April 1960 and March 1961", () => {
+    expect(getStatePensionAge("1960-04-06")).toBeCloseTo(66 + 1 / 12);
+    expect(getStatePensionAge("1960-09-20")).toBeCloseTo(66 + 6 / 12);
+    expect(getStatePensionAge("1961-03-05")).toBeCloseTo(66 + 11 / 12);
+  });
+
+  it("is 67 for those born between 6 March 1961 and 5 April 1977", () => {
+    expect(getStatePensionAge("1961-03-06")).toBe(67);
+    expect(getStatePensionAge("1970-07-01")).toBe(67);
+    expect(getStatePensionAge("1977-04-05")).toBe(67);
+  });
+
+  it("rises to 68 for those born from 6 April 1977", () => {
+    expect(getStatePensionAge("1977-04-06")).toBeCloseTo(67 + 1 / 12);
+    expect(getStatePensionAge("1978-04-06")).toBe(68);
+    expect(getStatePensionAge("1990-01-01")).toBe(68);
+  });
+});
+
+describe("getAgeOnDate", () => {
+  it("counts whole years, turning a year older on the birthday", () => {
+    expect(getAgeOnDate("1985-05-01", new Date(2026, 3, 30))).toBe(40);
+    expect(getAgeOnDate("1985-05-01", new Date(2026, 4, 1))).toBe(41);
+    expect(getAgeOnDate("1985-12-31", new Date(2026, 11, 30))).toBe(40);
+  });
+});
+
+describe("getStatePensionAnnual", () => {
+  it("pays the full amount from 35 qualifying years", () => {
+    expect(getStatePensionAnnual(35)).toBe(STANDARD_STATE_PENSION_ANNUAL);
+    expect(getStatePensionAnnual(40)).toBe(STANDARD_STATE_PENSION_ANNUAL);
+  });
+
+  it("pro-rates between 10 and 35 years", () => {
+    expect(getStatePensionAnnual(10)).toBeCloseTo(STANDARD_STATE_PENSION_ANNUAL * 10 / 35);
+  });
+
+  it("pays nothing below 10 years", () => {
+    expect(getStatePensionAnnual(9)).toBe(0);
+  });
+});
+
+describe("formatStatePensionAge", () => {
+  it("shows years and months", () => {
+    expect(formatStatePensionAge(66 + 7 / 12)).toBe("66 years 7 months");
+  });
+});
+
+describe("getStatePensionUpratingRate", () => {
+  const rates = { inflationRate: 0.02, earningsGrowthRate: 0.035, customRate: 0.01 };
+
+  it("takes the highest of CPI, earnings growth and 2.5% under the triple lock", () => {
+    expect(getStatePensionUpratingRate("tripleLock", rates)).toBe(0.035);
+    expect(getStatePensionUpratingRate("tripleLock", { ...rates, inflationRate: 0.04 })).toBe(0.04);
+    expect(getStatePensionUpratingRate("tripleLock", { ...rates, earningsGrowthRate: 0.01 })).toBe(0.025);
+  });
+
+  it("follows CPI only", () => {
+    expect(getStatePensionUpratingRate("cpi", rates)).toBe(0.02);
+  });
+
+  it("uses the custom rate", () => {
+    expect(getStatePensionUpratingRate("custom", rates)).toBe(0.01);
+  });
+});
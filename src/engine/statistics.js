@@ -0,0 +1,10 @@
+// Reads a percentile from an already-sorted array
+export const getPercentile = (data, percentile) => {
+  const index = Math.min(data.length - 1, Math.floor(percentile * data.length));
+  return data[index];
+};
+
+// Sorts each year's values across all runs so percentiles can be read per year, leaving out runs
+// with no value (null) for the year
+export const sortByYear = (runs, years) =>
+  Array.from({ length: years }, (_, i) => runs.map((run) => run[i]).filter((value) => value !== null).sort((a, b) => a - b));
@@ -0,0 +1,48 @@
+import { HISTORICAL_YEARS } from "./historical";
+
+// Stress tests force a return path onto the start of retirement to show the risk in the timing of
+// returns. Each is a list of years shaped like the historical years (equity, bond and cash returns and
+// inflation, as fractions), one per year of retirement. Years after the stress are marked expected:
+// each fund earns its expected return and prices rise at the plan's inflation rate.
+
+export const STRESS_TEST_LABELS = {
+  crash: "Crash of 30% in the First Year",
+  lostDecade: "Lost Decade of Flat Returns",
+  highInflation: "1970s High Inflation",
+  custom: "Your Own Sequence",
+};
+
+// Shares lose 30% in the first year of the crash, while bonds and cash earn nothing
+const CRASH_YEAR = { equity: -0.3, bonds: 0, cash: 0 };
+const LOST_DECADE_YEARS = 10;
+// The high inflation test replays the market history of 1973 to 1982
+const HIGH_INFLATION_YEARS = HISTORICAL_YEARS.filter((year) => year.year >= 1973 && year.year <= 1982);
+
+// Parses a comma separated list of annual returns in percent into fractions; blank gives no years
+export const parseReturnSequence = (text) =>
+  text.trim() === "" ? [] : text.split(",").map((value) => parseFloat(value) / 100);
+
+// Checks a comma separated return sequence; returns an error message or ""
+export const validateReturnSequence = (text) => {
+  const returns = parseReturnSequence(text);
+  if (returns.some((value) => isNaN(value) || value <= -1 || value > 1))
+    return "Each return in the sequence must be a number more than -100% and no more than 100%.";
+  if (returns.length > 50) return "The sequence can have at most 50 years.";
+  return "";
+};
+
+// The stress tests to run for a plan: the fixed tests, and the plan's own sequence if it has one
+export const getStressTests = (plan) =>
+  Object.keys(STRESS_TEST_LABELS).filter((test) => test !== "custom" || plan.stressTestSequence.length > 0);
+
+// The years of a stress test over the plan's retirement
+export const getStressTestYears = (plan, test) => {
+  const stressed = {
+    crash: [{ ...CRASH_YEAR, inflation: plan.inflationRate }],
+    lostDecade: Array(LOST_DECADE_YEARS).fill({ equity: 0, bonds: 0, cash: 0, inflation: plan.inflationRate }),
+    highInflation: HIGH_INFLATION_YEARS,
+    // Your own sequence is a return for the whole portfolio, whatever its mix
+    custom: plan.stressTestSequence.map((value) => ({ equity: value, bonds: value, cash: value, inflation: plan.inflationRate })),
+  }[test];
+  return Array.from({ length: Math.ceil(plan.horizonAge - plan.retirementAge) }, (_, i) => stressed[i] ?? { expected: true, inflation: plan.inflationRate });
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { getStressTests, getStressTestYears, parseReturnSequence, validateReturnSequence } from "./stressTests";
+
+const plan = { retirementAge: 65, horizonAge: 100, inflationRate: 0.02, stressTestSequence: [] };
+
+describe("parseReturnSequence", () => {
+  it("turns comma separated percentages into fractions", () => {
+    expect(parseReturnSequence("-20, 5,10")).toEqual([-0.2, 0.05, 0.1]);
+    expect(parseReturnSequence(" ")).toEqual([]);
+  });
+});
+
+describe("validateReturnSequence", () => {
+  it("accepts a blank or valid sequence and rejects anything else", () => {
+    expect(validateReturnSequence("")).toBe("");
+    expect(validateReturnSequence("-30, 0, 15")).toBe("");
+    expect(validateReturnSequence("-30, x")).toMatch("must be a number");
+    expect(validateReturnSequence("-100")).toMatch("more than -100%");
+  });
+});
+
+describe("getStressTests", () => {
+  it("only includes your own sequence when there is one", () => {
+    expect(getStressTests(plan)).toEqual(["crash", "lostDecade", "highInflation"]);
+    expect(getStressTests({ ...plan, stressTestSequence: [-0.1] })).toContain("custom");
+  });
+});
+
+describe("getStressTestYears", () => {
+  it("covers every year of retirement, earning expected returns after the stress", () => {
+    const crash = getStressTestYears(plan, "crash");
+    expect(crash).toHaveLength(35);
+    expect(crash[0]).toEqual({ equity: -0.3, bonds: 0, cash: 0, inflation: 0.02 });
+    expect(crash[1]).toEqual({ expected: true, inflation: 0.02 });
+    expect(getStressTestYears(plan, "lostDecade")[9].equity).toBe(0);
+    expect(getStressTestYears(plan, "lostDecade")[10].expected).toBe(true);
+  });
+
+  it("replays 1973 to 1982 for high inflation, and your own sequence for the whole portfolio", () => {
+    const highInflation = getStressTestYears(plan, "highInflation");
+    expect(highInflation[0].year).toBe(1973);
+    expect(highInflation[9].year).toBe(1982);
+    expect(getStressTestYears({ ...plan, stressTestSequence: [-0.2] }, "custom")[0]).toEqual({ equity: -0.2, bonds: -0.2, cash: -0.2, inflation: 0.02 });
+  });
+});
@@ -0,0 +1,158 @@
+// UK income tax (England, Wales and Northern Ireland) on retirement income
+
+// Default thresholds for the current tax year
+export const DEFAULT_TAX_THRESHOLDS = {
+  personalAllowance: 12570,
+  higherRateThreshold: 50270,
+  additionalRateThreshold: 125140,
+};
+
+export const BASIC_RATE = 0.2;
+export const HIGHER_RATE = 0.4;
+export const ADDITIONAL_RATE = 0.45;
+
+// Personal allowance is reduced by £1 for every £2 of income over this limit
+export const PERSONAL_ALLOWANCE_TAPER_THRESHOLD = 100000;
+
+// Share of a pension that can be taken tax-free, and the cap on all tax-free cash (Lump Sum Allowance)
+export const TAX_FREE_PROPORTION = 0.25;
+export const LUMP_SUM_ALLOWANCE = 268275;
+
+// Capital gains tax on gains realised in a general investment account: the annual exempt amount
+// (frozen, so not indexed) and the rates on gains within and above the basic rate band
+export const CAPITAL_GAINS_ANNUAL_EXEMPT_AMOUNT = 3000;
+export const CAPITAL_GAINS_BASIC_RATE = 0.18;
+export const CAPITAL_GAINS_HIGHER_RATE = 0.24;
+
+// Pension commencement lump sum taken from the pot at retirement
+export const getPensionCommencementLumpSum = (pot) =>
+  Math.min(pot * TAX_FREE_PROPORTION, LUMP_SUM_ALLOWANCE);
+
+// Thresholds for a given number of years from now, either frozen or indexed with inflation
+export const getTaxThresholds = (thresholds, indexing, inflationRate, yearsFromNow) => {
+  const factor = indexing === "indexed" ? Math.pow(1 + inflationRate, yearsFromNow) : 1;
+  return {
+    personalAllowance: thresholds.personalAllowance * factor,
+    higherRateThreshold: thresholds.higherRateThreshold * factor,
+    additionalRateThreshold: thresholds.additionalRateThreshold * factor,
+    taperThreshold: PERSONAL_ALLOWANCE_TAPER_THRESHOLD * factor,
+  };
+};
+
+// Income tax due on a year's taxable income
+export const calculateIncomeTax = (income, thresholds) => {
+  const { personalAllowance, higherRateThreshold, additionalRateThreshold } = thresholds;
+  const taperThreshold = thresholds.taperThreshold ?? PERSONAL_ALLOWANCE_TAPER_THRESHOLD;
+  const allowance = Math.max(0, personalAllowance - Math.max(0, income - taperThreshold) / 2);
+  const basicRateBand = higherRateThreshold - personalAllowance;
+  const taxable = Math.max(0, income - allowance);
+
+  const basicRateTax = Math.min(taxable, basicRateBand) * BASIC_RATE;
+  const higherRateTax = Math.max(0, Math.min(income, additionalRateThreshold) - allowance - basicRateBand) * HIGHER_RATE;
+  const additionalRateTax = Math.max(0, income - additionalRateThreshold) * ADDITIONAL_RATE;
+
+  return basicRateTax + higherRateTax + additionalRateTax;
+};
+
+// Capital gains tax due on a year's gains, given the year's taxable income. Gains above the exempt
+// amount are taxed at the basic rate while they fit in what income leaves of the basic rate band.
+export const calculateCapitalGainsTax = (gains, income, thresholds) => {
+  const taxableGains = Math.max(0, gains - CAPITAL_GAINS_ANNUAL_EXEMPT_AMOUNT);
+  const basicRateBandLeft = Math.max(0, thresholds.higherRateThreshold - Math.max(income, thresholds.personalAllowance));
+  const basicRateGains = Math.min(taxableGains, basicRateBandLeft);
+  return basicRateGains * CAPITAL_GAINS_BASIC_RATE + (taxableGains - basicRateGains) * CAPITAL_GAINS_HIGHER_RATE;
+};
+
+// Applies income tax to the monthly drawdown, state pension, other income, annuity and defined benefit
+// income from simulateDecumulation, and capital gains tax to gains realised on savings withdrawals.
+// With UFPLS, 25% of each withdrawal is tax-free until the Lump Sum Allowance is used up;
+// with a PCLS the tax-free cash was already taken at retirement, so every withdrawal is taxable.
+// Savings withdrawals are not income, so only count towards the gross. Each year's tax is spread
+// over its months in proportion to their taxable income and gains.
+export const calculateRetirementIncomeTax = (plan, { withdrawals, statePensionMonthlyValues, otherIncomeMonthlyValues = [], annuityMonthlyValues = [], definedBenefitMonthlyValues = [], savingsWithdrawals = [], capitalGainsMonthlyValues = [], lumpSum = 0 }) => {
+  // Income from outside the pot in each month, all of it taxable
+  const incomeElsewhere = withdrawals.map((_, month) =>
+    statePensionMonthlyValues[month] + (otherIncomeMonthlyValues[month] || 0) + (annuityMonthlyValues[month] || 0) + (definedBenefitMonthlyValues[month] || 0));
+  const fromSavings = withdrawals.map((_, month) => savingsWithdrawals[month] || 0);
+  const gains = withdrawals.map((_, month) => capitalGainsMonthlyValues[month] || 0);
+  let taxFreeUsed = lumpSum;
+  const monthlyTaxable = withdrawals.map((withdrawal, month) => {
+    let taxFree = 0;
+    if (plan.taxFreeCash === "ufpls") {
+      taxFree = Math.min(withdrawal * TAX_FREE_PROPORTION, Math.max(0, LUMP_SUM_ALLOWANCE - taxFreeUsed));
+      taxFreeUsed += taxFree;
+    }
+    return withdrawal - taxFree + incomeElsewhere[month];
+  });
+
+  const years = Math.ceil(withdrawals.length / 12);
+  const monthlyTax = [];
+  const annualGross = [];
+  const annualTax = [];
+  const annualNet = [];
+
+  for (let year = 0; year < years; year++) {
+    const months = Array.from({ length: Math.min(12, withdrawals.length - year * 12) }, (_, i) => year * 12 + i);
+    const taxableIncome = months.reduce((sum, month) => sum + monthlyTaxable[month], 0);
+    const yearGains = months.reduce((sum, month) => sum + gains[month], 0);
+    const grossIncome = months.reduce((sum, month) => sum + withdrawals[month] + incomeElsewhere[month] + fromSavings[month], 0);
+    const yearsFromNow = plan.retirementAge - plan.age + year;
+    const thresholds = getTaxThresholds(plan.taxThresholds, plan.taxThresholdIndexing, plan.inflationRate, yearsFromNow);
+    const tax = calculateIncomeTax(taxableIncome, thresholds) + (yearGains > 0 ? calculateCapitalGainsTax(yearGains, taxableIncome, thresholds) : 0);
+
+    for (const month of months) {
+      const taxedAmount = taxableIncome + yearGains;
+      monthlyTax.push(taxedAmount > 0 ? tax * (monthlyTaxable[month] + gains[month]) / taxedAmount : 0);
+    }
+    annualGross.push(grossIncome);
+    annualTax.push(tax);
+    annualNet.push(grossIncome - tax);
+  }
+
+  const monthlyNet = withdrawals.map((withdrawal, month) => withdrawal + incomeElsewhere[month] + fromSavings[month] - monthlyTax[month]);
+
+  return { monthlyTax, monthlyNet, annualGross, annualTax, annualNet };
+};
+
+// Applies income tax to a household's retirement income from simulateDecumulation. A couple are taxed
+// separately, each with their own allowances: while both are alive the partner is taxed on their share
+// of the drawdown and their own state pension, and the first member on the rest (including their
+// accounts); a survivor is taxed on everything paid after the first death. Any lump sum is split by
+// the partner's share of the pot.
+export const calculateHouseholdIncomeTax = (plan, results, partnerShare = 0) => {
+  if (!plan.partner) return calculateRetirementIncomeTax(plan, results);
+  const { withdrawals, partnerWithdrawals, statePensionMonthlyValues, partnerStatePensionMonthlyValues, otherIncomeMonthlyValues, annuityMonthlyValues, deathMonths, lumpSum } = results;
+  const { definedBenefitMonthlyValues = [], savingsWithdrawals = [], capitalGainsMonthlyValues = [] } = results;
+  const untilDeath = (values, deathMonth) => values.map((value, month) => (month < deathMonth ? value : 0));
+  const fromDeath = (values, deathMonth) => values.map((value, month) => (month >= deathMonth ? value : 0));
+  const add = (first, second) => first.map((value, i) => value + second[i]);
+
+  const primaryTax = calculateRetirementIncomeTax(plan, {
+    withdrawals: withdrawals.map((withdrawal, month) => withdrawal - partnerWithdrawals[month]),
+    statePensionMonthlyValues: untilDeath(add(statePensionMonthlyValues, fromDeath(partnerStatePensionMonthlyValues, deathMonths.partner)), deathMonths.primary),
+    otherIncomeMonthlyValues: untilDeath(otherIncomeMonthlyValues, deathMonths.primary),
+    annuityMonthlyValues: untilDeath(annuityMonthlyValues, deathMonths.primary),
+    definedBenefitMonthlyValues: untilDeath(definedBenefitMonthlyValues, deathMonths.primary),
+    savingsWithdrawals: untilDeath(savingsWithdrawals, deathMonths.primary),
+    capitalGainsMonthlyValues: untilDeath(capitalGainsMonthlyValues, deathMonths.primary),
+    lumpSum: lumpSum * (1 - partnerShare),
+  });
+  const partnerTax = calculateRetirementIncomeTax(plan, {
+    withdrawals: partnerWithdrawals,
+    statePensionMonthlyValues: untilDeath(add(partnerStatePensionMonthlyValues, fromDeath(statePensionMonthlyValues, deathMonths.primary)), deathMonths.partner),
+    otherIncomeMonthlyValues: fromDeath(otherIncomeMonthlyValues, deathMonths.primary),
+    annuityMonthlyValues: fromDeath(annuityMonthlyValues, deathMonths.primary),
+    definedBenefitMonthlyValues: fromDeath(definedBenefitMonthlyValues, deathMonths.primary),
+    savingsWithdrawals: fromDeath(savingsWithdrawals, deathMonths.primary),
+    capitalGainsMonthlyValues: fromDeath(capitalGainsMonthlyValues, deathMonths.primary),
+    lumpSum: lumpSum * partnerShare,
+  });
+
+  return {
+    monthlyTax: add(primaryTax.monthlyTax, partnerTax.monthlyTax),
+    monthlyNet: add(primaryTax.monthlyNet, partnerTax.monthlyNet),
+    annualGross: add(primaryTax.annualGross, partnerTax.annualGross),
+    annualTax: add(primaryTax.annualTax, partnerTax.annualTax),
+    annualNet: add(primaryTax.annualNet, partnerTax.annualNet),
+  };
+};
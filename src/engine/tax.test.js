@@ -0,0 +1,160 @@
+import { describe, it, expect } from "vitest";
+import {
+  calculateCapitalGainsTax,
+  calculateHouseholdIncomeTax,
+  calculateIncomeTax,
+  calculateRetirementIncomeTax,
+  getPensionCommencementLumpSum,
+  getTaxThresholds,
+  CAPITAL_GAINS_ANNUAL_EXEMPT_AMOUNT,
+  DEFAULT_TAX_THRESHOLDS,
+  LUMP_SUM_ALLOWANCE,
+} from "./tax";
+
+const plan = (overrides = {}) => ({
+  age: 60,
+  retirementAge: 65,
+  inflationRate: 0.02,
+  taxFreeCash: "ufpls",
+  taxThresholds: DEFAULT_TAX_THRESHOLDS,
+  taxThresholdIndexing: "frozen",
+  ...overrides,
+});
+
+describe("calculateIncomeTax", () => {
+  it("charges nothing within the personal allowance", () => {
+    expect(calculateIncomeTax(12570, DEFAULT_TAX_THRESHOLDS)).toBe(0);
+  });
+
+  it("charges basic rate above the personal allowance", () => {
+    expect(calculateIncomeTax(22570, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(2000);
+  });
+
+  it("charges higher rate above the higher rate threshold", () => {
+    expect(calculateIncomeTax(60000, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(7540 + 9730 * 0.4);
+  });
+
+  it("tapers the personal allowance away above £100,000", () => {
+    expect(calculateIncomeTax(125140, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(42516);
+  });
+
+  it("charges additional rate above the additional rate threshold", () => {
+    expect(calculateIncomeTax(135140, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(42516 + 4500);
+  });
+});
+
+describe("getTaxThresholds", () => {
+  it("keeps frozen thresholds unchanged", () => {
+    expect(getTaxThresholds(DEFAULT_TAX_THRESHOLDS, "frozen", 0.02, 10).personalAllowance).toBe(12570);
+  });
+
+  it("indexes thresholds with inflation", () => {
+    expect(getTaxThresholds(DEFAULT_TAX_THRESHOLDS, "indexed", 0.02, 2).personalAllowance).toBeCloseTo(12570 * 1.0404);
+  });
+});
+
+describe("getPensionCommencementLumpSum", () => {
+  it("takes 25% of the pot up to the Lump Sum Allowance", () => {
+    expect(getPensionCommencementLumpSum(400000)).toBe(100000);
+    expect(getPensionCommencementLumpSum(2000000)).toBe(LUMP_SUM_ALLOWANCE);
+  });
+});
+
+describe("calculateRetirementIncomeTax", () => {
+  it("treats 25% of each UFPLS withdrawal as tax-free", () => {
+    const withdrawals = Array(12).fill(2000);
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals, statePensionMonthlyValues: Array(12).fill(0) });
+    expect(result.annualGross[0]).toBe(24000);
+    expect(result.annualTax[0]).toBeCloseTo((18000 - 12570) * 0.2);
+    expect(result.monthlyNet[0]).toBeCloseTo(2000 - result.annualTax[0] / 12);
+  });
+
+  it("taxes every withdrawal in full after a PCLS", () => {
+    const withdrawals = Array(12).fill(2000);
+    const result = calculateRetirementIncomeTax(plan({ taxFreeCash: "pcls" }), { withdrawals, statePensionMonthlyValues: Array(12).fill(0), lumpSum: 50000 });
+    expect(result.annualTax[0]).toBeCloseTo((24000 - 12570) * 0.2);
+  });
+
+  it("adds the state pension to taxable income", () => {
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals: Array(12).fill(0), statePensionMonthlyValues: Array(12).fill(1250) });
+    expect(result.annualTax[0]).toBeCloseTo((15000 - 12570) * 0.2);
+  });
+
+  it("adds other income to taxable and gross income", () => {
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals: Array(12).fill(0), statePensionMonthlyValues: Array(12).fill(1000), otherIncomeMonthlyValues: Array(12).fill(500) });
+    expect(result.annualGross[0]).toBe(18000);
+    expect(result.annualTax[0]).toBeCloseTo((18000 - 12570) * 0.2);
+  });
+
+  it("taxes annuity income in full", () => {
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals: Array(12).fill(0), statePensionMonthlyValues: Array(12).fill(0), annuityMonthlyValues: Array(12).fill(1500) });
+    expect(result.annualGross[0]).toBe(18000);
+    expect(result.annualTax[0]).toBeCloseTo((18000 - 12570) * 0.2);
+  });
+
+  it("stops the tax-free portion once the Lump Sum Allowance is used", () => {
+    const withdrawals = Array(12).fill(LUMP_SUM_ALLOWANCE * 4 / 12);
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals, statePensionMonthlyValues: Array(12).fill(0) });
+    expect(result.annualGross[0]).toBeCloseTo(LUMP_SUM_ALLOWANCE * 4);
+    expect(result.annualTax[0]).toBeCloseTo(calculateIncomeTax(LUMP_SUM_ALLOWANCE * 3, DEFAULT_TAX_THRESHOLDS));
+  });
+
+  it("counts savings withdrawals as gross income without taxing them, and taxes defined benefit income", () => {
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals: Array(12).fill(0), statePensionMonthlyValues: Array(12).fill(0), savingsWithdrawals: Array(12).fill(2000), definedBenefitMonthlyValues: Array(12).fill(1500) });
+    expect(result.annualGross[0]).toBe(42000);
+    expect(result.annualTax[0]).toBeCloseTo((18000 - 12570) * 0.2);
+    expect(result.monthlyNet[0]).toBeCloseTo(3500 - result.annualTax[0] / 12);
+  });
+
+  it("adds capital gains tax on realised gains", () => {
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals: Array(12).fill(0), statePensionMonthlyValues: Array(12).fill(0), capitalGainsMonthlyValues: Array(12).fill(1000) });
+    expect(result.annualTax[0]).toBeCloseTo(9000 * 0.18);
+  });
+
+  it("groups a part year at the end", () => {
+    const result = calculateRetirementIncomeTax(plan(), { withdrawals: Array(18).fill(1000), statePensionMonthlyValues: Array(18).fill(0) });
+    expect(result.annualGross).toEqual([12000, 6000]);
+    expect(result.monthlyTax).toHaveLength(18);
+  });
+});
+
+describe("calculateHouseholdIncomeTax", () => {
+  const months = (value) => Array(12).fill(value);
+  const results = (overrides = {}) => ({
+    withdrawals: months(2000),
+    partnerWithdrawals: months(1000),
+    statePensionMonthlyValues: months(0),
+    partnerStatePensionMonthlyValues: months(0),
+    otherIncomeMonthlyValues: months(0),
+    annuityMonthlyValues: months(0),
+    deathMonths: { primary: Infinity, partner: Infinity },
+    lumpSum: 0,
+    ...overrides,
+  });
+  const couple = plan({ partner: { age: 58 } });
+
+  it("taxes a single person as calculateRetirementIncomeTax does", () => {
+    expect(calculateHouseholdIncomeTax(plan(), results())).toEqual(calculateRetirementIncomeTax(plan(), results()));
+  });
+
+  it("gives each member of a couple their own allowances", () => {
+    expect(calculateHouseholdIncomeTax(couple, results()).annualTax[0]).toBe(0);
+    expect(calculateRetirementIncomeTax(plan(), results()).annualTax[0]).toBeCloseTo((18000 - 12570) * 0.2);
+  });
+
+  it("taxes the survivor on all of the household's income", () => {
+    const widowed = results({ partnerWithdrawals: months(2000), statePensionMonthlyValues: months(500), deathMonths: { primary: 0, partner: Infinity } });
+    const survivorOnly = calculateRetirementIncomeTax(plan(), { withdrawals: months(2000), statePensionMonthlyValues: months(500) });
+    expect(calculateHouseholdIncomeTax(couple, widowed).annualTax[0]).toBeCloseTo(survivorOnly.annualTax[0]);
+    expect(calculateHouseholdIncomeTax(couple, widowed).annualNet[0]).toBeCloseTo(survivorOnly.annualNet[0]);
+  });
+});
+
+describe("calculateCapitalGainsTax", () => {
+  it("taxes gains above the exempt amount at the basic rate within the band left by income, and above it at the higher rate", () => {
+    expect(calculateCapitalGainsTax(CAPITAL_GAINS_ANNUAL_EXEMPT_AMOUNT, 0, DEFAULT_TAX_THRESHOLDS)).toBe(0);
+    expect(calculateCapitalGainsTax(13000, 0, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(10000 * 0.18);
+    expect(calculateCapitalGainsTax(13000, 45270, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(5000 * 0.18 + 5000 * 0.24);
+    expect(calculateCapitalGainsTax(13000, 60000, DEFAULT_TAX_THRESHOLDS)).toBeCloseTo(10000 * 0.24);
+  });
+});
@@ -0,0 +1,127 @@
+import { DEFAULT_FORM_DATA } from "./defaultFormData";
+import { ACCOUNT_TYPE_LABELS, createAccountEntry } from "./engine/accounts";
+import { createLifeEventEntry, LIFE_EVENT_TYPE_LABELS } from "./engine/lifeEvents";
+import { createSpendingPhaseEntry } from "./engine/spendingProfile";
+
+// Sharing plan inputs through the URL hash and JSON files.
+// Every shared plan carries a schema version so files and links made by older versions keep working.
+
+export const PLAN_SCHEMA_VERSION = 2;
+
+const HASH_PREFIX = "#plan=";
+
+// Upgrade steps keyed by the version they upgrade from. When a field is renamed or reshaped, or a new
+// field's default would change what an older plan does, bump PLAN_SCHEMA_VERSION and add a step here
+// that converts the previous version's formData.
+const migrations = {
+  // Version 1 plans without these fields ran to age 100 with uniform returns
+  1: (formData) => ({ planningHorizon: "fixed", returnModel: "uniform", ...formData }),
+};
+
+// Wraps the form inputs with the current schema version
+export const serializePlan = (formData) => ({ schemaVersion: PLAN_SCHEMA_VERSION, formData });
+
+// Rows of the list fields: every field of a row is a string, filled from the row template when missing.
+// Fields with a fixed set of values list them.
+const ROW_SCHEMAS = {
+  fundCatalogue: { label: "fund catalogue", template: { name: "", return: "", volatility: "", annualCharge: "", equity: "", bonds: "" } },
+  platformFeeTiers: { label: "platform fee tiers", template: { upTo: "", rate: "" } },
+  accounts: { label: "pensions and savings", template: createAccountEntry(""), values: { type: Object.keys(ACCOUNT_TYPE_LABELS) } },
+  lifeEvents: { label: "life events", template: createLifeEventEntry(), values: { type: Object.keys(LIFE_EVENT_TYPE_LABELS) } },
+  spendingProfile: { label: "spending profile", template: createSpendingPhaseEntry() },
+};
+
+const isRecord = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Keeps the known fields of a list's rows; throws if a row is not a record of strings
+const sanitizeRows = (rows, { label, template, values = {} }) =>
+  rows.map((row) => {
+    if (!isRecord(row)) throw new Error(`This plan's ${label} could not be read.`);
+    return Object.fromEntries(
+      Object.entries(template).map(([key, defaultValue]) => {
+        const value = row[key] ?? defaultValue;
+        if (typeof value !== "string" || (values[key] && !values[key].includes(value))) {
+          throw new Error(`This plan's ${label} could not be read.`);
+        }
+        return [key, value];
+      })
+    );
+  });
+
+// Checks the nested lists and that the chosen funds are in the plan's catalogue; throws with the reason if not
+const sanitizeLists = (formData) => {
+  const lists = Object.fromEntries(Object.entries(ROW_SCHEMAS).map(([key, schema]) => [key, sanitizeRows(formData[key], schema)]));
+  const names = lists.fundCatalogue.map((fund) => fund.name);
+  if (names.length === 0) throw new Error("This plan's fund catalogue has no funds.");
+  const { fundCorrelations } = formData;
+  if (fundCorrelations.length !== names.length || fundCorrelations.some((row) => !Array.isArray(row) || row.length !== names.length || row.some((value) => typeof value !== "string"))) {
+    throw new Error("This plan's fund correlations do not match its fund catalogue.");
+  }
+  const { funds, fundSelection, lifestylingTargetFund } = formData;
+  if (funds.length < parseInt(formData.numFunds)) throw new Error("This plan chooses fewer funds than its Number of Funds.");
+  if (![...funds, fundSelection, lifestylingTargetFund].every((fund) => names.includes(fund))) {
+    throw new Error("This plan chooses a fund that is not in its fund catalogue.");
+  }
+  return { ...formData, ...lists };
+};
+
+// Keeps only known fields whose type matches the defaults, filling anything missing from the defaults,
+// then checks the nested lists
+const sanitizeFormData = (formData) =>
+  sanitizeLists(
+    Object.fromEntries(
+      Object.entries(DEFAULT_FORM_DATA).map(([key, defaultValue]) => {
+        const value = formData[key];
+        const sameType = Array.isArray(defaultValue) ? Array.isArray(value) : typeof value === typeof defaultValue;
+        return [key, value !== undefined && sameType ? value : defaultValue];
+      })
+    )
+  );
+
+// Validates a shared plan, upgrades it to the current schema version and returns its formData
+export const deserializePlan = (plan) => {
+  if (!isRecord(plan) || !isRecord(plan.formData)) {
+    throw new Error("This file is not a saved retirement plan.");
+  }
+  let { schemaVersion, formData } = plan;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error("This plan has no valid schema version.");
+  }
+  if (schemaVersion > PLAN_SCHEMA_VERSION) {
+    throw new Error("This plan was saved by a newer version of the tool.");
+  }
+  while (schemaVersion < PLAN_SCHEMA_VERSION) {
+    formData = migrations[schemaVersion](formData);
+    schemaVersion++;
+  }
+  return sanitizeFormData(formData);
+};
+
+// Parses the text of an exported JSON file
+export const parsePlanFile = (text) => {
+  let plan;
+  try {
+    plan = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+  return deserializePlan(plan);
+};
+
+export const exportPlanFile = (formData) => JSON.stringify(serializePlan(formData), null, 2);
+
+// Encodes the form inputs into a URL hash
+export const encodePlanHash = (formData) =>
+  HASH_PREFIX + encodeURIComponent(JSON.stringify(serializePlan(formData)));
+
+// Reads the form inputs from a URL hash, or null if it holds no plan. Throws with the reason if the plan cannot be read.
+export const decodePlanHash = (hash) => {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  let plan;
+  try {
+    plan = JSON.parse(decodeURIComponent(hash.slice(HASH_PREFIX.length)));
+  } catch {
+    throw new Error("This link does not hold a readable plan.");
+  }
+  return deserializePlan(plan);
+};
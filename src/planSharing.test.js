@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { decodePlanHash, deserializePlan, encodePlanHash, exportPlanFile, parsePlanFile, PLAN_SCHEMA_VERSION } from "./planSharing";
+import { DEFAULT_FORM_DATA } from "./defaultFormData";
+
+const formData = {
+  ...DEFAULT_FORM_DATA,
+  age: "45",
+  retirementAge: "60",
+  numFunds: "2",
+  funds: ["Future Advantage 2", "Future Advantage 4"],
+  drawdownType: "fixed",
+  drawdownFixed: "1500",
+  includeStatePension: "Yes - Custom",
+  customStatePensionAnnual: "9000",
+};
+
+describe("URL hash", () => {
+  it("round-trips the complete form", () => {
+    expect(decodePlanHash(encodePlanHash(formData))).toEqual(formData);
+  });
+
+  it("ignores hashes without a plan", () => {
+    expect(decodePlanHash("")).toBeNull();
+    expect(decodePlanHash("#section")).toBeNull();
+  });
+
+  it("rejects links whose plan cannot be read", () => {
+    expect(() => decodePlanHash("#plan=%7Bbroken")).toThrow("readable plan");
+    const badFund = encodePlanHash({ ...formData, fundSelection: "Missing Fund" });
+    expect(() => decodePlanHash(badFund)).toThrow("not in its fund catalogue");
+  });
+});
+
+describe("JSON files", () => {
+  it("round-trips the complete form with a schema version", () => {
+    const text = exportPlanFile(formData);
+    expect(JSON.parse(text).schemaVersion).toBe(PLAN_SCHEMA_VERSION);
+    expect(parsePlanFile(text)).toEqual(formData);
+  });
+
+  it("rejects invalid files", () => {
+    expect(() => parsePlanFile("not json")).toThrow("not valid JSON");
+    expect(() => parsePlanFile("{}")).toThrow("not a saved retirement plan");
+    expect(() => parsePlanFile(JSON.stringify({ formData: {} }))).toThrow("schema version");
+    expect(() => parsePlanFile(JSON.stringify({ schemaVersion: PLAN_SCHEMA_VERSION + 1, formData: {} }))).toThrow("newer version");
+  });
+});
+
+describe("deserializePlan", () => {
+  it("fills missing fields from the defaults and drops unknown or mistyped ones", () => {
+    const result = deserializePlan({ schemaVersion: PLAN_SCHEMA_VERSION, formData: { age: "50", funds: "oops", extra: "x" } });
+    expect(result.age).toBe("50");
+    expect(result.funds).toEqual(DEFAULT_FORM_DATA.funds);
+    expect(result.retirementAge).toBe(DEFAULT_FORM_DATA.retirementAge);
+    expect(result).not.toHaveProperty("extra");
+  });
+
+  it("keeps version 1 plans on the fixed horizon and uniform returns they were made with", () => {
+    expect(deserializePlan({ schemaVersion: 1, formData: { age: "50" } })).toMatchObject({ planningHorizon: "fixed", returnModel: "uniform" });
+    expect(deserializePlan({ schemaVersion: 1, formData: { planningHorizon: "lifeTable" } }).planningHorizon).toBe("lifeTable");
+    expect(deserializePlan({ schemaVersion: PLAN_SCHEMA_VERSION, formData: {} }).planningHorizon).toBe(DEFAULT_FORM_DATA.planningHorizon);
+  });
+
+  it("fills missing fields of list rows and drops unknown ones", () => {
+    const result = deserializePlan({ schemaVersion: PLAN_SCHEMA_VERSION, formData: { lifeEvents: [{ type: "careerBreak", age: "40", extra: "x" }] } });
+    expect(result.lifeEvents).toEqual([{ type: "careerBreak", age: "40", years: "", percentage: "", amount: "" }]);
+  });
+
+  it("rejects list rows that cannot be read", () => {
+    const plan = (fields) => ({ schemaVersion: PLAN_SCHEMA_VERSION, formData: fields });
+    expect(() => deserializePlan(plan({ accounts: ["isa"] }))).toThrow("pensions and savings");
+    expect(() => deserializePlan(plan({ accounts: [{ type: "shares" }] }))).toThrow("pensions and savings");
+    expect(() => deserializePlan(plan({ spendingProfile: [{ age: 75, percentage: "80" }] }))).toThrow("spending profile");
+    expect(() => deserializePlan(plan({ platformFeeTiers: [null] }))).toThrow("platform fee tiers");
+    expect(() => deserializePlan(plan({ fundCatalogue: [] }))).toThrow("has no funds");
+    expect(() => deserializePlan(plan({ fundCorrelations: [["1"]] }))).toThrow("fund correlations");
+  });
+
+  it("rejects chosen funds that are not in the catalogue", () => {
+    const plan = (fields) => ({ schemaVersion: PLAN_SCHEMA_VERSION, formData: fields });
+    expect(() => deserializePlan(plan({ funds: ["Missing Fund"], numFunds: "1" }))).toThrow("not in its fund catalogue");
+    expect(() => deserializePlan(plan({ lifestylingTargetFund: "Missing Fund" }))).toThrow("not in its fund catalogue");
+    expect(() => deserializePlan(plan({ funds: ["Future Advantage 1"] }))).toThrow("fewer funds");
+  });
+});
@@ -0,0 +1,51 @@
+import { deserializePlan, PLAN_SCHEMA_VERSION } from "./planSharing";
+
+// Named scenarios saved in the browser's localStorage
+
+const STORAGE_KEY = "retirementTool.scenarios";
+
+export const MAX_COMPARED_SCENARIOS = 4;
+
+// Reads all saved scenarios, ignoring anything unreadable
+export const loadScenarios = () => {
+  try {
+    const scenarios = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(scenarios) ? scenarios : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeScenarios = (scenarios) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+};
+
+// Saves a scenario, replacing any existing scenario with the same name
+export const saveScenario = (name, formData, results) => {
+  const scenario = { name, savedAt: new Date().toISOString(), schemaVersion: PLAN_SCHEMA_VERSION, formData, results };
+  return storeScenarios([...loadScenarios().filter((existing) => existing.name !== name), scenario]);
+};
+
+// A saved scenario's inputs, upgraded like a shared plan. Scenarios saved before versions were kept are version 1.
+export const getScenarioFormData = (scenario) =>
+  deserializePlan({ schemaVersion: scenario.schemaVersion ?? 1, formData: scenario.formData });
+
+export const deleteScenario = (name) =>
+  storeScenarios(loadScenarios().filter((scenario) => scenario.name !== name));
+
+// Lines up several scenarios' series on a shared age axis, leaving gaps where a scenario has no value
+export const alignSeriesByAge = (series) => {
+  const allAges = series.flatMap(({ ages }) => ages);
+  if (allAges.length === 0) return { labels: [], data: series.map(() => []) };
+  const firstAge = Math.min(...allAges);
+  const lastAge = Math.max(...allAges);
+  const labels = Array.from({ length: lastAge - firstAge + 1 }, (_, i) => firstAge + i);
+  const data = series.map(({ ages, values }) =>
+    labels.map((age) => {
+      const index = ages.indexOf(age);
+      return index === -1 ? null : values[index];
+    })
+  );
+  return { labels, data };
+};
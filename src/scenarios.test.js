@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { alignSeriesByAge, getScenarioFormData } from "./scenarios";
+
+describe("alignSeriesByAge", () => {
+  it("puts every series on one age axis", () => {
+    const { labels, data } = alignSeriesByAge([
+      { ages: [60, 61, 62], values: [1, 2, 3] },
+      { ages: [62, 63], values: [4, 5] },
+    ]);
+    expect(labels).toEqual([60, 61, 62, 63]);
+    expect(data).toEqual([
+      [1, 2, 3, null],
+      [null, null, 4, 5],
+    ]);
+  });
+
+  it("handles no data", () => {
+    expect(alignSeriesByAge([])).toEqual({ labels: [], data: [] });
+  });
+});
+
+describe("getScenarioFormData", () => {
+  it("upgrades scenarios saved before versions were kept", () => {
+    expect(getScenarioFormData({ name: "Old", formData: { age: "50" } })).toMatchObject({ age: "50", planningHorizon: "fixed" });
+  });
+});
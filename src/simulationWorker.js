@@ -0,0 +1,19 @@
+import { createPlan } from "./engine/plan";
+import { simulatePlan } from "./engine/simulation";
+
+// Runs the plan's simulations off the main thread. Receives { formData, simulations, mode } and posts
+// { type: "progress", stage, completed, total } after each batch of runs, with the percentiles so far as
+// result every few batches, { type: "accumulation", accumulation }
+// once the accumulation is summarised, then { type: "done", accumulation, outcomes, deathAges, projection, stressTests }.
+// Every run's final pot, partner share and savings are only needed here, so they are not sent back.
+const withoutFinalPots = ({ p25, p50, p75, chargesP50, realChargesP50, partnerShareP50, savingsP50 }) => ({ p25, p50, p75, chargesP50, realChargesP50, partnerShareP50, savingsP50 });
+
+self.onmessage = ({ data }) => {
+  const { accumulation, ...results } = simulatePlan(
+    createPlan(data.formData),
+    { simulations: data.simulations, mode: data.mode },
+    (progress) => self.postMessage({ type: "progress", ...progress, ...(progress.result && progress.stage === "accumulation" ? { result: withoutFinalPots(progress.result) } : {}) }),
+    (summary) => self.postMessage({ type: "accumulation", accumulation: withoutFinalPots(summary) })
+  );
+  self.postMessage({ type: "done", accumulation: withoutFinalPots(accumulation), ...results });
+};
@@ -0,0 +1,18 @@
+import { createPlan, createPlanAtRetirementAge } from "./engine/plan";
+import { solveGoal, solveTargetIncome } from "./engine/solver";
+
+// Runs the solvers off the main thread, as they re-run the simulation many times.
+// Receives { formData, goal } and posts back the result of solveGoal, or { formData, targetAge } and
+// posts back the result of solveTargetIncome. A goal that cannot be solved posts back { error }.
+self.onmessage = ({ data }) => {
+  const plan = createPlan(data.formData);
+  if (!data.goal) {
+    self.postMessage(solveTargetIncome(plan, data.targetAge));
+    return;
+  }
+  try {
+    self.postMessage(solveGoal(plan, data.goal, (age) => createPlanAtRetirementAge(data.formData, age)));
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};